@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const db = require('./db');
+
+// ------- API Keys -------
+// Keys look like mk_<8 chars>_<secret>. The first part is kept in the clear
+// so keys can be told apart in the admin page; the whole key is only shown
+// once, at creation.
+const API_SCOPES = {
+  'agents:read': 'List and read agents',
+  'agents:write': 'Create, update and delete agents',
+  'documents:read': 'List documents and re-index status',
+  'documents:write': 'Upload, delete and re-index documents',
+  chat: 'Chat with agents',
+  'conversations:read': 'Read conversation history',
+};
+
+const apiKeyStmts = {
+  insert: db.prepare(`
+    INSERT INTO api_keys (id, name, prefix, key_hash, scopes, created_by, created_at)
+    VALUES (@id, @name, @prefix, @keyHash, @scopes, @createdBy, @createdAt)
+  `),
+  list: db.prepare('SELECT * FROM api_keys ORDER BY revoked_at IS NOT NULL, created_at DESC'),
+  byHash: db.prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL'),
+  touch: db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?'),
+  revoke: db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL'),
+};
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function createApiKey(name, scopes, createdBy) {
+  const prefix = 'mk_' + crypto.randomBytes(4).toString('hex');
+  const key = `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id: crypto.randomUUID(),
+    name,
+    prefix,
+    keyHash: hashApiKey(key),
+    scopes: scopes.join(' '),
+    createdBy,
+    createdAt: Date.now(),
+  };
+  apiKeyStmts.insert.run(record);
+  return { id: record.id, key };
+}
+
+function findApiKey(key) {
+  const row = apiKeyStmts.byHash.get(hashApiKey(key));
+  if (!row) return null;
+  apiKeyStmts.touch.run(Date.now(), row.id);
+  return { ...row, scopes: row.scopes.split(' ').filter(Boolean) };
+}
+
+function listApiKeys() {
+  return apiKeyStmts.list.all();
+}
+
+// Whether a key that was still active is now revoked
+function revokeApiKey(id) {
+  return apiKeyStmts.revoke.run(Date.now(), id).changes > 0;
+}
+
+// ------- Authorization -------
+// Express middleware for API routes: a valid, unrevoked key carrying scope,
+// sent as a Bearer token or X-API-Key. Sets req.apiKey.
+function authorizeApiKey(scope) {
+  return (req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const key = header.startsWith('Bearer ') ? header.slice(7).trim() : req.get('X-API-Key');
+    const apiKey = key && findApiKey(key);
+    if (!apiKey) return res.status(401).json({ error: 'Missing or invalid API key' });
+    if (!apiKey.scopes.includes(scope)) return res.status(403).json({ error: `API key lacks the ${scope} scope` });
+    req.apiKey = apiKey;
+    next();
+  };
+}
+
+module.exports = {
+  API_SCOPES,
+  createApiKey,
+  findApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authorizeApiKey,
+};
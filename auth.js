@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const db = require('./db');
+
+// ------- Passwords -------
+// Stored as scrypt$N$r$p$salt$hash (base64). Hashes written before salting
+// was added are bare SHA-256 hex digests; they still verify, and needsRehash
+// tells the caller to replace them after a successful login.
+const SCRYPT = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, KEY_LENGTH, SCRYPT);
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+function verifyPassword(password, stored) {
+  if (typeof stored !== 'string' || typeof password !== 'string') return false;
+  if (stored.startsWith('scrypt$')) {
+    const [, N, r, p, salt, hash] = stored.split('$');
+    const expected = Buffer.from(hash, 'base64');
+    const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length, {
+      N: Number(N), r: Number(r), p: Number(p),
+    });
+    return crypto.timingSafeEqual(actual, expected);
+  }
+  const legacy = crypto.createHash('sha256').update(password).digest();
+  const expected = Buffer.from(stored, 'hex');
+  return expected.length === legacy.length && crypto.timingSafeEqual(legacy, expected);
+}
+
+function needsRehash(stored) {
+  return !String(stored).startsWith(`scrypt$${SCRYPT.N}$${SCRYPT.r}$${SCRYPT.p}$`);
+}
+
+// ------- Sessions -------
+// Sessions end after SESSION_IDLE_MINUTES without a request, and in any case
+// SESSION_MAX_HOURS after login.
+const SESSION_IDLE_MS = (Number(process.env.SESSION_IDLE_MINUTES) || 120) * 60 * 1000;
+const SESSION_MAX_MS = (Number(process.env.SESSION_MAX_HOURS) || 24) * 60 * 60 * 1000;
+// last_seen_at is only rewritten when it is older than this
+const SESSION_TOUCH_MS = 60 * 1000;
+
+const sessionStmts = {
+  insert: db.prepare('INSERT INTO sessions (id, email, csrf_token, created_at, last_seen_at) VALUES (?, ?, ?, ?, ?)'),
+  get: db.prepare('SELECT * FROM sessions WHERE id = ?'),
+  touch: db.prepare('UPDATE sessions SET last_seen_at = ? WHERE id = ?'),
+  delete: db.prepare('DELETE FROM sessions WHERE id = ?'),
+  deleteForUser: db.prepare('DELETE FROM sessions WHERE email = ? AND id != ?'),
+  prune: db.prepare('DELETE FROM sessions WHERE last_seen_at < ? OR created_at < ?'),
+};
+
+function sessionKey(sid) {
+  return crypto.createHash('sha256').update(String(sid)).digest('hex');
+}
+
+function createSession(email) {
+  const sid = crypto.randomBytes(32).toString('base64url');
+  const csrfToken = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  sessionStmts.insert.run(sessionKey(sid), email, csrfToken, now, now);
+  return { sid, csrfToken };
+}
+
+// Returns { email, csrfToken } for a live session, or null
+function getSession(sid) {
+  const key = sessionKey(sid);
+  const row = sessionStmts.get.get(key);
+  if (!row) return null;
+  const now = Date.now();
+  if (now - row.last_seen_at > SESSION_IDLE_MS || now - row.created_at > SESSION_MAX_MS) {
+    sessionStmts.delete.run(key);
+    return null;
+  }
+  if (now - row.last_seen_at > SESSION_TOUCH_MS) sessionStmts.touch.run(now, key);
+  return { email: row.email, csrfToken: row.csrf_token };
+}
+
+// Compares a CSRF token sent with a request to the session's, in constant time
+function csrfTokenMatches(given, expected) {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(String(expected || ''));
+  return b.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function deleteSession(sid) {
+  sessionStmts.delete.run(sessionKey(sid));
+}
+
+// Logs a user out everywhere, except from the session keepSid if given
+function deleteUserSessions(email, keepSid = null) {
+  sessionStmts.deleteForUser.run(email, keepSid ? sessionKey(keepSid) : '');
+}
+
+function pruneSessions() {
+  const now = Date.now();
+  sessionStmts.prune.run(now - SESSION_IDLE_MS, now - SESSION_MAX_MS);
+}
+
+pruneSessions();
+setInterval(pruneSessions, 60 * 60 * 1000).unref();
+
+// ------- Login throttling -------
+// After MAX_FAILED_LOGINS failures for the same key (client IP or email)
+// within LOGIN_WINDOW_MS, further attempts are refused until the window ends.
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const failedLogins = new Map();
+
+// Milliseconds until any of the keys may try again, 0 if none is blocked
+function loginRetryAfter(keys) {
+  const now = Date.now();
+  let wait = 0;
+  for (const key of keys) {
+    const entry = failedLogins.get(key);
+    if (!entry) continue;
+    if (now - entry.first > LOGIN_WINDOW_MS) failedLogins.delete(key);
+    else if (entry.count >= MAX_FAILED_LOGINS) wait = Math.max(wait, entry.first + LOGIN_WINDOW_MS - now);
+  }
+  return wait;
+}
+
+function recordFailedLogin(keys) {
+  const now = Date.now();
+  if (failedLogins.size > 10000) {
+    for (const [key, entry] of failedLogins) if (now - entry.first > LOGIN_WINDOW_MS) failedLogins.delete(key);
+  }
+  for (const key of keys) {
+    const entry = failedLogins.get(key);
+    if (!entry || now - entry.first > LOGIN_WINDOW_MS) failedLogins.set(key, { first: now, count: 1 });
+    else entry.count++;
+  }
+}
+
+function clearFailedLogins(keys) {
+  keys.forEach((key) => failedLogins.delete(key));
+}
+
+module.exports = {
+  SESSION_MAX_MS,
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  createSession,
+  getSession,
+  csrfTokenMatches,
+  deleteSession,
+  deleteUserSessions,
+  loginRetryAfter,
+  recordFailedLogin,
+  clearFailedLogins,
+};
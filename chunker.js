@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+
+// ------- Chunking -------
+const DEFAULT_CHUNK_SIZE = 1000;
+const DEFAULT_CHUNK_OVERLAP = 200;
+const MIN_CHUNK_SIZE = 100;
+const MAX_CHUNK_SIZE = 10000;
+
+// Splits text into overlapping character windows, preferring to cut on a
+// paragraph, line, sentence or word boundary in the second half of a window.
+function chunkText(text, chunkSize = DEFAULT_CHUNK_SIZE, chunkOverlap = DEFAULT_CHUNK_OVERLAP) {
+  const size = Math.max(MIN_CHUNK_SIZE, Math.floor(chunkSize) || DEFAULT_CHUNK_SIZE);
+  const overlap = Math.min(Math.max(0, Math.floor(chunkOverlap) || 0), Math.floor(size / 2));
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + size, text.length);
+    if (end < text.length) {
+      const windowStart = start + Math.floor(size / 2);
+      const window = text.slice(windowStart, end);
+      for (const sep of ['\n\n', '\n', '. ', ' ']) {
+        const idx = window.lastIndexOf(sep);
+        if (idx !== -1) {
+          end = windowStart + idx + sep.length;
+          break;
+        }
+      }
+    }
+    const piece = text.slice(start, end);
+    if (piece.trim()) chunks.push({ text: piece, start, end });
+    if (end >= text.length) break;
+    start = Math.max(end - overlap, start + 1);
+  }
+  return chunks;
+}
+
+// The text chunkText split, rebuilt from its chunks in order with the overlap
+// between neighbours included once. Chunks without offsets (stored before
+// they were recorded) and whitespace-only stretches that were never stored
+// as chunks come back separated by a blank line.
+function joinChunks(chunks) {
+  let text = '';
+  let end = null;
+  for (const { text: chunk = '', start, end: chunkEnd } of chunks) {
+    if (start == null || chunkEnd == null || end == null || start >= end) {
+      text += (text && (start == null || end == null || start > end) ? '\n\n' : '') + chunk;
+    } else {
+      text += chunk.slice(end - start);
+    }
+    end = chunkEnd ?? null;
+  }
+  return text;
+}
+
+// Documents with the same hash hold the same text; see the upload dedupe
+function contentHash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_CHUNK_OVERLAP,
+  MIN_CHUNK_SIZE,
+  MAX_CHUNK_SIZE,
+  chunkText,
+  joinChunks,
+  contentHash,
+};
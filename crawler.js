@@ -0,0 +1,304 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { htmlToText } = require('./extractors');
+
+// ------- Website Crawler -------
+// Walks a website breadth-first from a start page, or from the pages listed in
+// a sitemap, staying on the start URL's host and within a depth and page
+// limit. robots.txt is honoured, including Crawl-delay, as are
+// <meta name="robots"> noindex and nofollow. Each HTML or plain-text page is
+// handed to onPage with its main content as text.
+//
+// Hosts that resolve to loopback, private or link-local addresses (internal
+// services, cloud metadata) are refused unless CRAWL_ALLOW_PRIVATE_HOSTS is
+// true. Redirects are followed by hand so each hop is checked first, and the
+// address is checked again when connecting in case the DNS answer changed.
+const CRAWLER_USER_AGENT = process.env.CRAWLER_USER_AGENT || 'dotMeBot/1.0';
+const CRAWL_DELAY_MS = Math.max(0, Number(process.env.CRAWL_DELAY_MS ?? 250) || 0);
+const CRAWL_ALLOW_PRIVATE_HOSTS = process.env.CRAWL_ALLOW_PRIVATE_HOSTS === 'true';
+const MAX_REDIRECTS = 5;
+const MAX_CRAWL_DELAY_MS = 10000;
+const CRAWL_TIMEOUT_MS = 15000;
+const MAX_PAGE_BYTES = 5 * 1024 * 1024;
+// Sitemap indexes can nest; this many sitemap files are read at most
+const MAX_SITEMAPS = 20;
+
+// A crawl that can't work however often it is retried, e.g. a start URL that
+// robots.txt disallows
+class CrawlError extends Error {}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Absolute http(s) URL without its fragment, or null
+function normalizeUrl(href, base) {
+  let url;
+  try {
+    url = new URL(href, base);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+  url.hash = '';
+  return url.href;
+}
+
+// ---- Address checks ----
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+// Includes IPv4-mapped addresses, which reach the IPv4 ranges above
+[['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Throws a CrawlError when hostname is, or resolves to, a private address
+async function assertPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(a => a.address);
+    } catch (e) {
+      // May be a passing DNS failure, so not a CrawlError
+      throw new Error(`Cannot resolve ${host}: ${e.code || e.message}`);
+    }
+  }
+  if (addresses.some(isPrivateAddress)) throw new CrawlError(`${host} is a private address and is not crawled`);
+}
+
+// dns.lookup for the HTTP agents; refuses private addresses at connect time
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some(a => isPrivateAddress(a.address))) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const publicAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+};
+
+function getUrl(url, allowPrivate) {
+  return axios.get(url, {
+    timeout: CRAWL_TIMEOUT_MS,
+    maxContentLength: MAX_PAGE_BYTES,
+    maxRedirects: 0,
+    responseType: 'text',
+    transformResponse: (data) => data,
+    validateStatus: () => true,
+    headers: { 'User-Agent': CRAWLER_USER_AGENT, Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,text/plain;q=0.8' },
+    ...(allowPrivate ? {} : publicAgents),
+  });
+}
+
+// Resolves to { url, res } for the last hop. A redirect to another host than
+// host (when given) is not followed; res is then null and url where it led.
+async function fetchUrl(url, { host, allowPrivate = false } = {}) {
+  let current = url;
+  for (let hop = 0; ; hop++) {
+    const target = new URL(current);
+    if (host && target.host !== host) return { url: current, res: null };
+    if (!allowPrivate) await assertPublicHost(target.hostname);
+    const res = await getUrl(current, allowPrivate);
+    const location = res.status >= 300 && res.status < 400 ? res.headers.location : null;
+    if (!location) return { url: current, res };
+    if (hop >= MAX_REDIRECTS) throw new Error(`Too many redirects from ${url}`);
+    const next = normalizeUrl(location, current);
+    if (!next) return { url: current, res: null };
+    current = next;
+  }
+}
+
+// ---- robots.txt ----
+// The rules of the group naming this crawler, else of the * group
+function parseRobots(text) {
+  const token = CRAWLER_USER_AGENT.split('/')[0].toLowerCase();
+  const groups = [];
+  let group = null;
+  let lastWasAgent = false;
+  for (const raw of String(text).split(/\r?\n/)) {
+    const line = raw.replace(/#.*/, '').trim();
+    const i = line.indexOf(':');
+    if (i === -1) continue;
+    const field = line.slice(0, i).trim().toLowerCase();
+    const value = line.slice(i + 1).trim();
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!group) continue;
+    if (field === 'allow' || field === 'disallow') group.rules.push({ allow: field === 'allow', path: value });
+    if (field === 'crawl-delay' && Number(value) >= 0) group.crawlDelay = Number(value);
+  }
+  const match = groups.find(g => g.agents.some(a => a !== '*' && token.includes(a)))
+    || groups.find(g => g.agents.includes('*'));
+  return { rules: match?.rules.filter(r => r.path) || [], crawlDelay: match?.crawlDelay ?? null };
+}
+
+function robotsPathMatches(pattern, target) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`).test(target);
+}
+
+// The longest matching rule wins, Allow on a tie
+function robotsAllows(robots, url) {
+  const { pathname, search } = new URL(url);
+  const target = pathname + search;
+  let best = null;
+  for (const rule of robots.rules) {
+    if (!robotsPathMatches(rule.path, target)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) best = rule;
+  }
+  return !best || best.allow;
+}
+
+// A missing robots.txt allows everything. When the server fails to serve it
+// nothing may be crawled (RFC 9309), so the crawl fails and is retried later.
+async function loadRobots(startUrl, allowPrivate) {
+  const { res } = await fetchUrl(new URL('/robots.txt', startUrl).href, { allowPrivate });
+  if (res?.status >= 500) throw new Error(`robots.txt answered ${res.status}`);
+  if (!res || res.status >= 400) return { rules: [], crawlDelay: null };
+  return parseRobots(res.data);
+}
+
+// ---- Pages ----
+function isSitemap(contentType, body) {
+  return /xml/.test(contentType) && /<(urlset|sitemapindex)[\s>]/.test(body);
+}
+
+function sitemapEntries(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const locs = (selector) => $(selector).map((_, el) => $(el).text().trim()).get().filter(Boolean);
+  return { pages: locs('url > loc'), sitemaps: locs('sitemap > loc') };
+}
+
+function robotsMeta($) {
+  const content = $('meta[name="robots" i]').map((_, el) => $(el).attr('content') || '').get().join(',').toLowerCase();
+  return { noindex: /\b(noindex|none)\b/.test(content), nofollow: /\b(nofollow|none)\b/.test(content) };
+}
+
+function pageLinks($, base) {
+  return $('a[href]')
+    .filter((_, el) => !/\bnofollow\b/i.test($(el).attr('rel') || ''))
+    .map((_, el) => normalizeUrl($(el).attr('href'), base))
+    .get()
+    .filter(Boolean);
+}
+
+// options: { url, maxDepth, maxPages, onProgress(fraction), allowPrivateHosts }.
+// onPage({ url, title, text }) is awaited for every page; what it throws ends
+// the crawl. Resolves to counts of the pages seen, plus unreachable: the URLs
+// that failed with a network or server error and may well still exist.
+async function crawlSite({
+  url, maxDepth = 2, maxPages = 50, onProgress, allowPrivateHosts: allowPrivate = CRAWL_ALLOW_PRIVATE_HOSTS,
+} = {}, onPage) {
+  const start = normalizeUrl(url);
+  if (!start) throw new CrawlError(`Not an http(s) URL: ${url}`);
+  const host = new URL(start).host;
+  const robots = await loadRobots(start, allowPrivate);
+  if (!robotsAllows(robots, start)) throw new CrawlError(`robots.txt does not allow crawling ${start}`);
+  const delay = Math.min(Math.max(CRAWL_DELAY_MS, (robots.crawlDelay ?? 0) * 1000), MAX_CRAWL_DELAY_MS);
+  const queue = [{ url: start, depth: 0 }];
+  const seen = new Set([start]);
+  const stats = { pages: 0, failed: 0, blocked: 0, skipped: 0 };
+  const unreachable = [];
+  let fetched = 0;
+  let sitemaps = 0;
+  const enqueue = (next, depth) => {
+    if (!next || seen.has(next) || new URL(next).host !== host) return;
+    seen.add(next);
+    queue.push({ url: next, depth });
+  };
+  while (queue.length && stats.pages < maxPages) {
+    const { url: pageUrl, depth } = queue.shift();
+    if (!robotsAllows(robots, pageUrl)) {
+      stats.blocked++;
+      continue;
+    }
+    if (fetched > 0 && delay) await sleep(delay);
+    fetched++;
+    let res;
+    let finalUrl;
+    try {
+      ({ res, url: finalUrl } = await fetchUrl(pageUrl, { host, allowPrivate }));
+    } catch (e) {
+      // An unreachable start page may come back; let the caller retry
+      if (pageUrl === start) throw e;
+      stats.failed++;
+      unreachable.push(pageUrl);
+      continue;
+    }
+    if (!res) {
+      if (pageUrl === start) throw new CrawlError(`${start} redirects to ${finalUrl} on another host; add that URL instead`);
+      stats.skipped++;
+      continue;
+    }
+    if (res.status >= 400) {
+      if (pageUrl === start) {
+        const error = new Error(`${start} answered ${res.status}`);
+        throw res.status >= 500 || res.status === 429 ? error : new CrawlError(error.message);
+      }
+      stats.failed++;
+      if (res.status >= 500 || res.status === 429) unreachable.push(pageUrl);
+      continue;
+    }
+    seen.add(finalUrl);
+    const contentType = String(res.headers['content-type'] || '');
+    const body = String(res.data ?? '');
+    if (isSitemap(contentType, body)) {
+      if (++sitemaps > MAX_SITEMAPS) continue;
+      const entries = sitemapEntries(body);
+      entries.sitemaps.forEach(loc => enqueue(normalizeUrl(loc, finalUrl), depth));
+      entries.pages.forEach(loc => enqueue(normalizeUrl(loc, finalUrl), depth));
+      continue;
+    }
+    let page;
+    let links = [];
+    if (/html/.test(contentType)) {
+      const $ = cheerio.load(body);
+      const meta = robotsMeta($);
+      if (!meta.nofollow) links = pageLinks($, finalUrl);
+      if (!meta.noindex) page = { url: finalUrl, title: $('title').first().text().trim(), text: htmlToText(body, { mainContent: true }) };
+    } else if (/text\/plain/.test(contentType)) {
+      page = { url: finalUrl, title: '', text: body.trim() };
+    }
+    if (page?.text) {
+      await onPage(page);
+      stats.pages++;
+      onProgress?.(stats.pages / maxPages);
+    } else {
+      stats.skipped++;
+    }
+    if (depth < maxDepth) links.forEach(link => enqueue(link, depth + 1));
+  }
+  return { ...stats, unreachable };
+}
+
+module.exports = { crawlSite, normalizeUrl, parseRobots, robotsAllows, CrawlError };
@@ -0,0 +1,269 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+
+const DB_FILE = process.env.DB_FILE || 'mealme.db';
+const LEGACY_HISTORY_FILE = 'chathistory.json';
+const AGENTS_FILE = 'agents.json';
+const USERS_FILE = 'users.json';
+
+// Parsed JSON file, or null if it doesn't exist. A file that exists but
+// can't be parsed throws, so a migration never imports half a config.
+function readJsonFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+  return JSON.parse(text);
+}
+
+const db = new Database(DB_FILE);
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+
+// ------- Migrations -------
+// Applied in order, each inside its own transaction. PRAGMA user_version
+// records how many have run, so only new entries execute on start-up.
+// Never edit a migration that has shipped; append a new one instead.
+const migrations = [
+  function conversations(db) {
+    db.exec(`
+      CREATE TABLE conversations (
+        id TEXT PRIMARY KEY,
+        agent_id TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        external_user_id TEXT NOT NULL,
+        title TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE INDEX conversations_lookup ON conversations (agent_id, channel, external_user_id, updated_at);
+      CREATE TABLE messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id TEXT NOT NULL REFERENCES conversations (id) ON DELETE CASCADE,
+        role TEXT NOT NULL,
+        text TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        prompt_tokens INTEGER,
+        completion_tokens INTEGER
+      );
+      CREATE INDEX messages_conversation ON messages (conversation_id, id);
+    `);
+  },
+  // One-off import of the Telegram history that used to live in chathistory.json
+  function importTelegramHistory(db) {
+    let history;
+    try {
+      history = JSON.parse(fs.readFileSync(LEGACY_HISTORY_FILE, 'utf8'));
+    } catch {
+      return;
+    }
+    const insertConversation = db.prepare(`
+      INSERT INTO conversations (id, agent_id, channel, external_user_id, created_at, updated_at)
+      VALUES (?, ?, 'telegram', ?, ?, ?)
+    `);
+    const insertMessage = db.prepare('INSERT INTO messages (conversation_id, role, text, created_at) VALUES (?, ?, ?, ?)');
+    const now = Date.now();
+    for (const [agentId, chats] of Object.entries(history || {})) {
+      for (const [chatId, msgs] of Object.entries(chats || {})) {
+        const id = crypto.randomUUID();
+        insertConversation.run(id, agentId, String(chatId), now, now);
+        (msgs || []).forEach((m) => insertMessage.run(id, m.role, m.text || '', now));
+      }
+    }
+  },
+  // Full-text index over message text for the history browser
+  function messageSearch(db) {
+    db.exec(`
+      CREATE VIRTUAL TABLE messages_fts USING fts5 (text, content = 'messages', content_rowid = 'id');
+      CREATE TRIGGER messages_fts_insert AFTER INSERT ON messages BEGIN
+        INSERT INTO messages_fts (rowid, text) VALUES (new.id, new.text);
+      END;
+      CREATE TRIGGER messages_fts_delete AFTER DELETE ON messages BEGIN
+        INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.id, old.text);
+      END;
+      CREATE TRIGGER messages_fts_update AFTER UPDATE OF text ON messages BEGIN
+        INSERT INTO messages_fts (messages_fts, rowid, text) VALUES ('delete', old.id, old.text);
+        INSERT INTO messages_fts (rowid, text) VALUES (new.id, new.text);
+      END;
+      INSERT INTO messages_fts (messages_fts) VALUES ('rebuild');
+      CREATE INDEX messages_created ON messages (created_at);
+    `);
+  },
+  // Keys for the /api/v1 REST API; only a SHA-256 hash of each key is stored
+  function apiKeys(db) {
+    db.exec(`
+      CREATE TABLE api_keys (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        scopes TEXT NOT NULL,
+        created_by TEXT,
+        created_at INTEGER NOT NULL,
+        last_used_at INTEGER,
+        revoked_at INTEGER
+      );
+    `);
+  },
+  // Login sessions; the id column holds a SHA-256 hash of the session cookie
+  function sessions(db) {
+    db.exec(`
+      CREATE TABLE sessions (
+        id TEXT PRIMARY KEY,
+        email TEXT NOT NULL,
+        csrf_token TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        last_seen_at INTEGER NOT NULL
+      );
+      CREATE INDEX sessions_email ON sessions (email);
+    `);
+  },
+  // Deleted agents; their conversations stay in the history under this name
+  function archivedAgents(db) {
+    db.exec(`
+      CREATE TABLE archived_agents (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        settings TEXT NOT NULL,
+        deleted_by TEXT,
+        deleted_at INTEGER NOT NULL
+      );
+    `);
+  },
+  // Agents and users move out of agents.json and users.json (see store.js);
+  // the files are imported once and then left alone.
+  function configStore(db) {
+    db.exec(`
+      CREATE TABLE agents (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        data TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE TABLE users (
+        email TEXT PRIMARY KEY,
+        password TEXT NOT NULL,
+        is_admin INTEGER NOT NULL DEFAULT 0,
+        must_change_password INTEGER NOT NULL DEFAULT 0,
+        agent_roles TEXT NOT NULL DEFAULT '{}',
+        updated_at INTEGER NOT NULL
+      );
+    `);
+    const now = Date.now();
+    const insertAgent = db.prepare('INSERT INTO agents (id, name, data, updated_at) VALUES (?, ?, ?, ?)');
+    for (const [id, agent] of Object.entries(readJsonFile(AGENTS_FILE) || {})) {
+      insertAgent.run(id, agent.name || id, JSON.stringify({ ...agent, id }), now);
+    }
+    const insertUser = db.prepare(`
+      INSERT INTO users (email, password, is_admin, must_change_password, agent_roles, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    for (const [email, user] of Object.entries(readJsonFile(USERS_FILE) || {})) {
+      insertUser.run(email, user.password, user.isAdmin ? 1 : 0, user.mustChangePassword ? 1 : 0, JSON.stringify(user.agentRoles || {}), now);
+    }
+  },
+  // Snapshots of agent settings on every change; bot messages note the
+  // version that answered them
+  function agentVersions(db) {
+    db.exec(`
+      CREATE TABLE agent_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        agent_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        settings TEXT NOT NULL,
+        author TEXT,
+        note TEXT,
+        created_at INTEGER NOT NULL,
+        UNIQUE (agent_id, version)
+      );
+      ALTER TABLE messages ADD COLUMN agent_version INTEGER;
+    `);
+  },
+  // Keyword (BM25) index over document chunks, searched next to the vectors;
+  // existing chunks are indexed from Qdrant on start-up
+  function chunkKeywords(db) {
+    db.exec(`
+      CREATE VIRTUAL TABLE chunk_keywords USING fts5 (
+        text, name, agent_id UNINDEXED, point_id UNINDEXED, doc_id UNINDEXED,
+        tokenize = 'porter unicode61'
+      );
+    `);
+  },
+  // Background jobs (see jobs.js); uploaded files wait in job_items.content
+  // until they are ingested
+  function jobs(db) {
+    db.exec(`
+      CREATE TABLE jobs (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        agent_id TEXT NOT NULL,
+        state TEXT NOT NULL,
+        created_by TEXT,
+        created_at INTEGER NOT NULL,
+        started_at INTEGER,
+        finished_at INTEGER
+      );
+      CREATE INDEX jobs_agent ON jobs (agent_id, created_at);
+      CREATE TABLE job_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT NOT NULL REFERENCES jobs (id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        content BLOB,
+        options TEXT NOT NULL DEFAULT '{}',
+        state TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER NOT NULL DEFAULT 0,
+        result TEXT,
+        error TEXT
+      );
+      CREATE INDEX job_items_job ON job_items (job_id, id);
+      CREATE INDEX job_items_queue ON job_items (state, next_attempt_at);
+    `);
+  },
+  // Websites crawled into an agent's documents; source_pages remembers each
+  // page's document and text hash so a re-crawl only updates changed pages
+  function urlSources(db) {
+    db.exec(`
+      CREATE TABLE url_sources (
+        id TEXT PRIMARY KEY,
+        agent_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        max_depth INTEGER NOT NULL,
+        max_pages INTEGER NOT NULL,
+        interval_minutes INTEGER NOT NULL DEFAULT 0,
+        tags TEXT NOT NULL DEFAULT '{}',
+        created_by TEXT,
+        created_at INTEGER NOT NULL,
+        last_job_id TEXT,
+        last_crawled_at INTEGER
+      );
+      CREATE INDEX url_sources_agent ON url_sources (agent_id);
+      CREATE TABLE source_pages (
+        source_id TEXT NOT NULL REFERENCES url_sources (id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        doc_id TEXT NOT NULL,
+        content_hash TEXT NOT NULL,
+        crawled_at INTEGER NOT NULL,
+        PRIMARY KEY (source_id, url)
+      );
+    `);
+  },
+];
+
+function migrate() {
+  const current = db.pragma('user_version', { simple: true });
+  migrations.slice(current).forEach((migration, i) => {
+    db.transaction(() => {
+      migration(db);
+      db.pragma(`user_version = ${current + i + 1}`);
+    })();
+    console.log(`Applied migration ${current + i + 1}: ${migration.name}`);
+  });
+}
+
+migrate();
+
+module.exports = db;
@@ -0,0 +1,64 @@
+// ------- Line Diff -------
+// Longest-common-subsequence diff of two texts, line by line, shaped for a
+// side-by-side view. Each row is { type, left, right } where type is same,
+// removed, added or changed, and left/right are the old and new line (null on
+// the side that has none). Removals directly followed by additions are paired
+// into changed rows.
+const MAX_DIFF_CELLS = 4000000;
+
+function diffLines(before, after) {
+  const a = String(before ?? '').split('\n');
+  const b = String(after ?? '').split('\n');
+  const ops = [];
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    // Too large to compare line by line; show it as replaced wholesale
+    a.forEach(line => ops.push({ type: 'removed', left: line, right: null }));
+    b.forEach(line => ops.push({ type: 'added', left: null, right: line }));
+    return pairChanges(ops);
+  }
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: 'same', left: a[i++], right: b[j++] });
+    } else if (j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ type: 'removed', left: a[i++], right: null });
+    } else {
+      ops.push({ type: 'added', left: null, right: b[j++] });
+    }
+  }
+  return pairChanges(ops);
+}
+
+function pairChanges(ops) {
+  const rows = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      const left = k < removed.length ? removed[k] : null;
+      const right = k < added.length ? added[k] : null;
+      rows.push({ type: left !== null && right !== null ? 'changed' : left !== null ? 'removed' : 'added', left, right });
+    }
+    removed = [];
+    added = [];
+  };
+  for (const op of ops) {
+    if (op.type === 'removed') removed.push(op.left);
+    else if (op.type === 'added') added.push(op.right);
+    else {
+      flush();
+      rows.push(op);
+    }
+  }
+  flush();
+  return rows;
+}
+
+module.exports = { diffLines };
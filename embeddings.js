@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { CohereEmbeddings } = require('@langchain/cohere');
+const { OpenAIEmbeddings } = require('@langchain/openai');
+
+// ------- Local hashing embeddings -------
+// Deterministic feature-hashing vectors built from words and character
+// trigrams. No network or model download, so the whole stack runs offline.
+function hashFeature(feature, dimension) {
+  const h = crypto.createHash('md5').update(feature).digest();
+  return { index: h.readUInt32LE(0) % dimension, sign: h[4] & 1 ? 1 : -1 };
+}
+
+function localEmbed(text, dimension) {
+  const vector = new Array(dimension).fill(0);
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const counts = new Map();
+  for (const w of words) {
+    counts.set(`w:${w}`, (counts.get(`w:${w}`) || 0) + 1);
+    const padded = ` ${w} `;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      const g = `g:${padded.slice(i, i + 3)}`;
+      counts.set(g, (counts.get(g) || 0) + 0.5);
+    }
+  }
+  for (const [feature, tf] of counts) {
+    const { index, sign } = hashFeature(feature, dimension);
+    vector[index] += sign * (1 + Math.log(tf + 1));
+  }
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+class LocalEmbeddings {
+  constructor(dimension) {
+    this.dimension = dimension;
+  }
+
+  async embedDocuments(texts) {
+    return texts.map(t => localEmbed(t, this.dimension));
+  }
+
+  async embedQuery(text) {
+    return localEmbed(text, this.dimension);
+  }
+}
+
+// ------- Providers -------
+// models maps known model names to their output dimension. Providers with
+// otherModels also take names not listed, which are probed with a single
+// embedding call the first time they are used.
+const EMBEDDING_PROVIDERS = {
+  cohere: {
+    label: 'Cohere',
+    defaultModel: 'embed-v4.0',
+    models: {
+      'embed-v4.0': 1536,
+      'embed-english-v3.0': 1024,
+      'embed-multilingual-v3.0': 1024,
+      'embed-english-light-v3.0': 384,
+      'embed-multilingual-light-v3.0': 384,
+    },
+    otherModels: true,
+    create: (model) => new CohereEmbeddings({ apiKey: process.env.COHERE_API_KEY, model }),
+  },
+  openai: {
+    label: 'OpenAI',
+    defaultModel: 'text-embedding-3-small',
+    models: {
+      'text-embedding-3-small': 1536,
+      'text-embedding-3-large': 3072,
+      'text-embedding-ada-002': 1536,
+    },
+    otherModels: true,
+    create: (model) => new OpenAIEmbeddings({ apiKey: process.env.OPENAI_API_KEY, model }),
+  },
+  local: {
+    label: 'Local (offline)',
+    defaultModel: 'hash-384',
+    models: {
+      'hash-384': 384,
+      'hash-768': 768,
+    },
+    create: (model) => new LocalEmbeddings(EMBEDDING_PROVIDERS.local.models[model]),
+  },
+};
+
+const DEFAULT_EMBEDDING_PROVIDER = 'cohere';
+const embedders = {};
+const probedDimensions = {};
+
+// Model names as the providers publish them, e.g. embed-v4.0
+const MODEL_NAME = /^[A-Za-z0-9][A-Za-z0-9._:/-]{0,99}$/;
+
+function isEmbeddingModel(provider, model) {
+  const p = EMBEDDING_PROVIDERS[provider];
+  if (!p || typeof model !== 'string') return false;
+  return Object.hasOwn(p.models, model) || (Boolean(p.otherModels) && MODEL_NAME.test(model));
+}
+
+// A model the provider doesn't take falls back to its default one
+function resolveEmbeddingSettings({ provider, model } = {}) {
+  const name = EMBEDDING_PROVIDERS[provider] ? provider : DEFAULT_EMBEDDING_PROVIDER;
+  return { provider: name, model: isEmbeddingModel(name, model) ? model : EMBEDDING_PROVIDERS[name].defaultModel };
+}
+
+function getEmbedder(settings) {
+  const { provider, model } = resolveEmbeddingSettings(settings);
+  const key = `${provider}:${model}`;
+  if (!embedders[key]) {
+    const impl = EMBEDDING_PROVIDERS[provider].create(model);
+    embedders[key] = {
+      provider,
+      model,
+      embedDocuments: (texts) => impl.embedDocuments(texts),
+      embedQuery: (text) => impl.embedQuery(text),
+      async dimension() {
+        const known = EMBEDDING_PROVIDERS[provider].models[model] || probedDimensions[key];
+        if (known) return known;
+        probedDimensions[key] = (await impl.embedQuery('dimension probe')).length;
+        return probedDimensions[key];
+      },
+    };
+  }
+  return embedders[key];
+}
+
+module.exports = {
+  EMBEDDING_PROVIDERS,
+  DEFAULT_EMBEDDING_PROVIDER,
+  isEmbeddingModel,
+  resolveEmbeddingSettings,
+  getEmbedder,
+};
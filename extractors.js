@@ -0,0 +1,171 @@
+const path = require('path');
+const cheerio = require('cheerio');
+const mammoth = require('mammoth');
+const pdfParse = require('pdf-parse');
+
+const SUPPORTED_EXTENSIONS = ['.txt', '.md', '.markdown', '.pdf', '.docx', '.html', '.htm', '.csv', '.json'];
+
+// ------- Plain text -------
+function bufferToText(buffer) {
+  const text = buffer.toString('utf8');
+  if (text.includes('\u0000')) throw new Error('File does not look like text');
+  return text.replace(/^\uFEFF/, '');
+}
+
+// ------- HTML -------
+const BLOCK_TAGS = 'p,div,section,article,main,header,footer,aside,nav,li,ul,ol,table,tr,h1,h2,h3,h4,h5,h6,blockquote,pre,dt,dd';
+
+// Page chrome left out when only the main content is wanted
+const CHROME_SELECTORS = 'nav,header,footer,aside,form,[role=navigation],[role=banner],[role=contentinfo],[role=complementary],[aria-hidden=true]';
+
+// mainContent keeps only the page's <main> or <article> when it has one, and
+// drops navigation, headers, footers and sidebars; used for crawled pages
+function htmlToText(html, { mainContent = false } = {}) {
+  const $ = cheerio.load(html);
+  const title = $('title').first().text().trim();
+  $('script,style,noscript,template,svg,iframe,head').remove();
+  if (mainContent) $(CHROME_SELECTORS).remove();
+  $('br').replaceWith('\n');
+  $('td,th').append(' ');
+  $(BLOCK_TAGS).each((_, el) => {
+    $(el).prepend('\n');
+    $(el).append('\n');
+  });
+  const main = mainContent ? $('main,[role=main],article').filter((_, el) => $(el).text().trim()).first() : $();
+  const body = main.length ? main.text() : $('body').length ? $('body').text() : $.root().text();
+  const text = body
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return title && !text.startsWith(title) ? `${title}\n\n${text}` : text;
+}
+
+// ------- CSV -------
+function parseCsv(text) {
+  const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error('Malformed CSV: unterminated quoted field');
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(v => v.trim()));
+}
+
+// Each row becomes its own record with the header repeated, so a chunk that
+// only holds part of the table still says what every value means.
+function csvToRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return '';
+  const columns = header.map((h, i) => h.trim() || `column ${i + 1}`);
+  return rows
+    .map((r, n) => [`Row ${n + 1}`, ...columns.map((c, i) => `${c}: ${(r[i] || '').trim()}`)].join('\n'))
+    .join('\n\n');
+}
+
+// ------- JSON -------
+function flattenJson(value, prefix = '', lines = []) {
+  if (Array.isArray(value)) {
+    if (!value.length) lines.push(`${prefix}: []`);
+    value.forEach((v, i) => flattenJson(v, `${prefix}[${i}]`, lines));
+  } else if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (!entries.length) lines.push(`${prefix}: {}`);
+    entries.forEach(([k, v]) => flattenJson(v, prefix ? `${prefix}.${k}` : k, lines));
+  } else {
+    lines.push(`${prefix || 'value'}: ${value}`);
+  }
+  return lines;
+}
+
+function jsonToLines(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid JSON: ${e.message}`);
+  }
+  return flattenJson(data).join('\n');
+}
+
+// ------- Dispatcher -------
+// file: { originalname, buffer } as produced by multer's memory storage
+async function extractText(file) {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  let text;
+  switch (ext) {
+    case '.pdf':
+      try {
+        text = (await pdfParse(file.buffer)).text;
+      } catch (e) {
+        throw new Error(`Could not read PDF: ${e.message || e}`);
+      }
+      break;
+    case '.docx':
+      try {
+        text = (await mammoth.extractRawText({ buffer: file.buffer })).value;
+      } catch (e) {
+        throw new Error(`Could not read DOCX: ${e.message || e}`);
+      }
+      break;
+    case '.html':
+    case '.htm':
+      text = htmlToText(bufferToText(file.buffer));
+      break;
+    case '.csv':
+      text = csvToRecords(bufferToText(file.buffer));
+      break;
+    case '.json':
+      text = jsonToLines(bufferToText(file.buffer));
+      break;
+    case '.txt':
+    case '.md':
+    case '.markdown':
+      text = bufferToText(file.buffer);
+      break;
+    default:
+      throw new Error(`Unsupported file type: ${ext || 'no extension'}`);
+  }
+  if (!text || !text.trim()) throw new Error('No text could be extracted');
+  return text.trim();
+}
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  extractText,
+  htmlToText,
+  csvToRecords,
+  flattenJson,
+};
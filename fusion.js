@@ -0,0 +1,21 @@
+// ------- Rank Fusion -------
+// Reciprocal rank fusion of ranked id lists. Each list is { name, ids } with
+// the best id first; an id scores 1 / (RRF_K + rank) in every list that holds
+// it. Returns [{ id, score, via }] best first, where via names the lists the
+// id came from. Ties keep the order in which the ids were first seen.
+const RRF_K = 60;
+
+function fuseRankings(lists) {
+  const fused = new Map();
+  for (const { name, ids } of lists) {
+    ids.forEach((id, i) => {
+      if (!fused.has(id)) fused.set(id, { id, score: 0, via: [] });
+      const entry = fused.get(id);
+      entry.score += 1 / (RRF_K + i + 1);
+      entry.via.push(name);
+    });
+  }
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+module.exports = { RRF_K, fuseRankings };
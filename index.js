@@ -1,101 +1,374 @@
 require('dotenv').config();
 const express = require('express');
 const axios = require('axios');
-const { CohereEmbeddings } = require('@langchain/cohere');
 const { QdrantClient } = require('@qdrant/js-client-rest');
-const fs = require('fs');
 const crypto = require('crypto');
 const cookie = require('cookie');
+const multer = require('multer');
+const db = require('./db');
+const { configStore } = require('./store');
+const { SUPPORTED_EXTENSIONS, extractText } = require('./extractors');
+const { createApiRouter } = require('./openapi');
+const { diffLines } = require('./diff');
+const { fuseRankings } = require('./fusion');
+const {
+  AGENT_ROLES,
+  ROLE_ORDER,
+  CHANNEL_SETTINGS,
+  OWNER_SETTINGS,
+  roleAtLeast,
+  createAccessControl,
+} = require('./roles');
+const {
+  MetadataError,
+  parseTags,
+  tagQuery,
+  formatTags,
+  parseValidity,
+  metadataChanges,
+  documentMetadata,
+  editedMetadata,
+  metadataPayload,
+  retrievalFilter,
+} = require('./tags');
+const { RERANKERS, getReranker } = require('./rerank');
+const { createJobQueue, PermanentJobError } = require('./jobs');
+const { crawlSite, normalizeUrl, CrawlError } = require('./crawler');
+const {
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_CHUNK_OVERLAP,
+  MIN_CHUNK_SIZE,
+  MAX_CHUNK_SIZE,
+  chunkText,
+  joinChunks,
+  contentHash,
+} = require('./chunker');
+const {
+  splitMessage,
+  markdownToTelegramHtml,
+  verifyMessengerSignature,
+  verifyViberSignature,
+} = require('./messaging');
+const {
+  SESSION_MAX_MS,
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  createSession,
+  getSession,
+  csrfTokenMatches,
+  deleteSession,
+  deleteUserSessions,
+  loginRetryAfter,
+  recordFailedLogin,
+  clearFailedLogins,
+} = require('./auth');
+const { API_SCOPES, createApiKey, findApiKey, listApiKeys, revokeApiKey, authorizeApiKey } = require('./apikeys');
+const { EMBEDDING_PROVIDERS, isEmbeddingModel, resolveEmbeddingSettings, getEmbedder } = require('./embeddings');
+const {
+  LLM_PROVIDERS,
+  DEFAULT_LLM_TIMEOUT_MS,
+  DEFAULT_LLM_MAX_RETRIES,
+  resolveLLMSettings,
+  chatCompletion,
+  streamCompletion,
+  LLMConfigError,
+  LLMAuthError,
+  LLMRateLimitError,
+  LLMTimeoutError,
+  LLMUnavailableError,
+  LLMBadRequestError,
+} = require('./llm');
+const {
+  CONTEXT_PLACEMENTS,
+  PROMPT_DEFAULTS,
+  PROMPT_VARIABLES,
+  promptVariables,
+  buildMessages,
+} = require('./prompt');
 
 const LOGO_URL = process.env.LOGO_URL || 'https://ibb.co/HDy3fYZ8';
 
+const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES },
+  defParamCharset: 'utf8',
+});
+// Agent bundles exported with embeddings are much larger than documents
+const MAX_BUNDLE_BYTES = 200 * 1024 * 1024;
+const bundleUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_BUNDLE_BYTES } });
+
 const app = express();
-// Increase body size limit to handle large document uploads
-app.use(express.json({ limit: '25mb' }));
+// Behind a reverse proxy, TRUST_PROXY lets req.ip and req.secure see the client
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trust) ? Number(trust) : trust === 'true' || trust);
+}
+// Increase body size limit to handle large document uploads. The raw body is
+// kept so channel webhooks can verify their request signatures.
+app.use(express.json({ limit: '25mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: false }));
 
-const sessions = {};
-
 app.use((req, res, next) => {
   const sid = cookie.parse(req.headers.cookie || '').sid;
-  if (sid && sessions[sid] && users[sessions[sid]]) {
-    req.user = { email: sessions[sid], isAdmin: users[sessions[sid]].isAdmin };
+  const session = sid && getSession(sid);
+  if (session && users[session.email]) {
+    const user = users[session.email];
+    req.user = { email: session.email, isAdmin: user.isAdmin, mustChangePassword: Boolean(user.mustChangePassword) };
     req.sessionId = sid;
+    req.csrfToken = session.csrfToken;
   }
   next();
 });
 
-function hashPassword(pw) {
-  return crypto.createHash('sha256').update(pw).digest('hex');
+// The csrf cookie is readable by page scripts, which echo it back in an
+// X-CSRF-Token header (see pageTemplate); the server compares it with the
+// token stored in the session.
+function setSessionCookies(req, res, { sid, csrfToken }) {
+  const secure = process.env.COOKIE_SECURE ? process.env.COOKIE_SECURE === 'true' : req.secure;
+  const maxAge = Math.floor(SESSION_MAX_MS / 1000);
+  res.setHeader('Set-Cookie', [
+    cookie.serialize('sid', sid, { httpOnly: true, sameSite: 'lax', secure, path: '/', maxAge }),
+    cookie.serialize('csrf', csrfToken, { sameSite: 'strict', secure, path: '/', maxAge }),
+  ]);
 }
 
-const AGENTS_FILE = 'agents.json';
-let agents = {};
-
-const USERS_FILE = 'users.json';
-let users = {};
-try {
-  users = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
-} catch {
-  users = {};
+function clearSessionCookies(res) {
+  res.setHeader('Set-Cookie', [
+    cookie.serialize('sid', '', { path: '/', expires: new Date(0) }),
+    cookie.serialize('csrf', '', { path: '/', expires: new Date(0) }),
+  ]);
 }
-if (!users['admin@mealme.com']) {
-  users['admin@mealme.com'] = { password: hashPassword('admin'), isAdmin: true };
-  fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2));
+
+function startSession(req, res, email) {
+  setSessionCookies(req, res, createSession(email));
 }
+
+// Agents and users are held in memory and written through configStore
+// (store.js) after every change
+const agents = configStore.loadAgents();
+const users = configStore.loadUsers();
+
 function saveUsers() {
-  fs.promises
-    .writeFile(USERS_FILE, JSON.stringify(users, null, 2))
-    .catch((e) => console.error('Users save error:', e));
+  configStore.saveUsers(users);
 }
 
-try {
-  agents = JSON.parse(fs.readFileSync(AGENTS_FILE, 'utf8'));
-} catch {
-  agents = {};
+function saveAgents() {
+  configStore.saveAgents(agents);
 }
 
-function saveAgents() {
-  fs.promises
-    .writeFile(AGENTS_FILE, JSON.stringify(agents, null, 2))
-    .catch((e) => console.error('Agents save error:', e));
+// Older versions created admin@mealme.com / admin on first boot; that account
+// has to pick a real password before it can do anything else.
+const LEGACY_ADMIN = 'admin@mealme.com';
+if (users[LEGACY_ADMIN] && !users[LEGACY_ADMIN].mustChangePassword && verifyPassword('admin', users[LEGACY_ADMIN].password)) {
+  users[LEGACY_ADMIN].mustChangePassword = true;
+  saveUsers();
+}
+
+// With no users at all, every page leads to /setup to create the first admin
+function needsSetup() {
+  return !Object.keys(users).length;
+}
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Agents created before embedding providers existed were embedded with Cohere
+Object.values(agents).forEach((a) => {
+  if (!a.embeddingProvider) Object.assign(a, { embeddingProvider: 'cohere', embeddingModel: 'embed-v4.0' });
+});
+// The global VIBER_AUTH_TOKEN used to serve the first agent
+if (process.env.VIBER_AUTH_TOKEN && Object.keys(agents).length && !Object.values(agents).some(a => a.viberToken)) {
+  Object.values(agents)[0].viberToken = process.env.VIBER_AUTH_TOKEN;
+  saveAgents();
 }
 
 
-// Persisted chat history for Telegram bot
-const HISTORY_FILE = 'chathistory.json';
-// Structure: { [agentId]: { [chatId]: [{role,text}] } }
-let telegramHistory = {};
-const dashboardHistory = {};
+// ------- Conversation Store -------
+// Conversations and messages for every channel are kept in SQLite (db.js).
+// externalUserId is the logged-in user's email for the web dashboard and the
+// chat id for Telegram.
+const DEFAULT_CONTEXT_MESSAGES = 5;
 
-try {
-  telegramHistory = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8'));
-} catch {
-  telegramHistory = {};
+const conversationStmts = {
+  insert: db.prepare(`
+    INSERT INTO conversations (id, agent_id, channel, external_user_id, created_at, updated_at)
+    VALUES (@id, @agentId, @channel, @externalUserId, @now, @now)
+  `),
+  get: db.prepare('SELECT * FROM conversations WHERE id = ?'),
+  latest: db.prepare(`
+    SELECT * FROM conversations WHERE agent_id = ? AND channel = ? AND external_user_id = ?
+    ORDER BY updated_at DESC LIMIT 1
+  `),
+  listForUser: db.prepare(`
+    SELECT * FROM conversations WHERE agent_id = ? AND channel = ? AND external_user_id = ?
+    ORDER BY updated_at DESC
+  `),
+  listForAgent: db.prepare('SELECT * FROM conversations WHERE agent_id = ? AND channel = ? ORDER BY updated_at DESC'),
+  channels: db.prepare('SELECT DISTINCT channel FROM conversations ORDER BY channel'),
+  touch: db.prepare('UPDATE conversations SET updated_at = ?, title = COALESCE(title, ?) WHERE id = ?'),
+  insertMessage: db.prepare(`
+    INSERT INTO messages (conversation_id, role, text, created_at, prompt_tokens, completion_tokens, agent_version)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `),
+  recentMessages: db.prepare(`
+    SELECT * FROM (SELECT * FROM messages WHERE conversation_id = ? ORDER BY id DESC LIMIT ?) ORDER BY id
+  `),
+  pruneMessages: db.prepare(`
+    DELETE FROM messages WHERE conversation_id = ? AND id NOT IN
+      (SELECT id FROM messages WHERE conversation_id = ? ORDER BY id DESC LIMIT ?)
+  `),
+};
+
+function createConversation(agentId, channel, externalUserId) {
+  const id = crypto.randomUUID();
+  conversationStmts.insert.run({ id, agentId, channel, externalUserId: String(externalUserId), now: Date.now() });
+  return conversationStmts.get.get(id);
 }
 
-function saveHistory() {
-  fs.promises
-    .writeFile(HISTORY_FILE, JSON.stringify(telegramHistory, null, 2))
-    .catch((e) => console.error('History save error:', e));
+function getConversation(id) {
+  return conversationStmts.get.get(id);
 }
 
-function addTelegramMessage(agentId, chatId, role, text) {
-  if (!telegramHistory[agentId]) telegramHistory[agentId] = {};
-  if (!telegramHistory[agentId][chatId]) telegramHistory[agentId][chatId] = [];
-  telegramHistory[agentId][chatId].push({ role, text });
-  if (telegramHistory[agentId][chatId].length > 5) {
-    telegramHistory[agentId][chatId] = telegramHistory[agentId][chatId].slice(-5);
-  }
-  saveHistory();
+function findOrCreateConversation(agentId, channel, externalUserId) {
+  return conversationStmts.latest.get(agentId, channel, String(externalUserId))
+    || createConversation(agentId, channel, externalUserId);
+}
+
+function listConversations(agentId, channel, externalUserId) {
+  return externalUserId === undefined
+    ? conversationStmts.listForAgent.all(agentId, channel)
+    : conversationStmts.listForUser.all(agentId, channel, String(externalUserId));
+}
+
+// agentVersion is the settings version (see recordAgentVersion) that produced a bot message
+const addMessage = db.transaction((conversation, role, text, usage = {}, agentVersion = null) => {
+  const now = Date.now();
+  conversationStmts.insertMessage.run(
+    conversation.id, role, text, now, usage.promptTokens ?? null, usage.completionTokens ?? null, agentVersion,
+  );
+  conversationStmts.touch.run(now, role === 'user' ? text.slice(0, 80) : null, conversation.id);
+  const retention = agents[conversation.agent_id]?.retentionMessages;
+  if (retention > 0) conversationStmts.pruneMessages.run(conversation.id, conversation.id, retention);
+});
+
+function getMessages(conversationId, limit = -1) {
+  return conversationStmts.recentMessages.all(conversationId, limit).map(m => ({
+    role: m.role,
+    text: m.text,
+    createdAt: m.created_at,
+    promptTokens: m.prompt_tokens,
+    completionTokens: m.completion_tokens,
+    agentVersion: m.agent_version,
+  }));
+}
+
+// ------- History Search -------
+const HISTORY_PAGE_SIZE = 25;
+
+// Normalises history filters from a query string. Dates are YYYY-MM-DD (UTC)
+// and `to` is inclusive; `user` matches part of the external user id.
+function parseHistoryFilters(query = {}) {
+  const day = (v) => (/^\d{4}-\d{2}-\d{2}$/.test(v || '') ? v : '');
+  return {
+    q: String(query.q || '').trim(),
+    agent: String(query.agent || ''),
+    channel: String(query.channel || ''),
+    user: String(query.user || '').trim(),
+    from: day(query.from),
+    to: day(query.to),
+    page: Math.max(1, parseInt(query.page, 10) || 1),
+  };
+}
+
+function historyQueryString(filters, overrides = {}) {
+  const merged = { ...filters, ...overrides };
+  if (merged.page === 1) delete merged.page;
+  return new URLSearchParams(Object.entries(merged).filter(([, v]) => v !== '' && v != null)).toString();
+}
+
+// Free text becomes a conjunction of quoted FTS5 terms, so user input can't
+// inject FTS syntax.
+function ftsQuery(q) {
+  return (q.match(/[^\s"]+/g) || []).map(t => `"${t}"`).join(' ');
 }
 
-function addDashboardMessage(sessionId, role, text) {
-  if (!dashboardHistory[sessionId]) dashboardHistory[sessionId] = [];
-  dashboardHistory[sessionId].push({ role, text });
-  if (dashboardHistory[sessionId].length > 5) {
-    dashboardHistory[sessionId] = dashboardHistory[sessionId].slice(-5);
+// access (see historyAccess) limits the results to what a user may read;
+// null means unrestricted.
+function historyWhere(filters, access = null) {
+  const clauses = [];
+  const params = {};
+  if (access) {
+    clauses.push(`(c.agent_id IN (SELECT value FROM json_each(@fullAgents))
+      OR (c.agent_id IN (SELECT value FROM json_each(@ownAgents)) AND c.channel = 'web' AND c.external_user_id = @self))`);
+    Object.assign(params, {
+      fullAgents: JSON.stringify(access.fullAgents),
+      ownAgents: JSON.stringify(access.ownAgents),
+      self: access.email,
+    });
+  }
+  if (filters.agent) {
+    clauses.push('c.agent_id = @agent');
+    params.agent = filters.agent;
+  }
+  if (filters.channel) {
+    clauses.push('c.channel = @channel');
+    params.channel = filters.channel;
+  }
+  if (filters.user) {
+    clauses.push("c.external_user_id LIKE @user ESCAPE '\\'");
+    params.user = `%${filters.user.replace(/[\\%_]/g, '\\$&')}%`;
+  }
+  if (filters.from) {
+    clauses.push('m.created_at >= @from');
+    params.from = Date.parse(filters.from);
+  }
+  if (filters.to) {
+    clauses.push('m.created_at < @to');
+    params.to = Date.parse(filters.to) + 24 * 60 * 60 * 1000;
+  }
+  const match = ftsQuery(filters.q);
+  if (match) {
+    clauses.push('m.id IN (SELECT rowid FROM messages_fts WHERE messages_fts MATCH @q)');
+    params.q = match;
   }
+  return { sql: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+// One page of conversations with at least one message matching the filters,
+// newest activity first. preview is the latest matching message.
+function searchHistory(filters, access = null) {
+  const { sql, params } = historyWhere(filters, access);
+  const grouped = `
+    SELECT c.*, COUNT(m.id) AS matches, MAX(m.created_at) AS last_at, m.text AS preview
+    FROM conversations c JOIN messages m ON m.conversation_id = c.id ${sql} GROUP BY c.id
+  `;
+  const total = db.prepare(`SELECT COUNT(*) AS n FROM (${grouped})`).get(params).n;
+  const rows = db.prepare(`${grouped} ORDER BY last_at DESC LIMIT @limit OFFSET @offset`).all({
+    ...params,
+    limit: HISTORY_PAGE_SIZE,
+    offset: (filters.page - 1) * HISTORY_PAGE_SIZE,
+  });
+  return { total, pages: Math.max(1, Math.ceil(total / HISTORY_PAGE_SIZE)), rows };
+}
+
+// Every message (within the date range) of each conversation the filters match
+function exportHistoryRows(filters, access = null) {
+  const { sql: conversationSql, params } = historyWhere(filters, access);
+  const { sql: messageSql } = historyWhere({ ...filters, q: '' }, access);
+  return db.prepare(`
+    SELECT c.id AS conversation_id, c.agent_id, c.channel, c.external_user_id, m.role, m.text,
+      m.created_at, m.prompt_tokens, m.completion_tokens, m.agent_version
+    FROM conversations c JOIN messages m ON m.conversation_id = c.id
+    ${messageSql ? `${messageSql} AND` : 'WHERE'} c.id IN
+      (SELECT c.id FROM conversations c JOIN messages m ON m.conversation_id = c.id ${conversationSql})
+    ORDER BY c.updated_at DESC, m.id
+  `).iterate(params);
+}
+
+// How many earlier messages are sent to the LLM, independent of how many are kept
+function contextLimit(agent) {
+  return Number.isInteger(agent.contextMessages) ? agent.contextMessages : DEFAULT_CONTEXT_MESSAGES;
 }
 
 function requireLogin(req, res, next) {
@@ -106,14 +379,50 @@ function requireLogin(req, res, next) {
   next();
 }
 
+// ------- Access Control -------
+// Roles and the checks built on them are in roles.js
+const {
+  agentRole,
+  hasRole,
+  accessibleAgents,
+  requireAgentRole,
+  historyAccess,
+  canReadConversation,
+} = createAccessControl({ users, agents });
+
+// Reachable without logging in: channel webhooks, the website widget and the
+// key-authenticated APIs
+const PUBLIC_PATHS = ['/login', '/setup', '/messenger/webhook', '/widget.js'];
+const PUBLIC_PREFIXES = ['/viber/webhook/', '/telegram/webhook/', '/widget/', '/api/v1/', '/v1/'];
+
+function isPublicPath(path) {
+  return PUBLIC_PATHS.includes(path) || PUBLIC_PREFIXES.some((p) => path.startsWith(p));
+}
+
 app.use((req, res, next) => {
-  if (!req.user && req.path !== '/login' && !req.path.startsWith('/viber/webhook')) {
+  if (needsSetup() && req.path !== '/setup' && !isPublicPath(req.path)) {
+    if (req.method === 'GET') return res.redirect('/setup');
+    return res.status(503).json({ error: 'Setup required' });
+  }
+  if (!req.user && !isPublicPath(req.path)) {
     if (req.method === 'GET') return res.redirect('/login');
     return res.status(401).json({ error: 'Login required' });
   }
+  if (req.user?.mustChangePassword && !['/change-password', '/logout'].includes(req.path)) {
+    if (req.method === 'GET') return res.redirect('/change-password');
+    return res.status(403).json({ error: 'Password change required' });
+  }
   next();
 });
 
+// State-changing requests that rely on the session cookie must carry the
+// session's CSRF token, in an X-CSRF-Token header or a _csrf form field.
+app.use((req, res, next) => {
+  if (!req.sessionId || ['GET', 'HEAD', 'OPTIONS'].includes(req.method) || isPublicPath(req.path)) return next();
+  if (csrfTokenMatches(req.get('X-CSRF-Token') || req.body?._csrf, req.csrfToken)) return next();
+  res.status(403).json({ error: 'Invalid CSRF token, reload the page and try again' });
+});
+
 // --------- Qdrant Client Setup ---------
 const qdrant = new QdrantClient({
   url: process.env.QDRANT_HOST || 'http://localhost:6333',
@@ -122,69 +431,615 @@ const qdrant = new QdrantClient({
 
 
 // ------- Qdrant Collection Helper -------
-async function ensureCollection(name) {
+async function ensureCollection(name, dimension) {
   try {
-    await qdrant.createCollection(name, { vectors: { size: 1536, distance: 'Cosine' } });
+    await qdrant.createCollection(name, { vectors: { size: dimension, distance: 'Cosine' } });
+    await qdrant.createPayloadIndex(name, { field_name: 'docId', field_schema: 'keyword' });
   } catch (e) {
     // Ignore if already exists
   }
 }
 
-async function ingestDocument(collection, text, name) {
+function agentEmbedder(agent) {
+  return getEmbedder({ provider: agent.embeddingProvider, model: agent.embeddingModel });
+}
+
+async function ensureAgentCollection(agent) {
+  const dimension = await agentEmbedder(agent).dimension();
+  await ensureCollection(agent.collection, dimension);
+  agent.embeddingDimension = dimension;
+}
+
+// ------- Document Tags -------
+// Tags and validity periods are parsed and turned into filters by tags.js.
+// This creates the payload indexes the points' tags, dates and content hash
+// need, once per collection and field.
+const payloadIndexes = new Set();
+
+async function indexPayloadFields(collection, points) {
+  const fields = new Map();
+  for (const p of points) {
+    Object.keys(p.payload?.tags || {}).forEach(key => fields.set(`tags.${key}`, 'keyword'));
+    if (p.payload?.validFrom != null) fields.set('validFrom', 'integer');
+    if (p.payload?.validTo != null) fields.set('validTo', 'integer');
+    if (p.payload?.contentHash) fields.set('contentHash', 'keyword');
+  }
+  for (const [field, schema] of fields) {
+    if (payloadIndexes.has(`${collection}:${field}`)) continue;
+    await qdrant.createPayloadIndex(collection, { field_name: field, field_schema: schema })
+      .catch((e) => console.error(`Failed to index ${field}:`, e.message));
+    payloadIndexes.add(`${collection}:${field}`);
+  }
+}
+
+// ------- Chunking -------
+const EMBED_BATCH_SIZE = 96;
+
+// Chunks and embeds a document's text into points for docId. Every chunk is
+// embedded before anything is stored, so a failing embedding provider leaves
+// the collection as it was. meta holds the tags and validity period (see
+// documentMetadata); onProgress(fraction) follows the embedding.
+async function embedDocument(agent, text, name, docId, meta = {}, { embedder = agentEmbedder(agent), onProgress } = {}) {
+  const chunks = chunkText(text, agent.chunkSize, agent.chunkOverlap);
+  const hash = contentHash(text);
+  const points = [];
+  for (let i = 0; i < chunks.length; i += EMBED_BATCH_SIZE) {
+    const batch = chunks.slice(i, i + EMBED_BATCH_SIZE);
+    const vectors = await embedder.embedDocuments(batch.map(c => c.text));
+    points.push(...batch.map((c, j) => ({
+      id: crypto.randomUUID(),
+      vector: vectors[j],
+      payload: {
+        text: c.text,
+        name,
+        docId,
+        chunkIndex: i + j,
+        chunkCount: chunks.length,
+        start: c.start,
+        end: c.end,
+        contentHash: hash,
+        ...metadataPayload(meta),
+      },
+    })));
+    onProgress?.(points.length / chunks.length);
+  }
+  return points;
+}
+
+// Stores a document's points, and with replaces (point ids) removes the
+// chunks they take over from once all of them are in. When storing fails
+// part-way the new points are removed again.
+async function storeDocument(agent, points, replaces = []) {
+  await indexPayloadFields(agent.collection, points);
   try {
-    const embeddings = new CohereEmbeddings({
-      apiKey: process.env.COHERE_API_KEY,
-      model: "embed-v4.0",
-    });
-    await ensureCollection(collection);
-    const vector = await embeddings.embedQuery(text);
-    await qdrant.upsert(collection, {
-      points: [{ id: Date.now() + Math.floor(Math.random() * 1e6), vector, payload: { text, name } }],
-    });
-    console.log('Ingested document:', text.slice(0, 40) + '...');
-    return true;
+    for (let i = 0; i < points.length; i += EMBED_BATCH_SIZE) {
+      await qdrant.upsert(agent.collection, { points: points.slice(i, i + EMBED_BATCH_SIZE) });
+    }
   } catch (e) {
-    console.error('Ingest error:', e);
-    return false;
+    await qdrant.delete(agent.collection, { points: points.map(p => p.id) }).catch(() => {});
+    throw e;
+  }
+  if (replaces.length) await qdrant.delete(agent.collection, { points: replaces });
+  replaceKeywordChunks(agent.id, points, replaces);
+}
+
+// The document already holding exactly this text, if any
+async function findDocByHash(agent, hash) {
+  const res = await qdrant.scroll(agent.collection, {
+    limit: 1, filter: { must: [{ key: 'contentHash', match: { value: hash } }] }, with_payload: ['docId'], with_vector: false,
+  });
+  const point = res.points[0];
+  return point ? point.payload?.docId || String(point.id) : null;
+}
+
+// Resolves to { docId, chunks, duplicate }. A text the agent already has is
+// not stored again; duplicate is then true and docId names the existing
+// document.
+async function ingestDocument(agent, text, name, meta = {}, { onProgress } = {}) {
+  await ensureAgentCollection(agent);
+  const existing = await findDocByHash(agent, contentHash(text));
+  if (existing) {
+    console.log('Skipped duplicate document:', name);
+    return { docId: existing, chunks: 0, duplicate: true };
+  }
+  const docId = crypto.randomUUID();
+  const points = await embedDocument(agent, text, name, docId, meta, { onProgress });
+  await storeDocument(agent, points);
+  console.log('Ingested document:', name, `(${points.length} chunks)`);
+  return { docId, chunks: points.length, duplicate: false };
+}
+
+// ------- Ingestion Jobs -------
+// Uploads are queued (see jobs.js) with one item per file and ingested in the
+// background; the upload request answers with the job, and /jobs/:id reports
+// its progress and each file's result. Failures from the embedding provider or
+// Qdrant are retried, a file without extractable text fails at once.
+function fileItems(files, meta = {}) {
+  return files.map(f => ({ name: f.originalname, content: f.buffer, options: { meta } }));
+}
+
+// Text sent in a JSON body, ingested as it is
+function textItem(name, text, meta = {}) {
+  return { name, content: Buffer.from(text, 'utf8'), options: { meta, plainText: true } };
+}
+
+async function runIngestItem(job, item, progress) {
+  const agent = agents[job.agentId];
+  if (!agent) throw new PermanentJobError('The agent was deleted');
+  let text = item.content.toString('utf8');
+  if (!item.options.plainText) {
+    try {
+      text = await extractText({ originalname: item.name, buffer: item.content });
+    } catch (e) {
+      throw new PermanentJobError(e.message);
+    }
+  }
+  const { docId, chunks, duplicate } = await ingestDocument(agent, text, item.name, item.options.meta, { onProgress: progress });
+  return { docId, chunks, duplicate };
+}
+
+const jobQueue = createJobQueue({
+  runners: { ingest: runIngestItem, crawl: runCrawlItem },
+  // Uploads and crawls wait while the agent's documents are being re-embedded
+  ready: job => !agents[job.agentId] || !isReembedding(agents[job.agentId]),
+});
+
+// ------- URL Sources -------
+// A website an agent learns from (see crawler.js). Every crawl runs as a job;
+// each page becomes a document named by its URL, and source_pages keeps its
+// document id and text hash, so a re-crawl adds new pages, re-embeds pages
+// whose text changed and leaves the rest alone. Pages a crawl no longer finds
+// are deleted, unless they failed with a server or network error. Sources with
+// an interval are crawled again once it has passed since their last crawl.
+const MAX_CRAWL_DEPTH = 5;
+const MAX_CRAWL_PAGES = 1000;
+const DEFAULT_CRAWL_DEPTH = 2;
+const DEFAULT_CRAWL_PAGES = 50;
+const CRAWL_INTERVALS = { 0: 'Manual only', 60: 'Hourly', 360: 'Every 6 hours', 1440: 'Daily', 10080: 'Weekly' };
+const CRAWL_SCHEDULE_CHECK_MS = 60 * 1000;
+
+class SourceError extends Error {}
+
+const sourceStmts = {
+  insert: db.prepare(`
+    INSERT INTO url_sources (id, agent_id, url, max_depth, max_pages, interval_minutes, tags, created_by, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  get: db.prepare('SELECT * FROM url_sources WHERE id = ?'),
+  forAgent: db.prepare('SELECT * FROM url_sources WHERE agent_id = ? ORDER BY created_at'),
+  scheduled: db.prepare('SELECT * FROM url_sources WHERE interval_minutes > 0'),
+  setJob: db.prepare('UPDATE url_sources SET last_job_id = ? WHERE id = ?'),
+  crawled: db.prepare('UPDATE url_sources SET last_crawled_at = ? WHERE id = ?'),
+  delete: db.prepare('DELETE FROM url_sources WHERE id = ?'),
+  deleteAgent: db.prepare('DELETE FROM url_sources WHERE agent_id = ?'),
+  page: db.prepare('SELECT * FROM source_pages WHERE source_id = ? AND url = ?'),
+  pages: db.prepare('SELECT url, doc_id FROM source_pages WHERE source_id = ?'),
+  deletePage: db.prepare('DELETE FROM source_pages WHERE source_id = ? AND url = ?'),
+  pageCount: db.prepare('SELECT COUNT(*) AS n FROM source_pages WHERE source_id = ?'),
+  upsertPage: db.prepare(`
+    INSERT INTO source_pages (source_id, url, doc_id, content_hash, crawled_at) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (source_id, url) DO UPDATE SET doc_id = excluded.doc_id, content_hash = excluded.content_hash, crawled_at = excluded.crawled_at
+  `),
+};
+
+function boundedInt(value, fallback, min, max) {
+  const n = value === undefined || value === '' ? fallback : Number(value);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+}
+
+// { url, maxDepth, maxPages, intervalMinutes, tags } from a request body
+function parseSource(body = {}) {
+  const url = normalizeUrl(String(body.url || '').trim());
+  if (!url) throw new SourceError('Enter an http(s) URL');
+  const maxDepth = boundedInt(body.maxDepth, DEFAULT_CRAWL_DEPTH, 0, MAX_CRAWL_DEPTH);
+  if (maxDepth == null) throw new SourceError(`maxDepth must be a whole number from 0 to ${MAX_CRAWL_DEPTH}`);
+  const maxPages = boundedInt(body.maxPages, DEFAULT_CRAWL_PAGES, 1, MAX_CRAWL_PAGES);
+  if (maxPages == null) throw new SourceError(`maxPages must be a whole number from 1 to ${MAX_CRAWL_PAGES}`);
+  const intervalMinutes = Number(body.intervalMinutes ?? 0);
+  if (!Object.hasOwn(CRAWL_INTERVALS, intervalMinutes)) {
+    throw new SourceError(`intervalMinutes must be one of ${Object.keys(CRAWL_INTERVALS).join(', ')}`);
+  }
+  let tags;
+  try {
+    tags = parseTags(body.tags);
+  } catch (e) {
+    throw new SourceError(e.message);
   }
+  return { url, maxDepth, maxPages, intervalMinutes, tags };
+}
+
+function crawlPending(source) {
+  const job = source.last_job_id && jobQueue.getJob(source.last_job_id);
+  return Boolean(job) && (job.state === 'queued' || job.state === 'running');
+}
+
+function sourceSummary(source) {
+  const job = source.last_job_id ? jobQueue.getJob(source.last_job_id) : null;
+  const item = job?.items[0];
+  return {
+    id: source.id,
+    url: source.url,
+    maxDepth: source.max_depth,
+    maxPages: source.max_pages,
+    intervalMinutes: source.interval_minutes,
+    tags: JSON.parse(source.tags),
+    createdBy: source.created_by,
+    createdAt: source.created_at,
+    lastCrawledAt: source.last_crawled_at,
+    pages: sourceStmts.pageCount.get(source.id).n,
+    lastCrawl: job
+      ? { jobId: job.id, state: job.state, progress: job.progress, ...(item?.stats ? { stats: item.stats } : {}), ...(item?.error ? { error: item.error } : {}) }
+      : null,
+  };
+}
+
+function listSources(agent) {
+  return sourceStmts.forAgent.all(agent.id).map(sourceSummary);
+}
+
+function enqueueCrawl(source, author = null) {
+  const job = jobQueue.enqueue('crawl', source.agent_id, [{ name: source.url, options: { sourceId: source.id } }], author);
+  sourceStmts.setJob.run(job.id, source.id);
+  return job;
+}
+
+function addSource(agent, fields, author = null) {
+  const id = crypto.randomUUID();
+  sourceStmts.insert.run(
+    id, agent.id, fields.url, fields.maxDepth, fields.maxPages, fields.intervalMinutes, JSON.stringify(fields.tags), author, Date.now(),
+  );
+  const source = sourceStmts.get.get(id);
+  enqueueCrawl(source, author);
+  return sourceSummary(sourceStmts.get.get(id));
+}
+
+// Removes the source and the documents its pages became
+async function removeSource(agent, source) {
+  const docIds = new Set(sourceStmts.pages.all(source.id).map(p => p.doc_id));
+  sourceStmts.delete.run(source.id);
+  for (const docId of docIds) await removeDoc(agent, docId);
 }
 
-async function searchDocs(collection, query, topK) {
+async function runCrawlItem(job, item, progress) {
+  const agent = agents[job.agentId];
+  if (!agent) throw new PermanentJobError('The agent was deleted');
+  const source = sourceStmts.get.get(item.options.sourceId);
+  if (!source) throw new PermanentJobError('The source was removed');
+  sourceStmts.crawled.run(Date.now(), source.id);
+  const tags = JSON.parse(source.tags);
+  const counts = { added: 0, updated: 0, unchanged: 0, removed: 0 };
+  const found = new Set();
+  let result;
   try {
-    const embeddings = new CohereEmbeddings({
-      apiKey: process.env.COHERE_API_KEY,
-      model: "embed-v4.0",
+    result = await crawlSite({ url: source.url, maxDepth: source.max_depth, maxPages: source.max_pages, onProgress: progress }, async (page) => {
+      found.add(page.url);
+      const hash = contentHash(page.text);
+      const known = sourceStmts.page.get(source.id, page.url);
+      if (known?.content_hash === hash) {
+        counts.unchanged++;
+        return;
+      }
+      // A page whose document was deleted by hand is added again
+      const updated = known ? await updateDoc(agent, known.doc_id, { text: page.text, name: page.url, tags }) : null;
+      let docId = known?.doc_id;
+      if (updated == null) {
+        const result = await ingestDocument(agent, page.text, page.url, { tags });
+        // Text the agent already has belongs to another document; it is left
+        // to that document rather than claimed by this source
+        if (result.duplicate) {
+          counts.unchanged++;
+          return;
+        }
+        docId = result.docId;
+        counts.added++;
+      } else {
+        counts.updated++;
+      }
+      sourceStmts.upsertPage.run(source.id, page.url, docId, hash, Date.now());
     });
-    const vector = await embeddings.embedQuery(query);
-    const results = await qdrant.search(collection, {
-      vector,
-      limit: topK,
-      with_payload: true,
+  } catch (e) {
+    if (e instanceof CrawlError) throw new PermanentJobError(e.message);
+    throw e;
+  }
+  const { unreachable, ...stats } = result;
+  unreachable.forEach(url => found.add(url));
+  for (const page of sourceStmts.pages.all(source.id)) {
+    if (found.has(page.url)) continue;
+    // Kept when the delete fails, so the next crawl tries again
+    if (!(await removeDoc(agent, page.doc_id))) continue;
+    sourceStmts.deletePage.run(source.id, page.url);
+    counts.removed++;
+  }
+  console.log(`Crawled ${source.url} for agent ${agent.id}: ${counts.added} added, ${counts.updated} updated, ${counts.unchanged} unchanged, ${counts.removed} removed`);
+  return { stats: { ...stats, ...counts } };
+}
+
+// Queues a crawl for every source whose interval has passed since its last one
+function scheduleCrawls() {
+  const now = Date.now();
+  for (const source of sourceStmts.scheduled.all()) {
+    if (!agents[source.agent_id] || crawlPending(source)) continue;
+    if ((source.last_crawled_at ?? 0) + source.interval_minutes * 60 * 1000 <= now) enqueueCrawl(source);
+  }
+}
+
+// ------- Keyword Index -------
+// Chunk text is also kept in an SQLite FTS5 table (see the chunkKeywords
+// migration) so exact terms such as dish names, SKUs and allergens are found
+// even when the embedding doesn't rank them. Qdrant stays the source of
+// truth; this index only maps words to point ids.
+const keywordStmts = {
+  insert: db.prepare('INSERT INTO chunk_keywords (text, name, agent_id, point_id, doc_id) VALUES (?, ?, ?, ?, ?)'),
+  search: db.prepare('SELECT point_id FROM chunk_keywords WHERE chunk_keywords MATCH ? AND agent_id = ? ORDER BY rank LIMIT ?'),
+  any: db.prepare('SELECT 1 FROM chunk_keywords WHERE agent_id = ? LIMIT 1'),
+  deleteDoc: db.prepare('DELETE FROM chunk_keywords WHERE agent_id = ? AND doc_id = ?'),
+  deletePoint: db.prepare('DELETE FROM chunk_keywords WHERE agent_id = ? AND point_id = ?'),
+  deleteAgent: db.prepare('DELETE FROM chunk_keywords WHERE agent_id = ?'),
+};
+
+const indexChunks = db.transaction((agentId, points) => {
+  for (const p of points) {
+    keywordStmts.insert.run(p.payload?.text || '', p.payload?.name || '', agentId, String(p.id), p.payload?.docId || String(p.id));
+  }
+});
+
+const replaceAgentKeywords = db.transaction((agentId, points) => {
+  keywordStmts.deleteAgent.run(agentId);
+  indexChunks(agentId, points);
+});
+
+const replaceKeywordChunks = db.transaction((agentId, points, replaces = []) => {
+  replaces.forEach(id => keywordStmts.deletePoint.run(agentId, String(id)));
+  indexChunks(agentId, points);
+});
+
+// Point ids of the chunks matching any word of the query, best BM25 first
+function keywordSearch(agentId, query, limit) {
+  const words = [...new Set(String(query).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])];
+  if (!words.length) return [];
+  const match = words.map(w => `"${w}"`).join(' OR ');
+  return keywordStmts.search.all(match, agentId, limit).map(r => r.point_id);
+}
+
+// Indexes the chunks of agents whose documents predate the keyword index
+async function indexExistingChunks() {
+  for (const agent of Object.values(agents)) {
+    if (keywordStmts.any.get(agent.id)) continue;
+    try {
+      const { exists } = await qdrant.collectionExists(agent.collection);
+      let offset = exists ? undefined : null;
+      let count = 0;
+      while (offset !== null) {
+        const res = await qdrant.scroll(agent.collection, { limit: 250, offset, with_payload: true, with_vector: false });
+        indexChunks(agent.id, res.points);
+        count += res.points.length;
+        offset = res.next_page_offset ?? null;
+      }
+      if (count) console.log(`Keyword-indexed ${count} chunks for agent ${agent.id}`);
+    } catch (e) {
+      console.error(`Keyword indexing failed for agent ${agent.id}:`, e.message);
+    }
+  }
+}
+
+indexExistingChunks();
+
+// ------- Retrieval -------
+// Vector and keyword results are merged with reciprocal rank fusion (see
+// fusion.js), then optionally reranked. Hits scoring below the agent's
+// minScore (the rerank score when reranking, the vector similarity otherwise)
+// are dropped.
+// Fusion and reranking pick topK hits from this many candidates per list
+const CANDIDATE_FACTOR = 4;
+const MIN_CANDIDATES = 20;
+// Hits an agent may put in its prompt
+const MAX_TOP_K = 50;
+const DEFAULT_NO_ANSWER = 'Sorry, I don\'t know the answer to that.';
+
+// Qdrant ids are UUID strings, or numbers for points from older versions
+function qdrantId(id) {
+  return /^\d+$/.test(id) ? Number(id) : id;
+}
+
+// filter scopes the search by tags, on top of the agent's default filter
+async function searchDocs(agent, query, { filter } = {}) {
+  try {
+    const hybrid = agent.hybridSearch !== false;
+    const reranker = getReranker(agent.reranker);
+    const limit = hybrid || reranker ? Math.max(agent.topK * CANDIDATE_FACTOR, MIN_CANDIDATES) : agent.topK;
+    const scope = retrievalFilter(agent, filter);
+    const vector = await agentEmbedder(agent).embedQuery(query);
+    const dense = await qdrant.search(agent.collection, { vector, limit, filter: scope, with_payload: true });
+    const points = new Map(dense.map(r => [String(r.id), r]));
+    let keywordIds = [];
+    if (hybrid) {
+      keywordIds = keywordSearch(agent.id, query, limit);
+      // Keyword-only matches still need their payload and vector similarity,
+      // and have to pass the same filter
+      const missing = keywordIds.filter(id => !points.has(id));
+      const extra = missing.length
+        ? await qdrant.search(agent.collection, {
+          vector,
+          filter: { ...scope, must: [{ has_id: missing.map(qdrantId) }, ...scope.must] },
+          limit: missing.length,
+          with_payload: true,
+        })
+        : [];
+      extra.forEach(r => points.set(String(r.id), r));
+    }
+    // Keyword matches that failed the filter have no point and drop out here
+    const ranked = fuseRankings([
+      { name: 'vector', ids: dense.map(r => String(r.id)) },
+      { name: 'keyword', ids: keywordIds },
+    ]).filter(c => points.has(c.id));
+    let hits = ranked.map(({ id, score: fused, via }) => {
+      const r = points.get(id);
+      return {
+        id: r.id,
+        docId: r.payload?.docId || String(r.id),
+        name: r.payload?.name || 'Document',
+        chunkIndex: r.payload?.chunkIndex ?? 0,
+        score: r.score,
+        fusedScore: fused,
+        via,
+        ...(r.payload?.tags ? { tags: r.payload.tags } : {}),
+        text: r.payload?.text || '',
+      };
     });
-    console.log('Search returned', results.length, 'results');
-    return results.map((r) => r.payload.text).join('\\n');
+    if (reranker && hits.length) {
+      try {
+        const scores = await reranker.scores(query, hits.map(h => h.text));
+        hits.forEach((h, i) => { h.rerankScore = scores[i]; });
+        hits.sort((a, b) => b.rerankScore - a.rerankScore);
+      } catch (e) {
+        console.error(`Rerank error (${agent.reranker}), using fused order:`, e.message);
+        hits.forEach(h => delete h.rerankScore);
+      }
+    }
+    const minScore = Number(agent.minScore) || 0;
+    if (minScore > 0) hits = hits.filter(h => (h.rerankScore ?? h.score) >= minScore);
+    hits = hits.slice(0, agent.topK);
+    console.log('Search returned', hits.length, 'results');
+    return hits;
   } catch (e) {
     console.error('Search error:', e);
-    return '';
+    return [];
   }
 }
 
-async function listDocs(collection) {
-  await ensureCollection(collection);
-  const docs = [];
+// With a minimum score set, a question nothing relevant was found for gets
+// the agent's "don't know" reply instead of an answer made up by the model
+function declineAnswer(agent, hits) {
+  return Number(agent.minScore) > 0 && !hits.length ? agent.noAnswerMessage || DEFAULT_NO_ANSWER : null;
+}
+
+// Hits are numbered from 1 in the prompt (see prompt.js); sources keep the
+// same numbering so the [n] markers in an answer line up with the footnotes
+// shown to the user.
+function toSources(hits) {
+  return hits.map((h, i) => ({ n: i + 1, name: h.name, docId: h.docId, chunkIndex: h.chunkIndex, score: h.score }));
+}
+
+function docSummary(id, payload = {}, now = Date.now()) {
+  const { name, tags = {}, validFrom = null, validTo = null } = payload;
+  return {
+    id, name: name || 'Document', tags, validFrom, validTo,
+    active: !((validTo != null && validTo < now) || (validFrom != null && validFrom > now)),
+  };
+}
+
+// Groups chunk points into logical documents. Points ingested before chunking
+// have no docId and are listed as single-chunk documents keyed by point id.
+// tags narrows the list to documents having all of them
+async function listDocs(agent, { tags = {} } = {}) {
+  const collection = agent.collection;
+  await ensureAgentCollection(agent);
+  const filter = { must: Object.entries(tags).map(([key, value]) => ({ key: `tags.${key}`, match: { value } })) };
+  const now = Date.now();
+  const docs = new Map();
   let offset = undefined;
   do {
-    const res = await qdrant.scroll(collection, { limit: 50, offset, with_payload: true, with_vector: false });
-    docs.push(...res.points.map(p => ({ id: p.id, name: p.payload?.name || 'Document' })));
+    const res = await qdrant.scroll(collection, {
+      limit: 250, offset, filter, with_payload: ['name', 'docId', 'tags', 'validFrom', 'validTo'], with_vector: false,
+    });
+    for (const p of res.points) {
+      const id = p.payload?.docId || String(p.id);
+      if (!docs.has(id)) {
+        docs.set(id, { ...docSummary(id, p.payload, now), chunks: 0 });
+      }
+      docs.get(id).chunks++;
+    }
+    offset = res.next_page_offset;
+  } while (offset != null);
+  return [...docs.values()];
+}
+
+// A document's points in chunk order; empty when there is no such document
+async function docChunks(agent, docId, { withVector = false } = {}) {
+  await ensureAgentCollection(agent);
+  const points = [];
+  let offset;
+  do {
+    const res = await qdrant.scroll(agent.collection, {
+      limit: 250, offset, filter: { must: [{ key: 'docId', match: { value: String(docId) } }] }, with_payload: true, with_vector: withVector,
+    });
+    points.push(...res.points);
     offset = res.next_page_offset;
   } while (offset != null);
-  return docs;
+  if (!points.length && /^\d+$/.test(String(docId))) {
+    const legacy = await qdrant.retrieve(agent.collection, { ids: [Number(docId)], with_payload: true, with_vector: withVector });
+    points.push(...legacy.filter(p => !p.payload?.docId));
+  }
+  return points.sort((a, b) => (a.payload?.chunkIndex ?? 0) - (b.payload?.chunkIndex ?? 0));
+}
+
+// The document's text rebuilt from its points (see joinChunks)
+function chunksToText(points) {
+  return joinChunks(points.map(p => p.payload || {}));
+}
+
+async function getDoc(agent, docId) {
+  const points = await docChunks(agent, docId);
+  if (!points.length) return null;
+  const payload = points[0].payload || {};
+  return {
+    ...docSummary(String(docId), payload),
+    contentHash: payload.contentHash || null,
+    text: chunksToText(points),
+    chunks: points.map(p => ({
+      index: p.payload?.chunkIndex ?? 0,
+      text: p.payload?.text || '',
+      start: p.payload?.start ?? null,
+      end: p.payload?.end ?? null,
+    })),
+  };
+}
+
+// Changes a document's text, name or metadata (see metadataChanges); fields
+// left out keep their value. New text is chunked and embedded again, otherwise
+// the stored vectors are reused. The document keeps its id and its old chunks
+// answer questions until all new ones are stored. Resolves to the number of
+// chunks, or null when the document doesn't exist.
+async function updateDoc(agent, docId, { text, name, ...changes } = {}) {
+  const points = await docChunks(agent, docId, { withVector: true });
+  if (!points.length) return null;
+  const current = points[0].payload || {};
+  const meta = editedMetadata(current, changes);
+  const docName = name || current.name || 'Document';
+  const currentText = chunksToText(points);
+  let next;
+  if (text != null && text !== currentText) {
+    next = await embedDocument(agent, text, docName, String(docId), meta);
+  } else {
+    const hash = current.contentHash || contentHash(currentText);
+    next = points.map(p => ({
+      id: crypto.randomUUID(),
+      vector: p.vector,
+      payload: {
+        text: p.payload?.text || '',
+        name: docName,
+        docId: String(docId),
+        chunkIndex: p.payload?.chunkIndex ?? 0,
+        chunkCount: p.payload?.chunkCount ?? points.length,
+        start: p.payload?.start,
+        end: p.payload?.end,
+        contentHash: hash,
+        ...metadataPayload(meta),
+      },
+    }));
+  }
+  await storeDocument(agent, next, points.map(p => p.id));
+  console.log('Updated document:', docName, `(${next.length} chunks)`);
+  return next.length;
 }
 
-async function removeDoc(collection, id) {
+async function removeDoc(agent, docId) {
   try {
-    const pointId = typeof id === 'string' ? Number(id) : id;
-    await qdrant.delete(collection, { points: [pointId] });
+    await qdrant.delete(agent.collection, { filter: { must: [{ key: 'docId', match: { value: String(docId) } }] } });
+    if (/^\d+$/.test(String(docId))) {
+      await qdrant.delete(agent.collection, { points: [Number(docId)] });
+    }
+    keywordStmts.deleteDoc.run(agent.id, String(docId));
     return true;
   } catch (e) {
     console.error('Delete error:', e);
@@ -192,140 +1047,880 @@ async function removeDoc(collection, id) {
   }
 }
 
-async function askLLM(agent, context, question, history = []) {
+// ------- Re-embedding -------
+// Switching embedding provider or model changes the vector space (and often
+// the dimension), so every stored chunk is embedded again into a fresh
+// collection. The agent keeps answering from the old collection until the
+// copy is complete, then the two are swapped. A re-index (rechunk) does the
+// same with each document's text split again using the current chunk
+// settings, so it also picks up a changed chunk size.
+const reembedStatus = {};
+
+async function reembedAgent(agent, target, author = null, { rechunk = false } = {}) {
+  const settings = resolveEmbeddingSettings(target);
+  const status = { state: 'running', kind: rechunk ? 'reindex' : 'reembed', provider: settings.provider, model: settings.model, done: 0 };
+  reembedStatus[agent.id] = status;
+  let collection;
   try {
-    const res = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
-      {
-        model: 'gpt-4.1-mini',
-        messages: [
-          { role: 'system', content: agent.instruction || 'You are a helpful assistant.' },
-          ...history.slice(-5).map(m => ({
-            role: m.role === 'bot' ? 'assistant' : m.role,
-            content: m.text,
-          })),
-          { role: 'user', content: context ? `${context}\n\n${question}` : question },
-        ],
-        temperature: agent.temperature,
-        top_p: agent.topP,
-      },
-      { headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } }
-    );
-    return res.data.choices[0].message.content.trim();
+    const embedder = getEmbedder(settings);
+    const dimension = await embedder.dimension();
+    collection = `agent_${agent.id}_${Date.now()}`;
+    await ensureCollection(collection, dimension);
+    const { exists } = await qdrant.collectionExists(agent.collection);
+    const rechunked = exists && rechunk ? await rechunkInto(agent, collection, embedder, status) : null;
+    let offset = exists && !rechunk ? undefined : null;
+    while (offset !== null) {
+      const res = await qdrant.scroll(agent.collection, { limit: EMBED_BATCH_SIZE, offset, with_payload: true, with_vector: false });
+      if (res.points.length) {
+        const vectors = await embedder.embedDocuments(res.points.map(p => p.payload?.text || ''));
+        await indexPayloadFields(collection, res.points);
+        await qdrant.upsert(collection, {
+          points: res.points.map((p, i) => ({ id: p.id, vector: vectors[i], payload: p.payload })),
+        });
+      }
+      status.done += res.points.length;
+      offset = res.next_page_offset ?? null;
+    }
+    if (!agents[agent.id]) throw new Error('Agent was deleted during the re-embed');
+    const oldCollection = agent.collection;
+    Object.assign(agent, {
+      collection,
+      embeddingProvider: settings.provider,
+      embeddingModel: settings.model,
+      embeddingDimension: dimension,
+    });
+    saveAgents();
+    // Re-chunked documents have new point ids
+    if (rechunked) replaceAgentKeywords(agent.id, rechunked);
+    recordAgentVersion(agent, author, `Re-embedded with ${settings.provider}/${settings.model}`);
+    if (exists) {
+      await qdrant.deleteCollection(oldCollection).catch((e) => console.error('Failed to drop old collection:', e));
+    }
+    status.state = 'done';
+    console.log(`Re-embedded ${status.done} chunks for agent ${agent.id} with ${settings.provider}/${settings.model}`);
   } catch (e) {
-    console.error('LLM error:', e.response ? e.response.data : e);
-    return 'Sorry, could not generate an answer.';
+    console.error('Re-embed error:', e);
+    status.state = 'failed';
+    status.error = e.message;
+    // Unless the agent already switched to it
+    if (collection && agent.collection !== collection) {
+      await qdrant.deleteCollection(collection).catch((err) => console.error('Failed to drop new collection:', err.message));
+    }
   }
 }
 
-// ----- UI Layout -----
-function pageTemplate(content, showNav = true) {
-  return `
-    <!DOCTYPE html>
-    <html lang="en">
-      <head>
-        <meta charset="UTF-8" />
-        <meta name="viewport" content="width=device-width, initial-scale=1" />
-        <script src="https://cdn.tailwindcss.com"></script>
-        <script src="https://cdn.jsdelivr.net/npm/marked/marked.min.js"></script>
-        <title>dot.Me Platform</title>
-        <style>
-          .chat-box { min-height: 0; max-height: 100%; }
-          .nav-btn {
-            background-color: #3b82f6;
-            color: white;
-            padding: 0.25rem 0.75rem;
-            border-radius: 0.25rem;
-          }
-        </style>
-      </head>
-      <body class="bg-gray-100 min-h-screen">
-        <header class="bg-white shadow p-4 mb-4 flex items-center justify-between">
-          <div class="flex items-center">
-            <img src="${LOGO_URL}" alt="Logo" class="h-12 mr-3" />
-            <span class="text-xl font-bold">dot.Me Platform</span>
-          </div>
-          ${showNav ? `
-          <nav class="flex gap-4 ml-auto">
-            <button class="nav-btn" onclick="location.href='/'">Home</button>
-            <button class="nav-btn" onclick="location.href='/admin'">Admin</button>
-            <button class="nav-btn" onclick="location.href='/chat'">Chat</button>
-            <button class="nav-btn" onclick="location.href='/logout'">Logout</button>
-          </nav>
-          ` : ''}
-        </header>
-        <section class="min-h-screen w-full flex flex-col px-2 py-4">
-          <div class="flex-1 flex flex-col w-full">${content}</div>
-        </section>
-      </body>
-    </html>
-  `;
+// Splits and embeds every document of the agent again into collection.
+// Resolves to the new points, without their vectors, for the keyword index.
+async function rechunkInto(agent, collection, embedder, status) {
+  const docs = new Map();
+  let offset;
+  do {
+    const res = await qdrant.scroll(agent.collection, { limit: 250, offset, with_payload: true, with_vector: false });
+    for (const p of res.points) {
+      const id = p.payload?.docId || String(p.id);
+      if (!docs.has(id)) docs.set(id, []);
+      docs.get(id).push(p);
+    }
+    offset = res.next_page_offset;
+  } while (offset != null);
+  status.documents = docs.size;
+  status.documentsDone = 0;
+  const stored = [];
+  for (const [docId, points] of docs) {
+    points.sort((a, b) => (a.payload?.chunkIndex ?? 0) - (b.payload?.chunkIndex ?? 0));
+    const { name = 'Document', tags, validFrom, validTo } = points[0].payload || {};
+    const next = await embedDocument(agent, chunksToText(points), name, docId, { tags, validFrom, validTo }, { embedder });
+    await indexPayloadFields(collection, next);
+    for (let i = 0; i < next.length; i += EMBED_BATCH_SIZE) {
+      await qdrant.upsert(collection, { points: next.slice(i, i + EMBED_BATCH_SIZE) });
+    }
+    stored.push(...next.map(p => ({ id: p.id, payload: p.payload })));
+    status.done += next.length;
+    status.documentsDone++;
+  }
+  return stored;
 }
 
+function isReembedding(agent) {
+  return reembedStatus[agent.id]?.state === 'running';
+}
 
-function adminHtml(agent) {
-  const esc = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-  const threads = Object.entries(dashboardHistory).filter(([k]) => k.endsWith('-' + agent.id));
-  const historySections = threads.map(([tid, msgs]) => {
-    const msgHtml = msgs.map(m => `<div class="${m.role === 'user' ? 'bg-blue-100' : 'bg-green-100'} rounded p-2 mb-1"><strong>${m.role === 'user' ? 'User' : 'Bot'}:</strong> <span class="md">${esc(m.text)}</span></div>`).join('');
-    return `<div class="border rounded p-4 mb-4"><h2 class="font-semibold mb-2">Thread ${tid}</h2>${msgHtml}</div>`;
-  }).join('');
-  return pageTemplate(`
-    <h1 class="text-3xl font-bold text-center mb-2">Admin - ${agent.name}</h1>
-    <div class="flex gap-2 mb-4 justify-center">
-      <button id="tab-settings" class="tab bg-blue-500 text-white px-3 py-1 rounded">Settings</button>
-      <button id="tab-history" class="tab bg-gray-200 px-3 py-1 rounded">Chat History</button>
-    </div>
-    <div id="settings-pane" class="tab-content flex flex-col md:flex-row gap-6 flex-1 w-full">
-      <div class="bg-white p-6 rounded shadow flex-1 flex flex-col min-w-[340px] md:min-w-[380px] w-full">
-        <form id="upload-form" class="space-y-4 flex-1 flex flex-col w-full">
-          <div class="w-full">
-            <label class="block font-semibold mb-1">Name</label>
-            <input class="w-full border rounded px-3 py-2" id="name" value="${agent.name}" />
-          </div>
-          <div class="w-full">
-            <label class="block font-semibold mb-1" for="instruction">Instruction</label>
-            <textarea id="instruction" class="w-full h-40 border rounded p-2">${esc(agent.instruction)}</textarea>
-          </div>
-          <div class="w-full">
-            <label class="block font-semibold mb-1">Temperature</label>
-            <input class="w-full border rounded px-3 py-2" id="temperature" type="number" step="0.1" value="${agent.temperature}" />
-          </div>
+// Resolves to { text, usage, model, finishReason }; history holds the earlier turns only and
+// vars fills the prompt templates (see promptVariables)
+async function askLLM(agent, hits, question, history = [], vars = {}) {
+  const declined = declineAnswer(agent, hits);
+  if (declined) return { text: declined, usage: {}, model: null, finishReason: 'stop' };
+  try {
+    const messages = buildMessages(agent, hits, question, history, vars);
+    return await chatCompletion(agent, messages, { temperature: agent.temperature, topP: agent.topP });
+  } catch (e) {
+    console.error(`LLM error (${e.code || 'unknown'}):`, e.message);
+    throw e;
+  }
+}
+
+// Same as askLLM but relays tokens through onToken as they arrive
+async function streamLLM(agent, hits, question, history = [], { signal, onToken, vars = {} } = {}) {
+  const declined = declineAnswer(agent, hits);
+  if (declined) {
+    onToken?.(declined);
+    return { text: declined, usage: {}, model: null, finishReason: 'stop' };
+  }
+  try {
+    const messages = buildMessages(agent, hits, question, history, vars);
+    return await streamCompletion(agent, messages, { temperature: agent.temperature, topP: agent.topP }, { signal, onToken });
+  } catch (e) {
+    if (e.code !== 'aborted') console.error(`LLM error (${e.code || 'unknown'}):`, e.message);
+    throw e;
+  }
+}
+
+// What each channel tells the user when the LLM call fails, by error type
+function llmErrorReply(e) {
+  if (e instanceof LLMRateLimitError || e instanceof LLMUnavailableError) {
+    return 'The assistant is busy right now. Please try again in a minute.';
+  }
+  if (e instanceof LLMTimeoutError) return 'Sorry, that took too long to answer. Please try again.';
+  if (e instanceof LLMConfigError || e instanceof LLMAuthError) {
+    return 'This assistant is not configured correctly. Please contact the administrator.';
+  }
+  if (e instanceof LLMBadRequestError) return 'Sorry, I could not answer that. Try rephrasing or shortening your question.';
+  return 'Failed to generate answer';
+}
+
+function llmErrorStatus(e) {
+  if (e instanceof LLMRateLimitError) return 429;
+  if (e instanceof LLMTimeoutError) return 504;
+  if (e instanceof LLMUnavailableError) return 503;
+  if (e instanceof LLMConfigError || e instanceof LLMAuthError) return 502;
+  if (e instanceof LLMBadRequestError) return 400;
+  return 500;
+}
+
+// The shared answer pipeline: retrieve, ask the model with the conversation's
+// recent history, then record both sides of the exchange. userName fills
+// {{user_name}} in the prompt when the channel knows who is asking, and
+// filter scopes retrieval by document tags.
+async function answerMessage(agent, conversation, message, { userName, filter } = {}) {
+  const { version } = agent;
+  const history = getMessages(conversation.id, contextLimit(agent));
+  const hits = await searchDocs(agent, message, { filter });
+  const vars = promptVariables({ agent, channel: conversation.channel, userName });
+  const { text: answer, usage } = await askLLM(agent, hits, message, history, vars);
+  addMessage(conversation, 'user', message);
+  addMessage(conversation, 'bot', answer, usage, version);
+  return { answer, hits };
+}
+
+// ----- Chat client -----
+// Browser-side helpers shared by every chat page: message bubbles, the
+// current dashboard conversation, and a reader for the SSE stream of
+// /chat/:id/stream that re-renders the Markdown of the reply as tokens arrive.
+const chatClientScript = `
+      let conversationId = null;
+      async function loadConversation(agentId) {
+        document.getElementById('messages').innerHTML = '';
+        conversationId = null;
+        const res = await fetch('/chat/' + agentId + '/conversations');
+        if (!res.ok) return;
+        const list = await res.json();
+        if (!list.length) return;
+        const convRes = await fetch('/chat/' + agentId + '/conversations/' + list[0].id);
+        if (!convRes.ok) return;
+        const conversation = await convRes.json();
+        conversationId = conversation.id;
+        conversation.messages.forEach(m => appendMessage(m.role, m.text));
+      }
+      async function newConversation(agentId) {
+        const res = await fetch('/chat/' + agentId + '/conversations', { method: 'POST' });
+        if (!res.ok) return;
+        conversationId = (await res.json()).id;
+        document.getElementById('messages').innerHTML = '';
+      }
+      function appendMessage(role, text) {
+        const chat = document.getElementById('messages');
+        const div = document.createElement('div');
+        div.className = (role === 'user' ? 'bg-blue-100' : 'bg-green-100') + ' rounded p-2';
+        div.innerHTML = '<strong>' + (role === 'user' ? 'You' : 'Bot') + ':</strong> <span class="content"></span>';
+        chat.appendChild(div);
+        const content = div.querySelector('.content');
+        setMessage(content, text);
+        return content;
+      }
+      function setMessage(el, text) {
+        const chat = document.getElementById('messages');
+        // Model output is untrusted, so strip scripts and handlers from the rendered markdown
+        el.innerHTML = DOMPurify.sanitize(marked.parse(text));
+        chat.scrollTop = chat.scrollHeight;
+      }
+      async function readEvents(res, handlers) {
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        while (true) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          buffer += decoder.decode(value, { stream: true });
+          let idx;
+          while ((idx = buffer.indexOf('\\n\\n')) !== -1) {
+            const raw = buffer.slice(0, idx);
+            buffer = buffer.slice(idx + 2);
+            let event = 'message';
+            let data = '';
+            raw.split('\\n').forEach(line => {
+              if (line.startsWith('event:')) event = line.slice(6).trim();
+              else if (line.startsWith('data:')) data += line.slice(5).trim();
+            });
+            if (data && handlers[event]) handlers[event](JSON.parse(data));
+          }
+        }
+      }
+      function renderSources(el, sources) {
+        if (!sources || !sources.length) return;
+        const list = document.createElement('ol');
+        list.className = 'text-xs text-gray-600 mt-1 border-t pt-1';
+        sources.forEach(s => {
+          const li = document.createElement('li');
+          li.textContent = '[' + s.n + '] ' + s.name + ' (chunk ' + (s.chunkIndex + 1) + ')';
+          list.appendChild(li);
+        });
+        el.parentElement.appendChild(list);
+      }
+      function renderHits(el, hits) {
+        const details = document.createElement('details');
+        details.className = 'text-xs bg-gray-50 border rounded p-2 mb-1';
+        const summary = document.createElement('summary');
+        summary.textContent = 'Retrieved context (' + hits.length + (hits.length === 1 ? ' hit)' : ' hits)');
+        details.appendChild(summary);
+        hits.forEach((h, i) => {
+          const head = document.createElement('div');
+          head.className = 'font-semibold mt-1';
+          head.textContent = '[' + (i + 1) + '] ' + h.name + ' - chunk ' + (h.chunkIndex + 1) + ' - score ' + Number(h.score).toFixed(4)
+            + (h.rerankScore != null ? ' - rerank ' + Number(h.rerankScore).toFixed(4) : '')
+            + (h.via ? ' - ' + h.via.join(' + ') : '');
+          const pre = document.createElement('pre');
+          pre.className = 'whitespace-pre-wrap';
+          pre.textContent = h.text;
+          details.appendChild(head);
+          details.appendChild(pre);
+        });
+        el.parentElement.insertBefore(details, el);
+      }
+      async function streamAnswer(url, message, options = {}) {
+        const el = appendMessage('bot', '');
+        let answer = '';
+        try {
+          const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ message, conversationId, debug: Boolean(options.debug) }) });
+          if (!res.ok || !res.body) {
+            const data = await res.json().catch(() => ({}));
+            throw new Error(data.error);
+          }
+          await readEvents(res, {
+            token: (d) => { answer += d.text; setMessage(el, answer); },
+            context: (d) => renderHits(el, d.hits),
+            done: (d) => {
+              answer = d.answer;
+              conversationId = d.conversationId;
+              setMessage(el, answer);
+              renderSources(el, d.sources);
+            },
+            error: (d) => { throw new Error(d.error); },
+          });
+          if (!answer) throw new Error();
+        } catch (e) {
+          setMessage(el, e.message || 'Failed to generate answer');
+        }
+      }
+`;
+
+// ----- Website widget -----
+// Served as /widget.js. Everything lives in a shadow root so the partner
+// site's CSS can't leak in, and messages are rendered as plain text.
+const widgetScript = `(function () {
+  var script = document.currentScript;
+  var key = script && script.getAttribute('data-key');
+  if (!key) return console.warn('Chat widget: missing data-key');
+  var api = new URL(script.src).origin + '/widget/' + encodeURIComponent(key);
+  var storageKey = 'mealme-widget:' + key;
+  var visitorToken = localStorage.getItem(storageKey);
+  var config, root, messages, loaded = false;
+
+  var css = [
+    ':host { all: initial; font-family: system-ui, sans-serif; }',
+    '.bubble { position: fixed; right: 20px; bottom: 20px; width: 56px; height: 56px; border-radius: 50%; border: 0;',
+    '  background: var(--color); color: #fff; font-size: 26px; cursor: pointer; box-shadow: 0 4px 12px rgba(0,0,0,.25); z-index: 2147483647; }',
+    '.panel { position: fixed; right: 20px; bottom: 88px; width: 340px; max-width: calc(100vw - 40px); height: 460px;',
+    '  max-height: calc(100vh - 120px); background: #fff; border-radius: 12px; box-shadow: 0 8px 24px rgba(0,0,0,.25);',
+    '  display: flex; flex-direction: column; overflow: hidden; z-index: 2147483647; }',
+    '.hidden { display: none; }',
+    'header { background: var(--color); color: #fff; padding: 10px 12px; display: flex; align-items: center; gap: 8px; font-weight: 600; }',
+    'header img { height: 28px; }',
+    'header span { flex: 1; }',
+    'header button { background: none; border: 0; color: #fff; font-size: 20px; cursor: pointer; }',
+    '.messages { flex: 1; overflow-y: auto; padding: 12px; display: flex; flex-direction: column; gap: 8px; font-size: 14px; }',
+    '.msg { padding: 8px 10px; border-radius: 10px; max-width: 85%; white-space: pre-wrap; word-wrap: break-word; }',
+    '.user { align-self: flex-end; background: var(--color); color: #fff; }',
+    '.bot { align-self: flex-start; background: #f1f5f9; color: #111; }',
+    '.error { color: #b91c1c; }',
+    'form { display: flex; border-top: 1px solid #e5e7eb; }',
+    'input { flex: 1; border: 0; padding: 12px; font-size: 14px; outline: none; }',
+    'form button { border: 0; background: none; color: var(--color); font-weight: 600; padding: 0 14px; cursor: pointer; }'
+  ].join('\\n');
+
+  function request(path, options) {
+    return fetch(api + path, options).then(function (res) {
+      return res.json().catch(function () { return {}; }).then(function (data) {
+        if (!res.ok) throw new Error(data.error || 'Request failed');
+        return data;
+      });
+    });
+  }
+
+  function addMessage(role, text) {
+    var div = document.createElement('div');
+    div.className = 'msg ' + role;
+    div.textContent = text;
+    messages.appendChild(div);
+    messages.scrollTop = messages.scrollHeight;
+    return div;
+  }
+
+  function ensureVisitor() {
+    if (visitorToken) return Promise.resolve(visitorToken);
+    return request('/session', { method: 'POST' }).then(function (data) {
+      visitorToken = data.visitorToken;
+      localStorage.setItem(storageKey, visitorToken);
+      return visitorToken;
+    });
+  }
+
+  function loadHistory() {
+    if (loaded) return;
+    loaded = true;
+    addMessage('bot', config.greeting);
+    if (!visitorToken) return;
+    request('/messages', { headers: { 'X-Visitor-Token': visitorToken } }).then(function (list) {
+      list.forEach(function (m) { addMessage(m.role === 'user' ? 'user' : 'bot', m.text); });
+    }).catch(function () {});
+  }
+
+  function send(text) {
+    addMessage('user', text);
+    var pending = addMessage('bot', '...');
+    ensureVisitor().then(function (token) {
+      return request('/chat', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: text, visitorToken: token })
+      });
+    }).then(function (data) {
+      pending.textContent = data.answer;
+    }).catch(function (e) {
+      pending.textContent = e.message;
+      pending.classList.add('error');
+    });
+  }
+
+  function render() {
+    var host = document.createElement('div');
+    host.style.setProperty('--color', config.color);
+    root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = '<style>' + css + '</style>'
+      + '<div class="panel hidden"><header><img alt="" /><span></span><button type="button" class="close" aria-label="Close">&times;</button></header>'
+      + '<div class="messages"></div><form><input placeholder="Type your question..." maxlength="4000" /><button type="submit">Send</button></form></div>'
+      + '<button type="button" class="bubble" aria-label="Chat">&#128172;</button>';
+    var panel = root.querySelector('.panel');
+    messages = root.querySelector('.messages');
+    root.querySelector('header img').src = config.logoUrl;
+    root.querySelector('header span').textContent = config.name;
+    root.querySelector('.bubble').addEventListener('click', function () {
+      panel.classList.toggle('hidden');
+      loadHistory();
+      root.querySelector('input').focus();
+    });
+    root.querySelector('.close').addEventListener('click', function () { panel.classList.add('hidden'); });
+    root.querySelector('form').addEventListener('submit', function (e) {
+      e.preventDefault();
+      var input = root.querySelector('input');
+      var text = input.value.trim();
+      if (!text) return;
+      input.value = '';
+      send(text);
+    });
+    document.body.appendChild(host);
+  }
+
+  request('/config').then(function (data) {
+    config = data;
+    if (document.body) render(); else document.addEventListener('DOMContentLoaded', render);
+  }).catch(function (e) { console.warn('Chat widget unavailable:', e.message); });
+})();
+`;
+
+// ----- UI Layout -----
+function escapeHtml(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function pageTemplate(content, showNav = true) {
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+      <head>
+        <meta charset="UTF-8" />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <script src="https://cdn.tailwindcss.com"></script>
+        <script src="https://cdn.jsdelivr.net/npm/marked/marked.min.js"></script>
+        <script src="https://cdn.jsdelivr.net/npm/dompurify/dist/purify.min.js"></script>
+        <script>
+          // Sends the CSRF token with every same-origin fetch and form post
+          (() => {
+            const token = () => (document.cookie.match(/(?:^|; )csrf=([^;]*)/) || [])[1] || '';
+            const originalFetch = window.fetch;
+            window.fetch = (input, init = {}) => {
+              const url = new URL(typeof input === 'string' ? input : input.url, location.href);
+              if (url.origin === location.origin) {
+                const headers = new Headers(init.headers || {});
+                headers.set('X-CSRF-Token', decodeURIComponent(token()));
+                init = { ...init, headers };
+              }
+              return originalFetch(input, init);
+            };
+            document.addEventListener('submit', (e) => {
+              const form = e.target;
+              if (form.method.toLowerCase() !== 'post' || form.querySelector('input[name="_csrf"]')) return;
+              const input = document.createElement('input');
+              input.type = 'hidden';
+              input.name = '_csrf';
+              input.value = decodeURIComponent(token());
+              form.appendChild(input);
+            }, true);
+          })();
+        </script>
+        <title>dot.Me Platform</title>
+        <style>
+          .chat-box { min-height: 0; max-height: 100%; }
+          .nav-btn {
+            background-color: #3b82f6;
+            color: white;
+            padding: 0.25rem 0.75rem;
+            border-radius: 0.25rem;
+          }
+        </style>
+      </head>
+      <body class="bg-gray-100 min-h-screen">
+        <header class="bg-white shadow p-4 mb-4 flex items-center justify-between">
+          <div class="flex items-center">
+            <img src="${LOGO_URL}" alt="Logo" class="h-12 mr-3" />
+            <span class="text-xl font-bold">dot.Me Platform</span>
+          </div>
+          ${showNav ? `
+          <nav class="flex gap-4 ml-auto">
+            <button class="nav-btn" onclick="location.href='/'">Home</button>
+            <button class="nav-btn" onclick="location.href='/admin'">Admin</button>
+            <button class="nav-btn" onclick="location.href='/chat'">Chat</button>
+            <button class="nav-btn" onclick="location.href='/history'">History</button>
+            <button class="nav-btn" onclick="location.href='/api-keys'">API Keys</button>
+            <button class="nav-btn" onclick="location.href='/logout'">Logout</button>
+          </nav>
+          ` : ''}
+        </header>
+        <section class="min-h-screen w-full flex flex-col px-2 py-4">
+          <div class="flex-1 flex flex-col w-full">${content}</div>
+        </section>
+      </body>
+    </html>
+  `;
+}
+
+const DIFF_ROW_CLASSES = {
+  same: ['', ''],
+  removed: ['bg-red-100', 'bg-gray-50'],
+  added: ['bg-gray-50', 'bg-green-100'],
+  changed: ['bg-red-100', 'bg-green-100'],
+};
+
+function instructionDiffHtml(before, after) {
+  const cell = (text, cls) => `<td class="align-top whitespace-pre-wrap break-words font-mono text-xs px-2 py-0.5 w-1/2 ${cls}">${text === null ? '' : escapeHtml(text) || '&nbsp;'}</td>`;
+  return `
+    <table class="w-full table-fixed border mt-2">
+      <thead><tr class="text-left text-xs text-gray-500"><th class="px-2">Before</th><th class="px-2">After</th></tr></thead>
+      <tbody>
+        ${diffLines(before, after).map(row => `<tr>${cell(row.left, DIFF_ROW_CLASSES[row.type][0])}${cell(row.right, DIFF_ROW_CLASSES[row.type][1])}</tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+function settingValueText(value) {
+  const text = value === undefined ? 'unset' : JSON.stringify(value);
+  return text.length > 80 ? text.slice(0, 77) + '...' : text;
+}
+
+// Newest first; each entry is compared with the version before it
+function agentVersionsHtml(agent, canEdit) {
+  const versions = listAgentVersions(agent, MAX_VERSIONS_SHOWN + 1);
+  if (!versions.length) return '<p class="text-gray-500">No versions recorded yet.</p>';
+  return versions.slice(0, MAX_VERSIONS_SHOWN).map((v, i) => {
+    const previous = versions[i + 1];
+    const changed = previous ? changedSettings(previous.settings, v.settings) : [];
+    const current = v.version === agent.version;
+    return `
+      <div class="border rounded p-3">
+        <div class="flex flex-wrap justify-between items-center gap-2">
+          <div>
+            <span class="font-semibold">v${v.version}</span>${current ? ' <span class="text-xs bg-blue-100 text-blue-700 px-1 rounded">current</span>' : ''}
+            <span class="text-sm text-gray-500">${new Date(v.created_at).toLocaleString()} by ${escapeHtml(v.author || 'system')}</span>
+            ${v.note ? `<span class="text-sm"> - ${escapeHtml(v.note)}</span>` : ''}
+          </div>
+          ${canEdit && !current ? `<button type="button" class="rollback bg-gray-200 px-2 py-1 rounded text-sm" data-version="${v.version}">Roll back to v${v.version}</button>` : ''}
+        </div>
+        ${previous && !changed.length ? '<p class="text-sm text-gray-500 mt-1">No setting changes.</p>' : ''}
+        ${changed.filter(key => key !== 'instruction').length ? `
+        <ul class="text-sm mt-1">
+          ${changed.filter(key => key !== 'instruction').map(key => `<li><code>${escapeHtml(key)}</code>: ${escapeHtml(settingValueText(previous.settings[key]))} &rarr; ${escapeHtml(settingValueText(v.settings[key]))}</li>`).join('')}
+        </ul>` : ''}
+        ${changed.includes('instruction') ? `
+        <details class="mt-1" ${i === 0 ? 'open' : ''}>
+          <summary class="text-sm cursor-pointer">Instruction changes</summary>
+          ${instructionDiffHtml(previous.settings.instruction || '', v.settings.instruction || '')}
+        </details>` : ''}
+      </div>`;
+  }).join('');
+}
+
+// role is the viewing user's role on the agent: viewers get a read-only page
+// and only owners see channel credentials.
+function adminHtml(agent, role, isAdmin = false) {
+  const llm = resolveLLMSettings(agent);
+  const historyFilters = parseHistoryFilters({ agent: agent.id });
+  const canEdit = roleAtLeast(role, 'editor');
+  const isOwner = roleAtLeast(role, 'owner');
+  return pageTemplate(`
+    <h1 class="text-3xl font-bold text-center mb-2">Admin - ${escapeHtml(agent.name)}</h1>
+    <p class="text-center text-gray-600 mb-2">Your role: ${role}${canEdit ? '' : ' (read-only)'}</p>
+    <div class="flex gap-2 mb-4 justify-center">
+      <button id="tab-settings" class="tab bg-blue-500 text-white px-3 py-1 rounded">Settings</button>
+      <button id="tab-history" class="tab bg-gray-200 px-3 py-1 rounded">Chat History</button>
+      <button id="tab-versions" class="tab bg-gray-200 px-3 py-1 rounded">Version History</button>
+    </div>
+    <div id="settings-pane" class="tab-content flex flex-col md:flex-row gap-6 flex-1 w-full">
+      <div class="bg-white p-6 rounded shadow flex-1 flex flex-col min-w-[340px] md:min-w-[380px] w-full">
+        <form id="upload-form" class="flex-1 flex flex-col w-full">
+          <fieldset class="space-y-4 flex-1 flex flex-col w-full" ${canEdit ? '' : 'disabled'}>
+          <div class="w-full">
+            <label class="block font-semibold mb-1">Name</label>
+            <input class="w-full border rounded px-3 py-2" id="name" value="${escapeHtml(agent.name)}" />
+          </div>
+          <div class="w-full">
+            <label class="block font-semibold mb-1" for="instruction">Instruction</label>
+            <textarea id="instruction" class="w-full h-40 border rounded p-2">${escapeHtml(agent.instruction)}</textarea>
+            <p class="text-xs text-gray-500">The instruction and the templates below may use ${Object.entries(PROMPT_VARIABLES).map(([name, text]) => `<code title="${escapeHtml(text)}">{{${name}}}</code>`).join(', ')}.</p>
+          </div>
+          <div class="w-full flex gap-2">
+            <div class="flex-1">
+              <label class="block font-semibold mb-1">Retrieved Context</label>
+              <select class="w-full border rounded px-3 py-2" id="contextPlacement">
+                ${Object.entries(CONTEXT_PLACEMENTS).map(([key, label]) => `<option value="${key}" ${key === (agent.contextPlacement || PROMPT_DEFAULTS.contextPlacement) ? 'selected' : ''}>${label}</option>`).join('')}
+              </select>
+            </div>
+            <div class="flex-1">
+              <label class="block font-semibold mb-1">Source Label</label>
+              <input class="w-full border rounded px-3 py-2" id="sourceLabel" value="${escapeHtml(agent.sourceLabel || PROMPT_DEFAULTS.sourceLabel)}" />
+              <p class="text-xs text-gray-500">Also <code>{{n}}</code>, <code>{{name}}</code>, <code>{{chunk}}</code>, <code>{{score}}</code></p>
+            </div>
+          </div>
+          <div class="w-full">
+            <label class="block font-semibold mb-1">Context Template</label>
+            <textarea id="contextTemplate" class="w-full h-20 border rounded p-2">${escapeHtml(agent.contextTemplate || PROMPT_DEFAULTS.contextTemplate)}</textarea>
+            <p class="text-xs text-gray-500"><code>{{sources}}</code> is replaced by the numbered sources</p>
+          </div>
+          <div class="w-full">
+            <label class="block font-semibold mb-1">No Context Fallback</label>
+            <textarea id="noContextTemplate" class="w-full h-16 border rounded p-2" placeholder="Sent in place of the sources when nothing relevant is found, e.g. No documents matched; say you don't know.">${escapeHtml(agent.noContextTemplate || '')}</textarea>
+          </div>
+          <div class="w-full flex gap-2">
+            <div class="flex-1">
+              <label class="block font-semibold mb-1">LLM Provider</label>
+              <select class="w-full border rounded px-3 py-2" id="llmProvider" ${isOwner ? '' : 'disabled'}>
+                ${Object.entries(LLM_PROVIDERS).map(([key, p]) => `<option value="${key}" ${key === llm.provider ? 'selected' : ''}>${p.label}</option>`).join('')}
+              </select>
+            </div>
+            <div class="flex-1">
+              <label class="block font-semibold mb-1">Model</label>
+              <input class="w-full border rounded px-3 py-2" id="llmModel" value="${escapeHtml(llm.model)}" />
+            </div>
+          </div>
+          <div class="w-full">
+            <label class="block font-semibold mb-1">Base URL <span class="font-normal text-sm text-gray-500">(Azure endpoint or OpenAI-compatible server, e.g. http://localhost:11434/v1${isOwner ? '' : '; only owners can change the provider and base URL'})</span></label>
+            <input class="w-full border rounded px-3 py-2" id="llmBaseUrl" value="${escapeHtml(llm.baseUrl)}" ${isOwner ? '' : 'disabled'} />
+          </div>
+          <div class="w-full flex gap-2">
+            <div class="flex-1">
+              <label class="block font-semibold mb-1">Max Tokens</label>
+              <input class="w-full border rounded px-3 py-2" id="maxTokens" type="number" min="1" value="${llm.maxTokens || ''}" placeholder="Provider default" />
+            </div>
+            <div class="flex-1">
+              <label class="block font-semibold mb-1">Timeout (s)</label>
+              <input class="w-full border rounded px-3 py-2" id="llmTimeout" type="number" min="1" value="${llm.timeoutMs / 1000}" />
+            </div>
+            <div class="flex-1">
+              <label class="block font-semibold mb-1">Retries</label>
+              <input class="w-full border rounded px-3 py-2" id="llmMaxRetries" type="number" min="0" max="10" value="${llm.maxRetries}" />
+            </div>
+          </div>
+          <div class="w-full">
+            <label class="block font-semibold mb-1">Temperature</label>
+            <input class="w-full border rounded px-3 py-2" id="temperature" type="number" min="0" max="2" step="0.1" value="${agent.temperature}" />
+          </div>
           <div class="w-full">
             <label class="block font-semibold mb-1">Top P</label>
-            <input class="w-full border rounded px-3 py-2" id="topP" type="number" step="0.1" value="${agent.topP}" />
+            <input class="w-full border rounded px-3 py-2" id="topP" type="number" min="0" max="1" step="0.1" value="${agent.topP}" />
           </div>
           <div class="w-full">
             <label class="block font-semibold mb-1">Top K</label>
-            <input class="w-full border rounded px-3 py-2" id="topK" type="number" value="${agent.topK}" />
+            <input class="w-full border rounded px-3 py-2" id="topK" type="number" min="1" max="${MAX_TOP_K}" value="${agent.topK}" />
+          </div>
+          <div class="w-full flex gap-2">
+            <div class="flex-1">
+              <label class="block font-semibold mb-1">Reranking</label>
+              <select class="w-full border rounded px-3 py-2" id="reranker">
+                <option value="">None</option>
+                ${Object.entries(RERANKERS).map(([key, r]) => `<option value="${key}" ${key === agent.reranker ? 'selected' : ''}>${r.label}</option>`).join('')}
+              </select>
+            </div>
+            <div class="flex-1">
+              <label class="block font-semibold mb-1">Minimum Score</label>
+              <input class="w-full border rounded px-3 py-2" id="minScore" type="number" min="0" max="1" step="0.05" value="${agent.minScore || 0}" />
+              <p class="text-xs text-gray-500">0 to 1; 0 keeps every hit</p>
+            </div>
+          </div>
+          <label class="inline-flex items-center"><input type="checkbox" id="hybridSearch" class="mr-2" ${agent.hybridSearch !== false ? 'checked' : ''} />Keyword search alongside vector search (hybrid)</label>
+          <div class="w-full">
+            <label class="block font-semibold mb-1">Default Filter</label>
+            <input class="w-full border rounded px-3 py-2" id="defaultFilter" value="${escapeHtml(formatTags(agent.defaultFilter))}" placeholder="language=en, branch=downtown|airport" />
+            <p class="text-xs text-gray-500">Answers only use documents with these tags unless a request passes its own filter; a|b matches either value</p>
+          </div>
+          <div class="w-full">
+            <label class="block font-semibold mb-1">"Don't Know" Reply</label>
+            <input class="w-full border rounded px-3 py-2" id="noAnswerMessage" value="${escapeHtml(agent.noAnswerMessage || '')}" placeholder="${escapeHtml(DEFAULT_NO_ANSWER)}" />
+            <p class="text-xs text-gray-500">Sent without asking the model when a minimum score is set and no document reaches it</p>
           </div>
+          <div class="w-full flex gap-2">
+            <div class="flex-1">
+              <label class="block font-semibold mb-1">Context Messages</label>
+              <input class="w-full border rounded px-3 py-2" id="contextMessages" type="number" min="0" value="${contextLimit(agent)}" />
+              <p class="text-xs text-gray-500">Earlier messages sent to the model with each question</p>
+            </div>
+            <div class="flex-1">
+              <label class="block font-semibold mb-1">Retention (messages)</label>
+              <input class="w-full border rounded px-3 py-2" id="retentionMessages" type="number" min="0" value="${agent.retentionMessages || 0}" />
+              <p class="text-xs text-gray-500">Messages kept per conversation, 0 keeps everything</p>
+            </div>
+          </div>
+          <div class="w-full flex gap-2">
+            <div class="flex-1">
+              <label class="block font-semibold mb-1">Chunk Size (chars)</label>
+              <input class="w-full border rounded px-3 py-2" id="chunkSize" type="number" min="${MIN_CHUNK_SIZE}" max="${MAX_CHUNK_SIZE}" value="${agent.chunkSize ?? DEFAULT_CHUNK_SIZE}" />
+            </div>
+            <div class="flex-1">
+              <label class="block font-semibold mb-1">Chunk Overlap (chars)</label>
+              <input class="w-full border rounded px-3 py-2" id="chunkOverlap" type="number" min="0" value="${agent.chunkOverlap ?? DEFAULT_CHUNK_OVERLAP}" />
+            </div>
+          </div>
+          <div class="w-full flex gap-2">
+            <div class="flex-1">
+              <label class="block font-semibold mb-1">Embedding Provider</label>
+              <select class="w-full border rounded px-3 py-2" id="embeddingProvider">
+                ${Object.entries(EMBEDDING_PROVIDERS).map(([key, p]) => `<option value="${key}" ${key === agent.embeddingProvider ? 'selected' : ''}>${p.label}</option>`).join('')}
+              </select>
+            </div>
+            <div class="flex-1">
+              <label class="block font-semibold mb-1">Embedding Model</label>
+              <input class="w-full border rounded px-3 py-2" id="embeddingModel" list="embedding-models" value="${escapeHtml(agent.embeddingModel || '')}" />
+              <datalist id="embedding-models">
+                ${Object.values(EMBEDDING_PROVIDERS).flatMap(p => Object.keys(p.models)).map(m => `<option value="${m}"></option>`).join('')}
+              </datalist>
+            </div>
+          </div>
+          <p class="text-sm text-gray-500">Changing the embedding provider or model re-embeds all stored chunks.${reembedStatus[agent.id] ? ` Last ${reembedStatus[agent.id].kind === 'reindex' ? 're-index' : 're-embed'}: ${reembedStatus[agent.id].state} (${reembedStatus[agent.id].done} chunks)${reembedStatus[agent.id].error ? ' - ' + escapeHtml(reembedStatus[agent.id].error) : ''}.` : ''}</p>
+          ${isOwner ? `
           <div class="w-full">
             <label class="block font-semibold mb-1">Telegram Bot Token</label>
-            <input class="w-full border rounded px-3 py-2" id="telegramToken" value="${agent.telegramToken || ''}" />
+            <input class="w-full border rounded px-3 py-2" id="telegramToken" value="${escapeHtml(agent.telegramToken || '')}" />
+          </div>
+          <div class="w-full">
+            <label class="block font-semibold mb-1">Viber Bot Token</label>
+            <input class="w-full border rounded px-3 py-2" id="viberToken" value="${escapeHtml(agent.viberToken || '')}" />
+          </div>` : `
+          <p class="text-sm text-gray-500">Channels: Telegram ${agent.telegramToken ? 'connected' : 'not set'}, Viber ${agent.viberToken ? 'connected' : 'not set'}, Messenger ${agent.messengerPageId ? 'connected' : 'not set'}. Only owners can change channel credentials.</p>`}
+          <div class="w-full">
+            <label class="block font-semibold mb-1">Welcome Message</label>
+            <input class="w-full border rounded px-3 py-2" id="welcomeMessage" value="${escapeHtml(agent.welcomeMessage || '')}" placeholder="${escapeHtml(defaultWelcome(agent))}" />
+          </div>
+          ${isOwner ? `
+          <div class="flex flex-col md:flex-row gap-4 w-full">
+            <div class="flex-1">
+              <label class="block font-semibold mb-1">Messenger Page ID</label>
+              <input class="w-full border rounded px-3 py-2" id="messengerPageId" value="${escapeHtml(agent.messengerPageId || '')}" />
+            </div>
+            <div class="flex-1">
+              <label class="block font-semibold mb-1">Messenger Page Access Token</label>
+              <input class="w-full border rounded px-3 py-2" id="messengerPageToken" value="${escapeHtml(agent.messengerPageToken || '')}" />
+            </div>
+          </div>
+          <p class="text-sm text-gray-500">Subscribe the Facebook page to <code>/messenger/webhook</code> with your <code>VERIFY_TOKEN</code>.</p>` : ''}
+          <div class="w-full border-t pt-4">
+            ${isOwner
+              ? `<label class="font-semibold"><input type="checkbox" id="widgetEnabled" ${agent.widgetEnabled ? 'checked' : ''} /> Website chat widget</label>`
+              : `<p class="font-semibold">Website chat widget: ${agent.widgetEnabled ? 'enabled' : 'disabled'}</p>`}
+            <div class="flex flex-col md:flex-row gap-4 w-full mt-2">
+              ${isOwner ? `
+              <div class="flex-1">
+                <label class="block font-semibold mb-1">Allowed Origins (one per line)</label>
+                <textarea class="w-full h-20 border rounded p-2" id="widgetOrigins" placeholder="https://partner-restaurant.com">${escapeHtml((agent.widgetOrigins || []).join('\n'))}</textarea>
+              </div>` : ''}
+              <div class="flex-1">
+                <label class="block font-semibold mb-1">Greeting</label>
+                <input class="w-full border rounded px-3 py-2" id="widgetGreeting" value="${escapeHtml(agent.widgetGreeting || '')}" placeholder="${escapeHtml(agent.welcomeMessage || defaultWelcome(agent))}" />
+                <label class="block font-semibold mb-1 mt-2">Color</label>
+                <input type="color" id="widgetColor" value="${escapeHtml(agent.widgetColor || DEFAULT_WIDGET_COLOR)}" />
+              </div>
+            </div>
+            <div id="widget-embed" class="${agent.widgetKey ? '' : 'hidden'} mt-2">
+              <p class="text-sm text-gray-500">Paste this on the partner site:</p>
+              <code id="widget-snippet" class="block bg-gray-100 p-2 text-sm break-all"></code>
+              ${isOwner ? '<button type="button" id="widget-regenerate" class="text-sm text-red-600 underline mt-1">Regenerate key</button>' : ''}
+            </div>
           </div>
+          ${canEdit ? `
           <div class="w-full">
             <label class="block font-semibold mb-1">Documents</label>
-            <input class="w-full border rounded px-3 py-2" type="file" id="file" accept=".txt,.pdf,.json,.csv" multiple />
+            <input class="w-full border rounded px-3 py-2" type="file" id="file" accept="${SUPPORTED_EXTENSIONS.join(',')}" multiple />
           </div>
           <div class="w-full">
-            <button class="bg-blue-500 text-white px-4 py-2 rounded w-full" type="submit">Upload</button>
+            <label class="block font-semibold mb-1">Tags</label>
+            <input class="w-full border rounded px-3 py-2" id="doc-tags" placeholder="branch=downtown, language=en" />
+          </div>
+          <div class="w-full flex gap-2">
+            <div class="flex-1">
+              <label class="block font-semibold mb-1">Valid From</label>
+              <input class="w-full border rounded px-3 py-2" type="date" id="doc-valid-from" />
+            </div>
+            <div class="flex-1">
+              <label class="block font-semibold mb-1">Valid To</label>
+              <input class="w-full border rounded px-3 py-2" type="date" id="doc-valid-to" />
+            </div>
           </div>
+          <p class="text-xs text-gray-500">Applied to the files uploaded together. Outside its validity period a document is not used for answers.</p>
+          <div class="w-full">
+            <button class="bg-blue-500 text-white px-4 py-2 rounded w-full" type="submit">Upload</button>
+          </div>` : ''}
           <p class="font-semibold" id="status"></p>
+          <div id="upload-progress" class="hidden w-full bg-gray-200 rounded h-2">
+            <div id="upload-progress-bar" class="bg-blue-500 h-2 rounded" style="width: 0%"></div>
+          </div>
+          <ul id="upload-results" class="text-sm space-y-1"></ul>
+          </fieldset>
         </form>
+        <h2 class="text-lg font-semibold mt-6">Prompt Preview</h2>
+        <p class="text-sm text-gray-500">Renders the prompt from the settings above, saved or not, with the documents retrieved for a sample question. Conversation history goes between the system message and the question.</p>
+        <div class="flex gap-2 mt-2">
+          <input class="flex-1 border rounded px-3 py-2" id="preview-question" placeholder="Sample question" />
+          <button type="button" id="preview-prompt" class="bg-gray-200 px-3 py-2 rounded">Preview</button>
+        </div>
+        <div id="prompt-preview" class="mt-2 space-y-2"></div>
         <h2 class="text-lg font-semibold mt-6">Existing Documents</h2>
+        <input class="border rounded px-2 py-1 mt-2 text-sm w-full" id="docs-tag-filter" placeholder="Filter by tag, e.g. branch:downtown" />
         <div id="docs" class="mt-2 space-y-2"></div>
+        <div class="mt-2 text-sm">
+          ${canEdit ? '<button type="button" id="reindex" class="bg-gray-200 px-3 py-1 rounded">Re-index all documents</button>' : ''}
+          <span id="reindex-status" class="text-gray-600 ml-2"></span>
+        </div>
+        <div id="doc-detail" class="hidden mt-4 border rounded p-3">
+          <fieldset class="space-y-2" ${canEdit ? '' : 'disabled'}>
+            <div class="flex justify-between items-center">
+              <h3 class="font-semibold" id="doc-detail-title"></h3>
+              <button type="button" id="doc-detail-close" class="text-sm text-gray-500 underline">Close</button>
+            </div>
+            <p class="text-xs text-gray-500" id="doc-detail-meta"></p>
+            <input class="w-full border rounded px-3 py-2" id="doc-edit-name" placeholder="Name" />
+            <input class="w-full border rounded px-3 py-2" id="doc-edit-tags" placeholder="branch=downtown, language=en" />
+            <div class="flex gap-2">
+              <input class="flex-1 border rounded px-3 py-2" type="date" id="doc-edit-valid-from" title="Valid from" />
+              <input class="flex-1 border rounded px-3 py-2" type="date" id="doc-edit-valid-to" title="Valid to" />
+            </div>
+            <textarea class="w-full border rounded px-3 py-2 font-mono text-sm" id="doc-edit-text" rows="12"></textarea>
+            ${canEdit ? `
+            <div class="flex flex-wrap gap-2 items-center">
+              <button type="button" id="doc-save" class="bg-blue-500 text-white px-3 py-1 rounded">Save changes</button>
+              <input type="file" id="doc-replace-file" class="text-sm" accept="${SUPPORTED_EXTENSIONS.join(',')}" />
+              <button type="button" id="doc-replace" class="bg-gray-200 px-3 py-1 rounded">Replace file</button>
+            </div>
+            <p class="text-xs text-gray-500">Edited text is split and embedded again. A replacement file swaps all chunks at once and keeps the tags and dates.</p>
+            <p class="text-sm font-semibold" id="doc-detail-status"></p>` : ''}
+          </fieldset>
+          <details class="mt-2">
+            <summary class="cursor-pointer text-sm" id="doc-chunks-summary"></summary>
+            <div id="doc-chunks" class="space-y-1 mt-1"></div>
+          </details>
+        </div>
+        <h2 class="text-lg font-semibold mt-6">Website Sources</h2>
+        <p class="text-sm text-gray-500">Crawls a website, or the pages a sitemap lists, on the start URL's host. robots.txt is honoured, each page becomes a document named by its URL, and a re-crawl only embeds pages whose text changed.</p>
+        ${canEdit ? `
+        <div class="mt-2 space-y-2">
+          <input class="w-full border rounded px-3 py-2" id="source-url" placeholder="https://example.com/ or https://example.com/sitemap.xml" />
+          <div class="flex flex-wrap gap-2">
+            <label class="text-sm">Depth <input class="border rounded px-2 py-1 w-16" type="number" id="source-depth" min="0" max="${MAX_CRAWL_DEPTH}" value="${DEFAULT_CRAWL_DEPTH}" /></label>
+            <label class="text-sm">Max pages <input class="border rounded px-2 py-1 w-20" type="number" id="source-pages" min="1" max="${MAX_CRAWL_PAGES}" value="${DEFAULT_CRAWL_PAGES}" /></label>
+            <label class="text-sm">Re-crawl
+              <select class="border rounded px-2 py-1" id="source-interval">
+                ${Object.entries(CRAWL_INTERVALS).map(([minutes, label]) => `<option value="${minutes}">${label}</option>`).join('')}
+              </select>
+            </label>
+          </div>
+          <input class="w-full border rounded px-3 py-2" id="source-tags" placeholder="Tags for every page, e.g. branch=downtown" />
+          <button type="button" id="source-add" class="bg-blue-500 text-white px-3 py-1 rounded">Add and crawl</button>
+          <span id="source-status" class="text-sm font-semibold ml-2"></span>
+        </div>` : ''}
+        <div id="sources" class="mt-2 space-y-2 text-sm"></div>
+        ${isOwner ? `
+        <h2 class="text-lg font-semibold mt-6">Manage Agent</h2>
+        <div class="mt-2 space-y-3 text-sm">
+          <p>Export a bundle with the settings, instruction and documents:
+            <a class="text-blue-500 underline" href="/admin/${agent.id}/export">without embeddings</a> or
+            <a class="text-blue-500 underline" href="/admin/${agent.id}/export?embeddings=1">with embeddings</a>.
+            Channel credentials are not exported.</p>
+          ${isAdmin ? `
+          <div class="flex flex-wrap gap-2 items-center">
+            <input class="border rounded px-2 py-1 flex-1" id="duplicate-name" placeholder="${escapeHtml(agent.name)} (copy)" />
+            <label class="inline-flex items-center"><input type="checkbox" id="duplicate-vectors" class="mr-1" checked />Copy documents</label>
+            <button type="button" id="duplicate" class="bg-gray-200 px-3 py-1 rounded">Duplicate</button>
+          </div>` : ''}
+          <button type="button" id="delete-agent" class="bg-red-500 text-white px-3 py-1 rounded">Delete agent</button>
+          <p id="manage-status"></p>
+        </div>` : ''}
       </div>
       <div class="bg-white p-6 rounded shadow flex flex-col flex-1 min-h-[500px] w-full">
-        <h2 class="text-xl font-semibold mb-4">Test Chat</h2>
+        <div class="flex justify-between items-center mb-4">
+          <h2 class="text-xl font-semibold">Test Chat</h2>
+          <label class="text-sm inline-flex items-center"><input type="checkbox" id="show-context" class="mr-2" />Show retrieved context</label>
+        </div>
         <div id="messages" class="chat-box flex-1 overflow-y-auto space-y-2 mb-4"></div>
         <div class="flex gap-2">
           <input class="flex-1 border rounded-l px-3 py-3" id="msg" placeholder="Ask something..." />
           <button class="bg-blue-500 text-white px-5 py-3 rounded-r" id="send">Send</button>
         </div>
+        <button class="mt-2 text-sm text-blue-500 underline self-start" id="new-conversation">New conversation</button>
       </div>
     </div>
-    <div id="history-pane" class="tab-content hidden">
-      ${historySections || '<p>No history yet</p>'}
+    <div id="history-pane" class="tab-content hidden bg-white p-6 rounded shadow">
+      ${historyListHtml(historyFilters, searchHistory(historyFilters))}
+      <p class="mt-4"><a class="text-blue-500 underline" href="/history?${historyQueryString(historyFilters)}">Search and export in the history browser</a></p>
+    </div>
+    <div id="versions-pane" class="tab-content hidden bg-white p-6 rounded shadow space-y-3">
+      <p class="text-sm text-gray-500">Every saved change to the settings is kept as a version. Rolling back saves the old settings as a new version and keeps the current embedding model; channel credentials are not versioned.</p>
+      <p id="versions-status" class="font-semibold"></p>
+      ${agentVersionsHtml(agent, canEdit)}
     </div>
     <style>
       #instruction { width: 100%; box-sizing: border-box; }
@@ -334,172 +1929,635 @@ function adminHtml(agent) {
     </style>
     <script>
       const instructionEl = document.getElementById('instruction');
-      document.getElementById('tab-settings').addEventListener('click', () => {
-        document.getElementById('settings-pane').classList.remove('hidden');
-        document.getElementById('history-pane').classList.add('hidden');
-        document.getElementById('tab-settings').classList.add('bg-blue-500','text-white');
-        document.getElementById('tab-history').classList.remove('bg-blue-500','text-white');
+      const canEdit = ${canEdit};
+      const isOwner = ${isOwner};
+      const defaultEmbeddingModels = ${JSON.stringify(Object.fromEntries(Object.entries(EMBEDDING_PROVIDERS).map(([k, p]) => [k, p.defaultModel])))};
+      const defaultLLMModels = ${JSON.stringify(Object.fromEntries(Object.entries(LLM_PROVIDERS).map(([k, p]) => [k, p.defaultModel])))};
+      document.getElementById('llmProvider').addEventListener('change', (e) => {
+        document.getElementById('llmModel').value = defaultLLMModels[e.target.value] || '';
       });
-      document.getElementById('tab-history').addEventListener('click', () => {
-        document.getElementById('history-pane').classList.remove('hidden');
-        document.getElementById('settings-pane').classList.add('hidden');
-        document.getElementById('tab-history').classList.add('bg-blue-500','text-white');
-        document.getElementById('tab-settings').classList.remove('bg-blue-500','text-white');
-        document.querySelectorAll('.md').forEach(el => { el.innerHTML = marked.parse(el.textContent); });
+      document.getElementById('embeddingProvider').addEventListener('change', (e) => {
+        document.getElementById('embeddingModel').value = defaultEmbeddingModels[e.target.value] || '';
       });
-      async function fileToText(file) {
-        if (!file) return '';
-        if (file.type === 'application/json' || file.name.toLowerCase().endsWith('.json')) {
-          const raw = await file.text();
-          try {
-            const data = JSON.parse(raw);
-            return JSON.stringify(data, null, 2);
-          } catch (e) {
-            console.error('Invalid JSON file', e);
-            return raw;
-          }
-        }
-        if (file.type === 'text/csv' || file.name.toLowerCase().endsWith('.csv')) {
-          return await file.text();
-        }
-        return await file.text();
+      const tabs = ['settings', 'history', 'versions'];
+      function showTab(name) {
+        tabs.forEach(t => {
+          document.getElementById(t + '-pane').classList.toggle('hidden', t !== name);
+          document.getElementById('tab-' + t).classList.toggle('bg-blue-500', t === name);
+          document.getElementById('tab-' + t).classList.toggle('text-white', t === name);
+        });
+      }
+      tabs.forEach(t => document.getElementById('tab-' + t).addEventListener('click', () => {
+        showTab(t);
+        history.replaceState(null, '', t === 'settings' ? location.pathname : '#' + t);
+      }));
+      if (tabs.includes(location.hash.slice(1))) showTab(location.hash.slice(1));
+      document.querySelectorAll('.rollback').forEach(btn => btn.addEventListener('click', async () => {
+        if (!confirm('Replace the current settings with v' + btn.dataset.version + '?')) return;
+        const res = await fetch('/admin/${agent.id}/versions/' + btn.dataset.version + '/rollback', { method: 'POST' });
+        const data = await res.json().catch(() => ({}));
+        if (res.ok) location.reload();
+        else document.getElementById('versions-status').textContent = data.error || 'Rollback failed';
+      }));
+      function showWidgetKey(key) {
+        document.getElementById('widget-embed').classList.toggle('hidden', !key);
+        if (!key) return;
+        const snippet = '<script src="' + location.origin + '/widget.js" data-key="' + key + '" async></' + 'script>';
+        document.getElementById('widget-snippet').textContent = snippet;
       }
+      showWidgetKey(${JSON.stringify(agent.widgetKey || '')});
+      if (isOwner) document.getElementById('delete-agent').addEventListener('click', async () => {
+        const typed = prompt('This stops the agent on every channel and deletes its documents. Conversations stay in the history. Type the agent name to confirm:');
+        if (typed === null) return;
+        const res = await fetch('/admin/${agent.id}', {
+          method: 'DELETE',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ confirm: typed }),
+        });
+        const data = await res.json().catch(() => ({}));
+        if (res.ok) location.href = '/admin';
+        else document.getElementById('manage-status').textContent = data.error || 'Delete failed';
+      });
+      document.getElementById('duplicate')?.addEventListener('click', async () => {
+        const statusEl = document.getElementById('manage-status');
+        statusEl.textContent = 'Duplicating...';
+        const res = await fetch('/admin/${agent.id}/duplicate', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            name: document.getElementById('duplicate-name').value.trim(),
+            copyVectors: document.getElementById('duplicate-vectors').checked,
+          }),
+        });
+        const data = await res.json().catch(() => ({}));
+        if (res.ok) location.href = '/admin/' + data.id;
+        else statusEl.textContent = data.error || 'Duplicate failed';
+      });
+      if (isOwner) document.getElementById('widget-regenerate').addEventListener('click', async () => {
+        if (!confirm('The old key stops working on every site that uses it. Continue?')) return;
+        const res = await fetch('/admin/${agent.id}/widget-key', { method: 'POST' });
+        const data = await res.json().catch(() => ({}));
+        if (res.ok) showWidgetKey(data.widgetKey);
+      });
+      function renderUploadResults(results) {
+        const list = document.getElementById('upload-results');
+        list.innerHTML = '';
+        results.forEach(r => {
+          const li = document.createElement('li');
+          li.className = r.ok ? 'text-green-700' : 'text-red-600';
+          li.textContent = r.name + ': ' + (r.ok ? (r.duplicate ? 'already uploaded, skipped' : 'ingested') : r.error);
+          list.appendChild(li);
+        });
+      }
+      function promptSettings() {
+        return {
+          instruction: instructionEl.value,
+          contextPlacement: document.getElementById('contextPlacement').value,
+          contextTemplate: document.getElementById('contextTemplate').value,
+          noContextTemplate: document.getElementById('noContextTemplate').value,
+          sourceLabel: document.getElementById('sourceLabel').value,
+        };
+      }
+      document.getElementById('preview-prompt').addEventListener('click', async () => {
+        const container = document.getElementById('prompt-preview');
+        const question = document.getElementById('preview-question').value.trim();
+        if (!question) return;
+        container.textContent = 'Rendering...';
+        const res = await fetch('/admin/${agent.id}/prompt-preview', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ...promptSettings(), question }),
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+          container.textContent = data.error || 'Preview failed';
+          return;
+        }
+        container.innerHTML = '';
+        data.messages.forEach(m => {
+          const div = document.createElement('div');
+          div.className = 'border rounded p-2';
+          const role = document.createElement('div');
+          role.className = 'text-xs font-semibold uppercase text-gray-500';
+          role.textContent = m.role;
+          const content = document.createElement('pre');
+          content.className = 'whitespace-pre-wrap text-sm';
+          content.textContent = m.content;
+          div.append(role, content);
+          container.appendChild(div);
+        });
+        const note = document.createElement('p');
+        note.className = 'text-xs text-gray-500';
+        note.textContent = data.sources + (data.sources === 1 ? ' source' : ' sources') + ' retrieved';
+        container.appendChild(note);
+      });
       document.getElementById('upload-form').addEventListener('submit', async (e) => {
         e.preventDefault();
-        const files = [...document.getElementById('file').files];
-        const docs = [];
-        for (const f of files) {
-          const text = await fileToText(f);
-          docs.push({ name: f.name, text });
-        }
+        const statusEl = document.getElementById('status');
+        const fileInput = document.getElementById('file');
+        const files = [...fileInput.files];
         const body = {
+          ...promptSettings(),
           name: document.getElementById('name').value.trim(),
-          instruction: instructionEl.value,
           temperature: parseFloat(document.getElementById('temperature').value),
           topP: parseFloat(document.getElementById('topP').value),
           topK: parseInt(document.getElementById('topK').value, 10),
-          telegramToken: document.getElementById('telegramToken').value.trim(),
-          files: docs,
+          hybridSearch: document.getElementById('hybridSearch').checked,
+          reranker: document.getElementById('reranker').value,
+          minScore: parseFloat(document.getElementById('minScore').value) || 0,
+          noAnswerMessage: document.getElementById('noAnswerMessage').value.trim(),
+          defaultFilter: document.getElementById('defaultFilter').value.trim(),
+          contextMessages: parseInt(document.getElementById('contextMessages').value, 10),
+          retentionMessages: parseInt(document.getElementById('retentionMessages').value, 10),
+          chunkSize: parseInt(document.getElementById('chunkSize').value, 10),
+          chunkOverlap: parseInt(document.getElementById('chunkOverlap').value, 10),
+          embeddingProvider: document.getElementById('embeddingProvider').value,
+          embeddingModel: document.getElementById('embeddingModel').value.trim(),
+          llmModel: document.getElementById('llmModel').value.trim(),
+          maxTokens: parseInt(document.getElementById('maxTokens').value, 10) || null,
+          llmTimeoutMs: Math.round(parseFloat(document.getElementById('llmTimeout').value) * 1000),
+          llmMaxRetries: parseInt(document.getElementById('llmMaxRetries').value, 10),
+          welcomeMessage: document.getElementById('welcomeMessage').value.trim(),
+          widgetGreeting: document.getElementById('widgetGreeting').value.trim(),
+          widgetColor: document.getElementById('widgetColor').value,
         };
+        if (isOwner) Object.assign(body, {
+          llmProvider: document.getElementById('llmProvider').value,
+          llmBaseUrl: document.getElementById('llmBaseUrl').value.trim(),
+          telegramToken: document.getElementById('telegramToken').value.trim(),
+          viberToken: document.getElementById('viberToken').value.trim(),
+          messengerPageId: document.getElementById('messengerPageId').value.trim(),
+          messengerPageToken: document.getElementById('messengerPageToken').value.trim(),
+          widgetEnabled: document.getElementById('widgetEnabled').checked,
+          widgetOrigins: document.getElementById('widgetOrigins').value.split(/\\r?\\n/).map(o => o.trim()).filter(Boolean),
+        });
         const res = await fetch('/admin/${agent.id}', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify(body),
         });
-        document.getElementById('status').innerText = res.ok ? 'Uploaded!' : 'Upload failed';
-        if (res.ok) loadDocs();
+        const saved = await res.json().catch(() => ({}));
+        if (!res.ok) {
+          statusEl.innerText = saved.error || 'Save failed';
+          return;
+        }
+        showWidgetKey(saved.widgetKey);
+        if (!files.length) {
+          statusEl.innerText = saved.reembedding ? 'Saved! Re-embedding documents in the background...' : 'Saved!';
+          return;
+        }
+        statusEl.innerText = 'Uploading...';
+        const fd = new FormData();
+        fd.append('tags', document.getElementById('doc-tags').value.trim());
+        fd.append('validFrom', document.getElementById('doc-valid-from').value);
+        fd.append('validTo', document.getElementById('doc-valid-to').value);
+        files.forEach(f => fd.append('files', f));
+        const up = await fetch('/admin/${agent.id}/upload', { method: 'POST', body: fd });
+        const data = await up.json().catch(() => ({}));
+        if (!up.ok) {
+          statusEl.innerText = data.error || 'Upload failed';
+          return;
+        }
+        fileInput.value = '';
+        trackJob(data.job.id);
       });
-      function appendMessage(role, text) {
-        const cls = role === 'user' ? 'bg-blue-100' : 'bg-green-100';
-        const chat = document.getElementById('messages');
-        const html = marked.parse(text);
-        chat.innerHTML += '<div class="' + cls + ' rounded p-2"><strong>' + (role === 'user' ? 'You' : 'Bot') + ':</strong> ' + html + '</div>';
-        chat.scrollTop = chat.scrollHeight;
+      // Follows an upload job until every file is ingested or has failed
+      async function trackJob(id) {
+        const statusEl = document.getElementById('status');
+        const progressEl = document.getElementById('upload-progress');
+        const res = await fetch('/jobs/' + id);
+        if (!res.ok) {
+          progressEl.classList.add('hidden');
+          return;
+        }
+        const job = await res.json();
+        document.getElementById('upload-progress-bar').style.width = Math.round(job.progress * 100) + '%';
+        if (job.state === 'queued' || job.state === 'running') {
+          progressEl.classList.remove('hidden');
+          statusEl.innerText = (job.state === 'queued' ? 'Queued: ' : 'Ingesting: ') + (job.done + job.failed) + ' of ' + job.total
+            + (job.total === 1 ? ' file' : ' files') + (job.failed ? ', ' + job.failed + ' failed' : '');
+          setTimeout(() => trackJob(id), 1000);
+          return;
+        }
+        progressEl.classList.add('hidden');
+        statusEl.innerText = job.failed ? 'Uploaded with ' + job.failed + ' error(s)' : 'Uploaded!';
+        renderUploadResults(job.items.map(i => ({ ...i, ok: i.state === 'done' })));
+        loadDocs();
       }
+      fetch('/admin/${agent.id}/jobs')
+        .then(res => (res.ok ? res.json() : []))
+        .then((jobs) => {
+          const active = jobs.find(j => j.type === 'ingest' && (j.state === 'queued' || j.state === 'running'));
+          if (active) trackJob(active.id);
+        });
+      ${chatClientScript}
       async function sendMessage() {
         const msgEl = document.getElementById('msg');
         const msg = msgEl.value.trim();
         if (!msg) return;
         msgEl.value = '';
         appendMessage('user', msg);
-        try {
-          const res = await fetch('/chat/${agent.id}', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ message: msg }) });
-          const data = await res.json();
-          if (!res.ok || data.error) throw new Error(data.error);
-          appendMessage('bot', data.answer);
-        } catch (e) {
-          appendMessage('bot', 'Failed to generate answer');
-        }
+        await streamAnswer('/chat/${agent.id}/stream', msg, { debug: document.getElementById('show-context').checked });
       }
       document.getElementById('send').addEventListener('click', sendMessage);
       document.getElementById('msg').addEventListener('keydown', (e) => { if(e.key === 'Enter'){ e.preventDefault(); sendMessage(); }});
+      document.getElementById('new-conversation').addEventListener('click', () => newConversation('${agent.id}'));
+      loadConversation('${agent.id}');
+      const docsFilterEl = document.getElementById('docs-tag-filter');
+      function formatDay(ms) {
+        return new Date(ms).toISOString().slice(0, 10);
+      }
       async function loadDocs() {
-        const res = await fetch('/docs/${agent.id}');
-        if (!res.ok) return;
-        const docs = await res.json();
+        const params = new URLSearchParams();
+        docsFilterEl.value.split(',').map(t => t.trim()).filter(Boolean).forEach(t => params.append('tag', t));
+        const res = await fetch('/docs/${agent.id}?' + params);
         const container = document.getElementById('docs');
+        if (!res.ok) {
+          const data = await res.json().catch(() => ({}));
+          container.textContent = data.error || 'Failed to list documents';
+          return;
+        }
+        const docs = await res.json();
         container.innerHTML = '';
         docs.forEach(d => {
           const div = document.createElement('div');
-          div.className = 'flex justify-between items-center border rounded p-2';
-          div.innerHTML = '<span>' + d.name + '</span>' + '<button data-id="' + d.id + '" class="delete bg-red-500 text-white px-2 rounded">Delete</button>';
+          div.className = 'flex justify-between items-center border rounded p-2' + (d.active === false ? ' opacity-60' : '');
+          const info = document.createElement('span');
+          const open = document.createElement('button');
+          open.type = 'button';
+          open.className = 'doc-open text-blue-600 hover:underline mr-1';
+          open.dataset.id = d.id;
+          open.textContent = d.name;
+          info.appendChild(open);
+          const meta = document.createElement('span');
+          meta.className = 'text-gray-500 text-sm';
+          const validity = d.validFrom != null || d.validTo != null
+            ? ', valid ' + (d.validFrom != null ? formatDay(d.validFrom) : '') + ' to ' + (d.validTo != null ? formatDay(d.validTo) : '') + (d.active === false ? ' (not active)' : '')
+            : '';
+          meta.textContent = '(' + d.chunks + (d.chunks === 1 ? ' chunk' : ' chunks') + validity + ')';
+          info.appendChild(meta);
+          Object.entries(d.tags || {}).forEach(([key, value]) => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'tag-chip ml-1 text-xs bg-blue-100 text-blue-700 px-1 rounded';
+            chip.textContent = key + ':' + value;
+            chip.dataset.tag = key + ':' + value;
+            info.appendChild(chip);
+          });
+          div.appendChild(info);
+          if (canEdit) {
+            const del = document.createElement('button');
+            del.className = 'delete bg-red-500 text-white px-2 rounded';
+            del.dataset.id = d.id;
+            del.textContent = 'Delete';
+            div.appendChild(del);
+          }
           container.appendChild(div);
         });
       }
+      docsFilterEl.addEventListener('change', loadDocs);
       document.getElementById('docs').addEventListener('click', async (e) => {
+        if (e.target.classList.contains('tag-chip')) {
+          docsFilterEl.value = e.target.dataset.tag;
+          loadDocs();
+        }
+        if (e.target.classList.contains('doc-open')) openDoc(e.target.dataset.id);
         if (e.target.classList.contains('delete')) {
           const id = e.target.getAttribute('data-id');
           const res = await fetch('/docs/${agent.id}/' + id, { method: 'DELETE' });
+          if (!res.ok) {
+            const data = await res.json().catch(() => ({}));
+            alert(data.error || 'Delete failed');
+          }
           if (res.ok) loadDocs();
+          if (res.ok && openDocId === id) closeDoc();
         }
       });
-      loadDocs();
-    </script>
-  `);
-}
-function chatHtml(agent) {
-  return pageTemplate(`
-    <h1 class="text-3xl font-bold text-center mb-8">Chatbot - ${agent.name}</h1>
-    <div class="bg-white rounded shadow p-4 flex flex-col h-[75vh] w-full">
-      <div id="messages" class="chat-box flex-1 overflow-y-auto space-y-2 mb-4"></div>
-      <div class="flex gap-2">
-        <input class="flex-1 border rounded-l px-3 py-3" id="msg" placeholder="Ask something..." />
-        <button class="bg-blue-500 text-white px-5 py-3 rounded-r" id="send">Send</button>
-      </div>
-      <p class="text-center mt-4"><a class="text-blue-500 underline" href="/admin/${agent.id}">Back to Admin</a></p>
-    </div>
-    <style>
-      .chat-box { min-height: 0; max-height: 100%; }
-    </style>
-    <script>
-      function appendMessage(role, text) {
-        const cls = role === 'user' ? 'bg-blue-100' : 'bg-green-100';
-        const chat = document.getElementById('messages');
-        const html = marked.parse(text);
-        chat.innerHTML += '<div class="' + cls + ' rounded p-2"><strong>' + (role === 'user' ? 'You' : 'Bot') + ':</strong> ' + html + '</div>';
-        chat.scrollTop = chat.scrollHeight;
+      const docDetailEl = document.getElementById('doc-detail');
+      let openDocId = null;
+      let openDocText = '';
+      function setDocStatus(text) {
+        const el = document.getElementById('doc-detail-status');
+        if (el) el.textContent = text;
       }
-      async function sendMessage() {
-        const msgEl = document.getElementById('msg');
-        const msg = msgEl.value.trim();
-        if (!msg) return;
-        msgEl.value = '';
-        appendMessage('user', msg);
-        try {
-          const res = await fetch('/chat/${agent.id}', { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ message: msg }) });
-          const data = await res.json();
-          if (!res.ok || data.error) throw new Error(data.error);
-          appendMessage('bot', data.answer);
-        } catch (e) {
-          appendMessage('bot', 'Failed to generate answer');
+      function closeDoc() {
+        openDocId = null;
+        docDetailEl.classList.add('hidden');
+      }
+      async function openDoc(id) {
+        const res = await fetch('/docs/${agent.id}/' + encodeURIComponent(id));
+        const doc = await res.json().catch(() => ({}));
+        if (!res.ok) {
+          document.getElementById('reindex-status').textContent = doc.error || 'Failed to load document';
+          return;
         }
+        openDocId = doc.id;
+        openDocText = doc.text;
+        document.getElementById('doc-detail-title').textContent = doc.name;
+        document.getElementById('doc-detail-meta').textContent = doc.chunks.length + (doc.chunks.length === 1 ? ' chunk' : ' chunks')
+          + ', ' + doc.text.length + ' characters' + (doc.contentHash ? ', SHA-256 ' + doc.contentHash.slice(0, 12) : '') + (doc.active ? '' : ', not active');
+        document.getElementById('doc-edit-name').value = doc.name;
+        document.getElementById('doc-edit-tags').value = Object.entries(doc.tags || {}).map(([key, value]) => key + '=' + value).join(', ');
+        document.getElementById('doc-edit-valid-from').value = doc.validFrom != null ? formatDay(doc.validFrom) : '';
+        document.getElementById('doc-edit-valid-to').value = doc.validTo != null ? formatDay(doc.validTo) : '';
+        document.getElementById('doc-edit-text').value = doc.text;
+        document.getElementById('doc-chunks-summary').textContent = 'Chunks (' + doc.chunks.length + ')';
+        const chunksEl = document.getElementById('doc-chunks');
+        chunksEl.innerHTML = '';
+        doc.chunks.forEach(c => {
+          const div = document.createElement('div');
+          div.className = 'border rounded p-2';
+          const label = document.createElement('div');
+          label.className = 'text-xs text-gray-500';
+          label.textContent = '#' + (c.index + 1) + (c.start != null ? ' (characters ' + c.start + '-' + c.end + ')' : '');
+          const text = document.createElement('pre');
+          text.className = 'whitespace-pre-wrap text-sm';
+          text.textContent = c.text;
+          div.append(label, text);
+          chunksEl.appendChild(div);
+        });
+        setDocStatus('');
+        docDetailEl.classList.remove('hidden');
       }
-      document.getElementById('send').addEventListener('click', sendMessage);
+      document.getElementById('doc-detail-close').addEventListener('click', closeDoc);
+      async function docUpdated(res, message) {
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+          setDocStatus(data.error || 'Update failed');
+          return;
+        }
+        await openDoc(openDocId);
+        setDocStatus(message + ' (' + data.chunks + (data.chunks === 1 ? ' chunk)' : ' chunks)'));
+        loadDocs();
+      }
+      document.getElementById('doc-save')?.addEventListener('click', async () => {
+        const text = document.getElementById('doc-edit-text').value;
+        setDocStatus('Saving...');
+        const res = await fetch('/docs/${agent.id}/' + encodeURIComponent(openDocId), {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            name: document.getElementById('doc-edit-name').value.trim(),
+            tags: document.getElementById('doc-edit-tags').value.trim(),
+            validFrom: document.getElementById('doc-edit-valid-from').value,
+            validTo: document.getElementById('doc-edit-valid-to').value,
+            ...(text !== openDocText ? { text } : {}),
+          }),
+        });
+        docUpdated(res, 'Saved');
+      });
+      document.getElementById('doc-replace')?.addEventListener('click', async () => {
+        const file = document.getElementById('doc-replace-file').files[0];
+        if (!file) return;
+        setDocStatus('Replacing...');
+        const fd = new FormData();
+        fd.append('file', file);
+        const res = await fetch('/docs/${agent.id}/' + encodeURIComponent(openDocId) + '/replace', { method: 'POST', body: fd });
+        document.getElementById('doc-replace-file').value = '';
+        docUpdated(res, 'Replaced');
+      });
+      async function pollReindex(initial = false) {
+        const statusEl = document.getElementById('reindex-status');
+        const res = await fetch('/admin/${agent.id}/reindex');
+        const data = await res.json().catch(() => ({}));
+        if (data.state === 'running') {
+          statusEl.textContent = data.documents != null
+            ? 'Re-indexing... ' + data.documentsDone + ' of ' + data.documents + ' documents'
+            : 'Re-embedding... ' + data.done + ' chunks';
+          setTimeout(pollReindex, 1000);
+          return;
+        }
+        if (initial) return;
+        statusEl.textContent = data.state === 'failed' ? 'Re-index failed: ' + data.error : 'Re-indexed ' + data.done + ' chunks';
+        loadDocs();
+      }
+      document.getElementById('reindex')?.addEventListener('click', async () => {
+        if (!confirm('Split and embed every document again with the current chunk settings?')) return;
+        const res = await fetch('/admin/${agent.id}/reindex', { method: 'POST' });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+          document.getElementById('reindex-status').textContent = data.error || 'Re-index failed';
+          return;
+        }
+        pollReindex();
+      });
+      pollReindex(true);
+      const crawlIntervals = ${JSON.stringify(CRAWL_INTERVALS)};
+      let sourcesTimer = null;
+      function crawlSummary(crawl) {
+        if (!crawl) return 'Not crawled yet';
+        if (crawl.state === 'queued') return 'Crawl queued';
+        if (crawl.state === 'running') return 'Crawling... ' + Math.round(crawl.progress * 100) + '%';
+        if (crawl.state === 'failed') return 'Crawl failed: ' + (crawl.error || 'unknown error');
+        const s = crawl.stats || {};
+        return 'Crawled ' + (s.pages || 0) + ' pages: ' + (s.added || 0) + ' added, ' + (s.updated || 0) + ' updated, '
+          + (s.unchanged || 0) + ' unchanged' + (s.removed ? ', ' + s.removed + ' removed' : '') + (s.blocked ? ', ' + s.blocked + ' blocked by robots.txt' : '') + (s.failed ? ', ' + s.failed + ' failed' : '');
+      }
+      // Reloads the sources every few seconds while a crawl is pending, and the
+      // documents once it finishes
+      async function loadSources(crawling = false) {
+        clearTimeout(sourcesTimer);
+        const res = await fetch('/admin/${agent.id}/sources');
+        const container = document.getElementById('sources');
+        if (!res.ok) {
+          container.textContent = 'Failed to list sources';
+          return;
+        }
+        const sources = await res.json();
+        container.innerHTML = '';
+        sources.forEach((src) => {
+          const div = document.createElement('div');
+          div.className = 'border rounded p-2 flex justify-between items-center gap-2';
+          const info = document.createElement('div');
+          const link = document.createElement('a');
+          link.href = src.url;
+          link.target = '_blank';
+          link.rel = 'noopener';
+          link.className = 'text-blue-600 hover:underline break-all';
+          link.textContent = src.url;
+          info.appendChild(link);
+          const meta = document.createElement('p');
+          meta.className = 'text-gray-500';
+          meta.textContent = src.pages + (src.pages === 1 ? ' page' : ' pages') + ', depth ' + src.maxDepth + ', up to ' + src.maxPages
+            + ' pages, ' + (crawlIntervals[src.intervalMinutes] || src.intervalMinutes + ' min').toLowerCase()
+            + (src.lastCrawledAt ? ', last crawled ' + new Date(src.lastCrawledAt).toLocaleString() : '');
+          info.appendChild(meta);
+          const status = document.createElement('p');
+          status.textContent = crawlSummary(src.lastCrawl);
+          info.appendChild(status);
+          div.appendChild(info);
+          if (canEdit) {
+            const actions = document.createElement('div');
+            actions.className = 'flex gap-1 shrink-0';
+            const crawl = document.createElement('button');
+            crawl.className = 'source-crawl bg-gray-200 px-2 rounded';
+            crawl.dataset.id = src.id;
+            crawl.textContent = 'Crawl now';
+            const remove = document.createElement('button');
+            remove.className = 'source-remove bg-red-500 text-white px-2 rounded';
+            remove.dataset.id = src.id;
+            remove.textContent = 'Remove';
+            actions.append(crawl, remove);
+            div.appendChild(actions);
+          }
+          container.appendChild(div);
+        });
+        const pending = sources.some(src => src.lastCrawl && (src.lastCrawl.state === 'queued' || src.lastCrawl.state === 'running'));
+        if (pending) sourcesTimer = setTimeout(() => loadSources(true), 2000);
+        else if (crawling) loadDocs();
+      }
+      document.getElementById('source-add')?.addEventListener('click', async () => {
+        const statusEl = document.getElementById('source-status');
+        const res = await fetch('/admin/${agent.id}/sources', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            url: document.getElementById('source-url').value.trim(),
+            maxDepth: document.getElementById('source-depth').value,
+            maxPages: document.getElementById('source-pages').value,
+            intervalMinutes: document.getElementById('source-interval').value,
+            tags: document.getElementById('source-tags').value.trim(),
+          }),
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+          statusEl.textContent = data.error || 'Failed to add the source';
+          return;
+        }
+        statusEl.textContent = '';
+        document.getElementById('source-url').value = '';
+        loadSources(true);
+      });
+      document.getElementById('sources').addEventListener('click', async (e) => {
+        const id = e.target.dataset.id;
+        if (e.target.classList.contains('source-crawl')) {
+          const res = await fetch('/admin/${agent.id}/sources/' + id + '/crawl', { method: 'POST' });
+          if (!res.ok) {
+            const data = await res.json().catch(() => ({}));
+            alert(data.error || 'Failed to start the crawl');
+          }
+          loadSources(true);
+        } else if (e.target.classList.contains('source-remove')) {
+          if (!confirm('Remove this source and the documents crawled from it?')) return;
+          const res = await fetch('/admin/${agent.id}/sources/' + id, { method: 'DELETE' });
+          if (!res.ok) {
+            const data = await res.json().catch(() => ({}));
+            alert(data.error || 'Failed to remove the source');
+          }
+          loadSources();
+          loadDocs();
+        }
+      });
+      loadSources();
+      loadDocs();
+    </script>
+  `);
+}
+function chatHtml(agent, role) {
+  return pageTemplate(`
+    <h1 class="text-3xl font-bold text-center mb-8">Chatbot - ${escapeHtml(agent.name)}</h1>
+    <div class="bg-white rounded shadow p-4 flex flex-col h-[75vh] w-full">
+      <div id="messages" class="chat-box flex-1 overflow-y-auto space-y-2 mb-4"></div>
+      <div class="flex gap-2">
+        <input class="flex-1 border rounded-l px-3 py-3" id="msg" placeholder="Ask something..." />
+        <button class="bg-blue-500 text-white px-5 py-3 rounded-r" id="send">Send</button>
+      </div>
+      <button class="mt-2 text-sm text-blue-500 underline self-start" id="new-conversation">New conversation</button>
+      ${roleAtLeast(role, 'viewer') ? `<p class="text-center mt-4"><a class="text-blue-500 underline" href="/admin/${agent.id}">Back to Admin</a></p>` : ''}
+    </div>
+    <style>
+      .chat-box { min-height: 0; max-height: 100%; }
+    </style>
+    <script>
+      ${chatClientScript}
+      async function sendMessage() {
+        const msgEl = document.getElementById('msg');
+        const msg = msgEl.value.trim();
+        if (!msg) return;
+        msgEl.value = '';
+        appendMessage('user', msg);
+        await streamAnswer('/chat/${agent.id}/stream', msg);
+      }
+      document.getElementById('send').addEventListener('click', sendMessage);
       document.getElementById('msg').addEventListener('keydown', (e) => { if(e.key === 'Enter'){ e.preventDefault(); sendMessage(); }});
+      document.getElementById('new-conversation').addEventListener('click', () => newConversation('${agent.id}'));
+      loadConversation('${agent.id}');
     </script>
   `);
 }
 
-function historyHtml() {
-  const esc = (s) =>
-    s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-  const sections = Object.entries(telegramHistory).map(([agentId, chats]) => {
-    const agentName = agents[agentId]?.name || agentId;
-    const chatsHtml = Object.entries(chats).map(([cid, msgs]) => {
-      const msgHtml = msgs
-        .map(m => `<div class="${m.role === 'user' ? 'bg-blue-100' : 'bg-green-100'} rounded p-2 mb-1"><strong>${m.role === 'user' ? 'User' : 'Bot'}:</strong> <span class="md">${esc(m.text)}</span></div>`)
-        .join('');
-      return `<div class="border rounded p-2 mb-2"><h3 class="font-semibold mb-1">Chat ${cid}</h3>${msgHtml}</div>`;
-    }).join('');
-    return `<div class="border-2 rounded p-4 mb-4"><h2 class="font-semibold mb-2">Agent ${agentName}</h2>${chatsHtml}</div>`;
-  }).join('');
+function historyListHtml(filters, result) {
+  if (!result.rows.length) return '<p>No conversations found</p>';
+  const rows = result.rows.map((c) => `
+    <tr class="border-t align-top">
+      <td class="p-2 whitespace-nowrap">${new Date(c.last_at).toLocaleString()}</td>
+      <td class="p-2">${escapeHtml(agentLabel(c.agent_id))}</td>
+      <td class="p-2">${escapeHtml(c.channel)}</td>
+      <td class="p-2">${escapeHtml(c.external_user_id)}</td>
+      <td class="p-2"><a class="text-blue-500 underline" href="/history/${c.id}">${escapeHtml(c.title || 'Conversation')}</a>
+        <div class="text-gray-500 text-sm">${escapeHtml(c.preview.slice(0, 160))}</div></td>
+      <td class="p-2 text-right">${c.matches}</td>
+    </tr>`).join('');
+  const pageLink = (page, label) => `<a class="text-blue-500 underline" href="/history?${historyQueryString(filters, { page })}">${label}</a>`;
+  return `
+    <table class="w-full text-left text-sm">
+      <thead><tr><th class="p-2">Last message</th><th class="p-2">Agent</th><th class="p-2">Channel</th><th class="p-2">User</th><th class="p-2">Conversation</th><th class="p-2 text-right">Messages</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <div class="flex gap-4 justify-center items-center mt-4">
+      ${filters.page > 1 ? pageLink(filters.page - 1, 'Previous') : ''}
+      <span>Page ${filters.page} of ${result.pages} (${result.total} conversations)</span>
+      ${filters.page < result.pages ? pageLink(filters.page + 1, 'Next') : ''}
+    </div>
+  `;
+}
+
+function historyHtml(filters, user) {
+  const result = searchHistory(filters, historyAccess(user));
+  const channels = conversationStmts.channels.all().map(r => r.channel);
+  const exportQuery = historyQueryString({ ...filters, page: 1 });
   return pageTemplate(`
-    <h1 class="text-3xl font-bold text-center mb-8">Telegram Chat History</h1>
-    <div class="overflow-y-auto flex-1">${sections || '<p>No history yet</p>'}</div>
+    <h1 class="text-3xl font-bold text-center mb-4">Chat History</h1>
+    <form method="GET" action="/history" class="bg-white p-4 rounded shadow flex flex-wrap gap-2 items-end mb-4">
+      <label class="flex flex-col flex-1 min-w-[200px]">Search<input class="border px-2 py-1" name="q" value="${escapeHtml(filters.q)}" placeholder="Words in any message" /></label>
+      <label class="flex flex-col">Agent<select class="border px-2 py-1" name="agent">
+        <option value="">All agents</option>
+        ${accessibleAgents(user).map(a => `<option value="${escapeHtml(a.id)}" ${a.id === filters.agent ? 'selected' : ''}>${escapeHtml(a.name)}</option>`).join('')}
+        ${user.isAdmin ? archivedAgentStmts.list.all().map(a => `<option value="${escapeHtml(a.id)}" ${a.id === filters.agent ? 'selected' : ''}>${escapeHtml(a.name)} (deleted)</option>`).join('') : ''}
+      </select></label>
+      <label class="flex flex-col">Channel<select class="border px-2 py-1" name="channel">
+        <option value="">All channels</option>
+        ${channels.map(c => `<option value="${escapeHtml(c)}" ${c === filters.channel ? 'selected' : ''}>${escapeHtml(c)}</option>`).join('')}
+      </select></label>
+      <label class="flex flex-col">User<input class="border px-2 py-1" name="user" value="${escapeHtml(filters.user)}" placeholder="Email or chat id" /></label>
+      <label class="flex flex-col">From<input class="border px-2 py-1" type="date" name="from" value="${escapeHtml(filters.from)}" /></label>
+      <label class="flex flex-col">To<input class="border px-2 py-1" type="date" name="to" value="${escapeHtml(filters.to)}" /></label>
+      <button class="bg-blue-500 text-white px-3 py-1 rounded" type="submit">Filter</button>
+      <a class="bg-gray-200 px-3 py-1 rounded" href="/history/export/csv?${exportQuery}">Export CSV</a>
+      <a class="bg-gray-200 px-3 py-1 rounded" href="/history/export/jsonl?${exportQuery}">Export JSONL</a>
+    </form>
+    <div class="bg-white p-4 rounded shadow overflow-x-auto">${historyListHtml(filters, result)}</div>
     <p class="text-center mt-4"><a class="text-blue-500 underline" href="/">Home</a></p>
+  `);
+}
+
+function conversationHtml(conversation) {
+  const msgHtml = getMessages(conversation.id).map(m => `
+    <div class="${m.role === 'user' ? 'bg-blue-100' : 'bg-green-100'} rounded p-2 mb-1">
+      <div class="text-xs text-gray-500">${new Date(m.createdAt).toLocaleString()}${m.completionTokens != null ? ` - ${m.promptTokens} prompt / ${m.completionTokens} completion tokens` : ''}${m.agentVersion != null ? ` - settings v${m.agentVersion}` : ''}</div>
+      <strong>${m.role === 'user' ? 'User' : 'Bot'}:</strong> <span class="md">${escapeHtml(m.text)}</span>
+    </div>`).join('');
+  return pageTemplate(`
+    <h1 class="text-3xl font-bold text-center mb-2">${escapeHtml(conversation.title || 'Conversation')}</h1>
+    <p class="text-center text-gray-600 mb-4">
+      ${escapeHtml(agentLabel(conversation.agent_id))} - ${escapeHtml(conversation.channel)} - ${escapeHtml(conversation.external_user_id)}
+      - started ${new Date(conversation.created_at).toLocaleString()}
+    </p>
+    <div class="bg-white p-4 rounded shadow overflow-y-auto flex-1">${msgHtml || '<p>No messages</p>'}</div>
+    <p class="text-center mt-4"><a class="text-blue-500 underline" href="javascript:history.back()">Back</a></p>
     <script>
       document.querySelectorAll('.md').forEach(el => {
-        el.innerHTML = marked.parse(el.textContent);
+        el.innerHTML = DOMPurify.sanitize(marked.parse(el.textContent));
       });
     </script>
   `);
@@ -529,7 +2587,7 @@ function loginHtml(error = '') {
   return pageTemplate(`
     <h1 class="text-3xl font-bold mb-4 text-center">Login</h1>
     <form method="POST" class="max-w-sm mx-auto space-y-4">
-      ${error ? `<p class="text-red-500">${error}</p>` : ''}
+      ${error ? `<p class="text-red-500">${escapeHtml(error)}</p>` : ''}
       <input class="w-full border px-3 py-2" name="email" placeholder="Email" />
       <input class="w-full border px-3 py-2" name="password" type="password" placeholder="Password" />
       <button class="bg-blue-500 text-white px-4 py-2 rounded w-full" type="submit">Login</button>
@@ -537,15 +2595,43 @@ function loginHtml(error = '') {
   `, false);
 }
 
-function usersHtml() {
+function setupHtml(error = '') {
+  return pageTemplate(`
+    <h1 class="text-3xl font-bold mb-2 text-center">Welcome</h1>
+    <p class="text-center text-gray-600 mb-4">Create the first admin account to finish setting up.</p>
+    <form method="POST" action="/setup" class="max-w-sm mx-auto space-y-4">
+      ${error ? `<p class="text-red-500">${escapeHtml(error)}</p>` : ''}
+      <input class="w-full border px-3 py-2" name="email" type="email" placeholder="Admin email" required />
+      <input class="w-full border px-3 py-2" name="password" type="password" placeholder="Password (at least ${MIN_PASSWORD_LENGTH} characters)" minlength="${MIN_PASSWORD_LENGTH}" required />
+      <input class="w-full border px-3 py-2" name="confirm" type="password" placeholder="Confirm password" required />
+      <button class="bg-blue-500 text-white px-4 py-2 rounded w-full" type="submit">Create admin</button>
+    </form>
+  `, false);
+}
+
+function usersHtml(currentEmail) {
+  const agentList = Object.values(agents);
+  const roleSelect = (email, u, a) => `
+    <label class="flex justify-between items-center gap-2">${escapeHtml(a.name)}
+      <select class="role border px-1" data-email="${escapeHtml(email)}" data-agent="${escapeHtml(a.id)}">
+        <option value="">No access</option>
+        ${ROLE_ORDER.map(r => `<option value="${r}" ${u.agentRoles?.[a.id] === r ? 'selected' : ''}>${r}</option>`).join('')}
+      </select>
+    </label>`;
   const userList = Object.entries(users).map(([email, u]) =>
-    `<div class="flex justify-between items-center border rounded p-2">
-      <span>${email}</span>
-      ${email !== 'admin@mealme.com' ? `<button data-email="${email}" class="del bg-red-500 text-white px-2 rounded">Delete</button>` : ''}
+    `<div class="border rounded p-2">
+      <div class="flex justify-between items-center">
+        <span>${escapeHtml(email)}${u.isAdmin ? ' (admin, owner of every agent)' : ''}</span>
+        ${email !== currentEmail ? `<button data-email="${escapeHtml(email)}" class="del bg-red-500 text-white px-2 rounded">Delete</button>` : ''}
+      </div>
+      ${!u.isAdmin && agentList.length ? `<div class="grid md:grid-cols-3 gap-x-6 gap-y-1 mt-2 text-sm">${agentList.map(a => roleSelect(email, u, a)).join('')}</div>` : ''}
     </div>`
   ).join('');
   return pageTemplate(`
     <h1 class="text-3xl font-bold mb-4 text-center">Manage Users</h1>
+    <ul class="text-sm text-gray-600 mb-4">
+      ${Object.entries(AGENT_ROLES).map(([r, text]) => `<li><strong>${r}</strong>: ${text}</li>`).join('')}
+    </ul>
     <div class="space-y-2 mb-4">${userList || '<p>No users</p>'}</div>
     <form id="createForm" class="flex flex-col gap-2 max-w-sm mx-auto">
       <input class="border px-2 py-1" name="email" placeholder="Email" />
@@ -560,6 +2646,7 @@ function usersHtml() {
         const fd = new FormData(e.target);
         const res = await fetch('/users', { method:'POST', body: new URLSearchParams(fd) });
         if(res.ok) location.reload();
+        else alert(await res.text());
       });
       document.querySelectorAll('.del').forEach(btn => {
         btn.addEventListener('click', async () => {
@@ -569,42 +2656,64 @@ function usersHtml() {
           if(res.ok) location.reload();
         });
       });
+      document.querySelectorAll('.role').forEach(select => {
+        select.addEventListener('change', async () => {
+          const email = select.getAttribute('data-email');
+          const agent = select.getAttribute('data-agent');
+          const res = await fetch('/users/' + encodeURIComponent(email) + '/roles/' + encodeURIComponent(agent), {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ role: select.value }),
+          });
+          if (!res.ok) alert(await res.text());
+        });
+      });
     </script>
   `);
 }
 
-function changePasswordHtml(msg = '') {
+function changePasswordHtml(msg = '', isError = false) {
   return pageTemplate(`
     <h1 class="text-3xl font-bold mb-4 text-center">Change Password</h1>
-    ${msg ? `<p class="text-green-600 text-center">${msg}</p>` : ''}
+    ${msg ? `<p class="${isError ? 'text-red-500' : 'text-green-600'} text-center">${escapeHtml(msg)}</p>` : ''}
     <form method="POST" class="max-w-sm mx-auto space-y-4">
-      <input class="w-full border px-3 py-2" name="password" type="password" placeholder="New password" />
+      <input class="w-full border px-3 py-2" name="current" type="password" placeholder="Current password" required />
+      <input class="w-full border px-3 py-2" name="password" type="password" placeholder="New password (at least ${MIN_PASSWORD_LENGTH} characters)" minlength="${MIN_PASSWORD_LENGTH}" required />
+      <input class="w-full border px-3 py-2" name="confirm" type="password" placeholder="Confirm new password" required />
       <button class="bg-blue-500 text-white px-4 py-2 rounded w-full" type="submit">Change</button>
     </form>
     <p class="text-center mt-4"><a class="text-blue-500 underline" href="/">Home</a></p>
   `);
 }
 
-function adminListHtml() {
-  const list = Object.values(agents).map(a => `
+function adminListHtml(user) {
+  const list = accessibleAgents(user, 'viewer').map(a => `
     <div class="flex justify-between items-center border rounded p-2">
-      <span>${a.name}</span>
+      <span>${escapeHtml(a.name)} <span class="text-gray-500 text-sm">(${agentRole(user, a.id)})</span></span>
       <span>
-        <a class="text-blue-500 underline" href="/admin/${a.id}">Edit</a>
+        <a class="text-blue-500 underline" href="/admin/${a.id}">${hasRole(user, a.id, 'editor') ? 'Edit' : 'View'}</a>
       </span>
     </div>
   `).join('');
   return pageTemplate(`
     <h1 class="text-3xl font-bold mb-4 text-center">Manage Agents</h1>
     <div class="space-y-2 mb-4">${list || '<p>No agents</p>'}</div>
+    ${user.isAdmin ? `
     <form id="create-form" class="flex flex-col md:flex-row gap-2 justify-center">
       <input class="border px-2 py-1 flex-1" id="name" placeholder="New agent name" />
       <input class="border px-2 py-1 flex-1" id="telegramToken" placeholder="Telegram bot token (optional)" />
       <button class="bg-blue-500 text-white px-3 py-1 rounded" type="submit">Create</button>
     </form>
+    <form id="import-form" class="flex flex-col md:flex-row gap-2 justify-center items-center mt-4">
+      <label class="font-semibold">Import bundle</label>
+      <input class="border px-2 py-1 flex-1" type="file" name="bundle" accept=".json,application/json" required />
+      <input class="border px-2 py-1 flex-1" name="name" placeholder="Name (optional, defaults to the bundle's)" />
+      <button class="bg-blue-500 text-white px-3 py-1 rounded" type="submit">Import</button>
+    </form>
+    <p id="import-status" class="text-center mt-2"></p>` : ''}
     <p class="text-center mt-4"><a class="text-blue-500 underline" href="/">Home</a></p>
     <script>
-      document.getElementById('create-form').addEventListener('submit', async (e) => {
+      document.getElementById('create-form')?.addEventListener('submit', async (e) => {
         e.preventDefault();
         const name = document.getElementById('name').value.trim();
         const token = document.getElementById('telegramToken').value.trim();
@@ -612,12 +2721,22 @@ function adminListHtml() {
         const res = await fetch('/agents', {method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({name, telegramToken: token})});
         if(res.ok) location.reload();
       });
+      document.getElementById('import-form')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const statusEl = document.getElementById('import-status');
+        statusEl.textContent = 'Importing...';
+        const res = await fetch('/agents/import', { method: 'POST', body: new FormData(e.target) });
+        const data = await res.json().catch(() => ({}));
+        if (res.ok) location.href = '/admin/' + data.id;
+        else statusEl.textContent = data.error || 'Import failed';
+      });
     </script>
   `);
 }
 
-function chatPanelHtml() {
-  const agentArr = Object.values(agents);
+function chatPanelHtml(user) {
+  // Only what the sidebar needs: the agent objects also hold channel secrets
+  const agentArr = accessibleAgents(user).map(a => ({ id: a.id, name: a.name, canView: hasRole(user, a.id, 'viewer') }));
   const first = agentArr[0] || { id: '', name: '' };
   return pageTemplate(`
     <div class="flex flex-col md:flex-row gap-4 flex-1 w-full">
@@ -627,7 +2746,10 @@ function chatPanelHtml() {
         <button id="view-history" class="mt-4 bg-purple-500 text-white px-3 py-1 rounded w-full">Chat History</button>
       </div>
       <div class="bg-white p-4 rounded shadow flex flex-col flex-1 min-h-[500px]">
-        <h2 id="agent-name" class="text-xl font-semibold mb-2"></h2>
+        <div class="flex justify-between items-center mb-2">
+          <h2 id="agent-name" class="text-xl font-semibold"></h2>
+          <button class="text-sm text-blue-500 underline" id="new-conversation">New conversation</button>
+        </div>
         <div id="messages" class="chat-box flex-1 overflow-y-auto space-y-2 mb-4"></div>
         <div class="flex gap-2">
           <input class="flex-1 border rounded-l px-3 py-3" id="msg" placeholder="Ask something..." />
@@ -639,7 +2761,7 @@ function chatPanelHtml() {
       .chat-box { min-height: 0; max-height: 100%; }
     </style>
     <script>
-      const agents = ${JSON.stringify(agentArr)};
+      const agents = ${JSON.stringify(agentArr).replace(/</g, '\\u003c')};
       let current = '${first.id}';
 
       function renderAgents() {
@@ -652,7 +2774,7 @@ function chatPanelHtml() {
           nameSpan.textContent = a.name;
           nameSpan.addEventListener('click', () => {
             current = a.id;
-            clearMessages();
+            loadConversation(current);
             renderAgents();
             document.getElementById('agent-name').textContent = a.name;
           });
@@ -664,248 +2786,2254 @@ function chatPanelHtml() {
             window.location.href = '/admin/' + a.id;
           });
           div.appendChild(nameSpan);
-          div.appendChild(settings);
+          if (a.canView) div.appendChild(settings);
           listEl.appendChild(div);
         });
       }
 
-      function clearMessages() { document.getElementById('messages').innerHTML = ''; }
 
-      function appendMessage(role, text) {
-        const cls = role === 'user' ? 'bg-blue-100' : 'bg-green-100';
-        const chat = document.getElementById('messages');
-        const html = marked.parse(text);
-        chat.innerHTML += '<div class="' + cls + ' rounded p-2"><strong>' + (role === 'user' ? 'You' : 'Bot') + ':</strong> ' + html + '</div>';
-        chat.scrollTop = chat.scrollHeight;
-      }
+      ${chatClientScript}
+
+      async function sendMessage() {
+        const msgEl = document.getElementById('msg');
+        const msg = msgEl.value.trim();
+        if (!msg || !current) return;
+        msgEl.value = '';
+        appendMessage('user', msg);
+        await streamAnswer('/chat/' + current + '/stream', msg);
+      }
+
+      document.getElementById('send').addEventListener('click', sendMessage);
+      document.getElementById('msg').addEventListener('keydown', (e) => { if(e.key === 'Enter'){ e.preventDefault(); sendMessage(); }});
+      document.getElementById('view-history').addEventListener('click', () => { if(current) window.location.href = '/user-history/' + current; });
+
+      document.getElementById('new-conversation').addEventListener('click', () => { if (current) newConversation(current); });
+
+      if (agents.length) { document.getElementById('agent-name').textContent = agents[0].name; }
+      renderAgents();
+      if (current) loadConversation(current);
+    </script>
+  `);
+}
+
+// ------- Agents -------
+// Shared by the admin pages and the REST API
+async function createAgent({ name, telegramToken, embeddingProvider, embeddingModel } = {}) {
+  const id = 'a' + Date.now();
+  const embedding = resolveEmbeddingSettings({
+    provider: embeddingProvider || process.env.EMBEDDING_PROVIDER,
+    model: embeddingModel || (embeddingProvider ? undefined : process.env.EMBEDDING_MODEL),
+  });
+  const agent = {
+    id,
+    name: name || 'Agent',
+    instruction: '',
+    temperature: 0.7,
+    topP: 1,
+    topK: 3,
+    contextMessages: DEFAULT_CONTEXT_MESSAGES,
+    retentionMessages: 0,
+    chunkSize: DEFAULT_CHUNK_SIZE,
+    chunkOverlap: DEFAULT_CHUNK_OVERLAP,
+    llmProvider: 'openai',
+    llmModel: LLM_PROVIDERS.openai.defaultModel,
+    maxTokens: null,
+    llmTimeoutMs: DEFAULT_LLM_TIMEOUT_MS,
+    llmMaxRetries: DEFAULT_LLM_MAX_RETRIES,
+    embeddingProvider: embedding.provider,
+    embeddingModel: embedding.model,
+    collection: `agent_${id}`,
+    telegramToken: telegramToken || '',
+  };
+  await ensureAgentCollection(agent);
+  agents[id] = agent;
+  saveAgents();
+  if (agent.telegramToken) startTelegramBot(agent);
+  return agent;
+}
+
+// Prompt template settings (see prompt.js); an empty template falls back to
+// the default one
+function applyPromptSettings(agent, { contextPlacement, contextTemplate, noContextTemplate, sourceLabel }) {
+  if (CONTEXT_PLACEMENTS[contextPlacement]) agent.contextPlacement = contextPlacement;
+  if (typeof contextTemplate === 'string') agent.contextTemplate = contextTemplate.trim();
+  if (typeof noContextTemplate === 'string') agent.noContextTemplate = noContextTemplate.trim();
+  if (typeof sourceLabel === 'string') agent.sourceLabel = sourceLabel.trim();
+}
+
+// The trimmed http(s) URL, '' to clear it, or null when it isn't one. A URL
+// carrying credentials is refused.
+function parseBaseUrl(value) {
+  const trimmed = value.trim();
+  if (!trimmed) return '';
+  let url;
+  try {
+    url = new URL(trimmed);
+  } catch {
+    return null;
+  }
+  if ((url.protocol !== 'http:' && url.protocol !== 'https:') || url.username || url.password) return null;
+  return trimmed;
+}
+
+// The first setting in body that updateAgentSettings would ignore as invalid,
+// as a message naming it, or null. The API answers 400 with it instead of
+// leaving the value unchanged without a word.
+function agentSettingsError(body, agent) {
+  const text = (v) => typeof v === 'string';
+  const filled = (v) => text(v) && Boolean(v.trim());
+  const bool = (v) => typeof v === 'boolean';
+  const number = (min, max) => (v) => typeof v === 'number' && v >= min && v <= max;
+  const integer = (min, max = Infinity) => (v) => Number.isInteger(v) && v >= min && v <= max;
+  const oneOf = (options) => (v) => text(v) && Object.hasOwn(options, v);
+  const maxOverlap = Math.floor((body.chunkSize ?? agent.chunkSize ?? DEFAULT_CHUNK_SIZE) / 2);
+  const embeddingProvider = body.embeddingProvider || agent.embeddingProvider;
+  const checks = {
+    name: [filled, 'a non-empty string'],
+    instruction: [text, 'a string'],
+    temperature: [number(0, 2), 'a number from 0 to 2'],
+    topP: [number(0, 1), 'a number from 0 to 1'],
+    topK: [integer(1, MAX_TOP_K), `an integer from 1 to ${MAX_TOP_K}`],
+    hybridSearch: [bool, 'a boolean'],
+    reranker: [(v) => v === '' || oneOf(RERANKERS)(v), `empty or one of ${Object.keys(RERANKERS).join(', ')}`],
+    minScore: [number(0, 1), 'a number from 0 to 1'],
+    noAnswerMessage: [text, 'a string'],
+    contextMessages: [integer(0), 'a non-negative integer'],
+    retentionMessages: [integer(0), 'a non-negative integer'],
+    chunkSize: [integer(MIN_CHUNK_SIZE, MAX_CHUNK_SIZE), `an integer from ${MIN_CHUNK_SIZE} to ${MAX_CHUNK_SIZE}`],
+    chunkOverlap: [integer(0, maxOverlap), `an integer from 0 to ${maxOverlap}, half the chunk size`],
+    embeddingProvider: [oneOf(EMBEDDING_PROVIDERS), `one of ${Object.keys(EMBEDDING_PROVIDERS).join(', ')}`],
+    embeddingModel: [(v) => isEmbeddingModel(embeddingProvider, v), `a model of the ${embeddingProvider} embedding provider`],
+    llmProvider: [oneOf(LLM_PROVIDERS), `one of ${Object.keys(LLM_PROVIDERS).join(', ')}`],
+    llmModel: [filled, 'a non-empty string'],
+    llmBaseUrl: [(v) => text(v) && parseBaseUrl(v) != null, 'an http(s) URL without credentials, or empty'],
+    maxTokens: [(v) => v === null || integer(1)(v), 'a positive integer or null'],
+    llmTimeoutMs: [integer(1), 'a positive integer'],
+    llmMaxRetries: [integer(0), 'a non-negative integer'],
+    contextPlacement: [oneOf(CONTEXT_PLACEMENTS), `one of ${Object.keys(CONTEXT_PLACEMENTS).join(', ')}`],
+    contextTemplate: [text, 'a string'],
+    noContextTemplate: [text, 'a string'],
+    sourceLabel: [text, 'a string'],
+    telegramToken: [text, 'a string'],
+    viberToken: [text, 'a string'],
+    welcomeMessage: [text, 'a string'],
+    messengerPageId: [text, 'a string'],
+    messengerPageToken: [text, 'a string'],
+    widgetEnabled: [bool, 'a boolean'],
+    widgetOrigins: [(v) => Array.isArray(v) && v.every(text), 'an array of strings'],
+    widgetGreeting: [text, 'a string'],
+    widgetColor: [(v) => /^#[0-9a-f]{6}$/i.test(v), 'a hex color like #2563eb'],
+  };
+  for (const [field, [valid, expected]] of Object.entries(checks)) {
+    if (body[field] !== undefined && !valid(body[field])) return `${field} must be ${expected}`;
+  }
+  if (body.defaultFilter !== undefined) {
+    try {
+      parseTags(body.defaultFilter, { multiple: true });
+    } catch (e) {
+      return `defaultFilter: ${e.message}`;
+    }
+  }
+  return null;
+}
+
+// Applies the settings present in body, ignoring missing or invalid values,
+// then saves, records a version and restarts channel bots whose tokens
+// changed. A new embedding provider or model starts a background re-embed.
+function updateAgentSettings(agent, body, { author = null, note = '' } = {}) {
+  const {
+    name, instruction, temperature, topP, topK, contextMessages, retentionMessages, chunkSize, chunkOverlap,
+    embeddingProvider, embeddingModel, llmProvider, llmModel, llmBaseUrl, maxTokens,
+    llmTimeoutMs, llmMaxRetries, telegramToken, viberToken, welcomeMessage,
+    messengerPageId, messengerPageToken, widgetEnabled, widgetOrigins, widgetGreeting, widgetColor,
+    hybridSearch, reranker, minScore, noAnswerMessage, defaultFilter,
+  } = body;
+  if (typeof name === 'string' && name.trim()) agent.name = name.trim();
+  if (instruction !== undefined) agent.instruction = instruction;
+  if (typeof temperature === 'number' && temperature >= 0 && temperature <= 2) agent.temperature = temperature;
+  if (typeof topP === 'number' && topP >= 0 && topP <= 1) agent.topP = topP;
+  if (Number.isInteger(topK) && topK >= 1 && topK <= MAX_TOP_K) agent.topK = topK;
+  if (typeof hybridSearch === 'boolean') agent.hybridSearch = hybridSearch;
+  if (reranker === '' || RERANKERS[reranker]) agent.reranker = reranker;
+  if (typeof minScore === 'number' && minScore >= 0 && minScore <= 1) agent.minScore = minScore;
+  if (typeof noAnswerMessage === 'string') agent.noAnswerMessage = noAnswerMessage.trim();
+  if (defaultFilter !== undefined) {
+    try {
+      const filter = parseTags(defaultFilter, { multiple: true });
+      agent.defaultFilter = Object.fromEntries(Object.entries(filter).filter(([, value]) => value !== null));
+    } catch {
+      // Invalid filters are ignored like any other invalid value
+    }
+  }
+  if (Number.isInteger(contextMessages) && contextMessages >= 0) agent.contextMessages = contextMessages;
+  if (Number.isInteger(retentionMessages) && retentionMessages >= 0) agent.retentionMessages = retentionMessages;
+  if (Number.isInteger(chunkSize) && chunkSize >= MIN_CHUNK_SIZE && chunkSize <= MAX_CHUNK_SIZE) agent.chunkSize = chunkSize;
+  // At most half a chunk, as chunkText allows
+  if (Number.isInteger(chunkOverlap) && chunkOverlap >= 0 && chunkOverlap <= Math.floor((agent.chunkSize || DEFAULT_CHUNK_SIZE) / 2)) {
+    agent.chunkOverlap = chunkOverlap;
+  }
+  if (llmProvider && LLM_PROVIDERS[llmProvider]) agent.llmProvider = llmProvider;
+  if (typeof llmModel === 'string' && llmModel.trim()) agent.llmModel = llmModel.trim();
+  if (typeof llmBaseUrl === 'string' && parseBaseUrl(llmBaseUrl) != null) agent.llmBaseUrl = parseBaseUrl(llmBaseUrl);
+  if (maxTokens === null || (Number.isInteger(maxTokens) && maxTokens > 0)) agent.maxTokens = maxTokens;
+  if (Number.isInteger(llmTimeoutMs) && llmTimeoutMs > 0) agent.llmTimeoutMs = llmTimeoutMs;
+  if (Number.isInteger(llmMaxRetries) && llmMaxRetries >= 0) agent.llmMaxRetries = Math.min(llmMaxRetries, 10);
+  applyPromptSettings(agent, body);
+  if (telegramToken !== undefined) agent.telegramToken = telegramToken;
+  const previousViberToken = agent.viberToken;
+  if (typeof viberToken === 'string') agent.viberToken = viberToken.trim();
+  if (typeof welcomeMessage === 'string') agent.welcomeMessage = welcomeMessage.trim();
+  if (typeof messengerPageId === 'string') agent.messengerPageId = messengerPageId.trim();
+  if (typeof messengerPageToken === 'string') agent.messengerPageToken = messengerPageToken.trim();
+  if (typeof widgetEnabled === 'boolean') agent.widgetEnabled = widgetEnabled;
+  if (agent.widgetEnabled && !agent.widgetKey) agent.widgetKey = newWidgetKey();
+  if (Array.isArray(widgetOrigins)) agent.widgetOrigins = normalizeOrigins(widgetOrigins);
+  if (typeof widgetGreeting === 'string') agent.widgetGreeting = widgetGreeting.trim();
+  if (/^#[0-9a-f]{6}$/i.test(widgetColor || '')) agent.widgetColor = widgetColor;
+  let reembedding = false;
+  if (embeddingProvider !== undefined || embeddingModel !== undefined) {
+    const target = resolveEmbeddingSettings({
+      provider: embeddingProvider || agent.embeddingProvider,
+      model: embeddingModel || (embeddingProvider ? undefined : agent.embeddingModel),
+    });
+    if ((target.provider !== agent.embeddingProvider || target.model !== agent.embeddingModel) && !isReembedding(agent)) {
+      reembedding = true;
+      reembedAgent(agent, target, author);
+    }
+  }
+  saveAgents();
+  const version = recordAgentVersion(agent, author, note);
+  if (agent.telegramToken) startTelegramBot(agent); else stopTelegramBot(agent.id);
+  if (agent.viberToken !== previousViberToken) syncViberWebhook(agent, previousViberToken);
+  return { reembedding, version };
+}
+
+// Conversations are kept so the history still shows what the agent said; the
+// agent's name and settings are archived alongside them.
+async function deleteAgent(agent, deletedBy = null) {
+  stopTelegramBot(agent.id);
+  if (agent.viberToken) syncViberWebhook({ ...agent, viberToken: '' }, agent.viberToken);
+  archivedAgentStmts.insert.run(agent.id, agent.name, JSON.stringify(agentSettings(agent)), deletedBy, Date.now());
+  delete agents[agent.id];
+  delete reembedStatus[agent.id];
+  saveAgents();
+  keywordStmts.deleteAgent.run(agent.id);
+  sourceStmts.deleteAgent.run(agent.id);
+  Object.values(users).forEach(u => delete u.agentRoles?.[agent.id]);
+  saveUsers();
+  await qdrant.deleteCollection(agent.collection).catch((e) => console.error('Failed to drop collection:', e.message));
+}
+
+const archivedAgentStmts = {
+  insert: db.prepare('INSERT OR REPLACE INTO archived_agents (id, name, settings, deleted_by, deleted_at) VALUES (?, ?, ?, ?, ?)'),
+  get: db.prepare('SELECT * FROM archived_agents WHERE id = ?'),
+  list: db.prepare('SELECT id, name FROM archived_agents ORDER BY deleted_at DESC'),
+};
+
+// Display name for an agent id found in the history, including deleted agents
+function agentLabel(agentId) {
+  if (agents[agentId]) return agents[agentId].name;
+  const archived = archivedAgentStmts.get.get(agentId);
+  return archived ? `${archived.name} (deleted)` : agentId;
+}
+
+// ------- Agent Versions -------
+// Every change to an agent's settings is stored as a numbered snapshot, so
+// the admin page can show what changed and roll back. Channel tokens and
+// other identity fields (see agentSettings) are not part of a snapshot.
+const MAX_VERSIONS_SHOWN = 50;
+
+const agentVersionStmts = {
+  latest: db.prepare('SELECT * FROM agent_versions WHERE agent_id = ? ORDER BY version DESC LIMIT 1'),
+  insert: db.prepare('INSERT INTO agent_versions (agent_id, version, settings, author, note, created_at) VALUES (?, ?, ?, ?, ?, ?)'),
+  list: db.prepare('SELECT * FROM agent_versions WHERE agent_id = ? ORDER BY version DESC LIMIT ?'),
+  get: db.prepare('SELECT * FROM agent_versions WHERE agent_id = ? AND version = ?'),
+  deleteAgent: db.prepare('DELETE FROM agent_versions WHERE agent_id = ?'),
+};
+
+function versionSnapshot(agent) {
+  const settings = agentSettings(agent);
+  return JSON.stringify(Object.fromEntries(Object.keys(settings).sort().map(key => [key, settings[key]])));
+}
+
+// Stores the agent's current settings as a new version unless they are the
+// same as the latest one. Returns the agent's version number.
+function recordAgentVersion(agent, author = null, note = '') {
+  const snapshot = versionSnapshot(agent);
+  const latest = agentVersionStmts.latest.get(agent.id);
+  const version = latest && latest.settings === snapshot ? latest.version : (latest?.version || 0) + 1;
+  if (version !== latest?.version) {
+    agentVersionStmts.insert.run(agent.id, version, snapshot, author, note || null, Date.now());
+  }
+  if (agent.version !== version) {
+    agent.version = version;
+    saveAgents();
+  }
+  return version;
+}
+
+function listAgentVersions(agent, limit = MAX_VERSIONS_SHOWN) {
+  return agentVersionStmts.list.all(agent.id, limit).map(v => ({ ...v, settings: JSON.parse(v.settings) }));
+}
+
+function getAgentVersion(agent, version) {
+  const row = agentVersionStmts.get.get(agent.id, version);
+  return row ? { ...row, settings: JSON.parse(row.settings) } : null;
+}
+
+// Names of the settings that differ between two snapshots
+function changedSettings(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key])).sort();
+}
+
+// ------- Duplicate, Export and Import -------
+// Identity, version, channel connections and the widget key belong to one
+// agent only and are never copied to another one or written to a bundle.
+const AGENT_IDENTITY_FIELDS = ['id', 'collection', 'embeddingDimension', 'version', 'widgetKey', ...CHANNEL_SETTINGS];
+const BUNDLE_FORMAT = 'dotme-agent-bundle';
+const BUNDLE_VERSION = 1;
+
+function agentSettings(agent) {
+  return Object.fromEntries(Object.entries(agent).filter(([key]) => !AGENT_IDENTITY_FIELDS.includes(key)));
+}
+
+// New agent with source's settings; copyVectors also copies its documents,
+// reusing the stored embeddings
+async function duplicateAgent(source, { name, copyVectors = false, author = null } = {}) {
+  const settings = agentSettings(source);
+  const agent = await createAgent({
+    name: name || `${source.name} (copy)`,
+    embeddingProvider: settings.embeddingProvider,
+    embeddingModel: settings.embeddingModel,
+  });
+  updateAgentSettings(agent, { ...settings, name: agent.name }, { author, note: `Duplicated from ${source.name}` });
+  if (copyVectors) {
+    let offset;
+    do {
+      const res = await qdrant.scroll(source.collection, { limit: EMBED_BATCH_SIZE, offset, with_payload: true, with_vector: true });
+      if (res.points.length) {
+        await indexPayloadFields(agent.collection, res.points);
+        await qdrant.upsert(agent.collection, { points: res.points.map(p => ({ id: p.id, vector: p.vector, payload: p.payload })) });
+        indexChunks(agent.id, res.points);
+      }
+      offset = res.next_page_offset;
+    } while (offset != null);
+  }
+  return agent;
+}
+
+// Settings plus every document as its chunks. With embeddings, each chunk also
+// carries its vector so an import using the same model needn't re-embed.
+async function exportAgentBundle(agent, { embeddings = false } = {}) {
+  await ensureAgentCollection(agent);
+  const documents = new Map();
+  let offset;
+  do {
+    const res = await qdrant.scroll(agent.collection, { limit: 250, offset, with_payload: true, with_vector: embeddings });
+    for (const p of res.points) {
+      const { docId, name, chunkCount, ...chunk } = p.payload || {};
+      const id = docId || String(p.id);
+      if (!documents.has(id)) documents.set(id, { name: name || 'Document', chunks: [] });
+      documents.get(id).chunks.push(embeddings ? { ...chunk, vector: p.vector } : chunk);
+    }
+    offset = res.next_page_offset;
+  } while (offset != null);
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    agent: agentSettings(agent),
+    embedding: embeddings
+      ? { provider: agent.embeddingProvider, model: agent.embeddingModel, dimension: agent.embeddingDimension }
+      : null,
+    documents: [...documents.values()].map(d => ({
+      name: d.name,
+      chunks: d.chunks.sort((a, b) => (a.chunkIndex ?? 0) - (b.chunkIndex ?? 0)),
+    })),
+  };
+}
+
+class BundleError extends Error {}
+
+// The payload of a bundle chunk: its text and position, and tags and dates
+// checked as an upload's are. Any other field in the bundle is dropped.
+function bundleChunkPayload(chunk) {
+  const validity = (value, field) => (Number.isFinite(value) ? value : parseValidity(value, field));
+  const meta = {
+    tags: parseTags(chunk.tags),
+    validFrom: validity(chunk.validFrom, 'validFrom'),
+    validTo: validity(chunk.validTo, 'validTo'),
+  };
+  if (meta.validFrom != null && meta.validTo != null && meta.validFrom > meta.validTo) {
+    throw new MetadataError('validFrom must be before validTo');
+  }
+  return {
+    text: chunk.text,
+    ...(Number.isInteger(chunk.start) ? { start: chunk.start } : {}),
+    ...(Number.isInteger(chunk.end) ? { end: chunk.end } : {}),
+    ...metadataPayload(meta),
+  };
+}
+
+// Documents of a bundle as { name, chunks: [{ payload, vector }] }, checked
+// before anything is created
+function bundleDocuments(bundle) {
+  return (Array.isArray(bundle.documents) ? bundle.documents : []).map((doc) => {
+    const name = String(doc?.name || 'Document');
+    const chunks = (Array.isArray(doc?.chunks) ? doc.chunks : []).filter(c => c && typeof c.text === 'string' && c.text.trim());
+    try {
+      return { name, chunks: chunks.map(c => ({ payload: bundleChunkPayload(c), vector: c.vector })) };
+    } catch (e) {
+      if (e instanceof MetadataError) throw new BundleError(`${name}: ${e.message}`);
+      throw e;
+    }
+  });
+}
+
+// Creates a new agent from a bundle. Chunks are re-embedded unless the bundle
+// has vectors from the same provider, model and dimension.
+async function importAgentBundle(bundle, { name, author = null } = {}) {
+  if (!bundle || bundle.format !== BUNDLE_FORMAT || typeof bundle.agent !== 'object' || !bundle.agent) {
+    throw new BundleError('Not an agent bundle');
+  }
+  if (bundle.version > BUNDLE_VERSION) throw new BundleError(`Bundle version ${bundle.version} is newer than this server supports`);
+  const documents = bundleDocuments(bundle);
+  const settings = agentSettings(bundle.agent);
+  const agent = await createAgent({
+    name: name || settings.name,
+    embeddingProvider: settings.embeddingProvider,
+    embeddingModel: settings.embeddingModel,
+  });
+  const { embedding } = bundle;
+  let reuseVectors = false;
+  let chunkTotal = 0;
+  try {
+    updateAgentSettings(agent, { ...settings, name: agent.name }, { author, note: 'Imported from a bundle' });
+    reuseVectors = Boolean(embedding) && embedding.provider === agent.embeddingProvider
+      && embedding.model === agent.embeddingModel && embedding.dimension === agent.embeddingDimension;
+    const embedder = agentEmbedder(agent);
+    for (const doc of documents) {
+      const { chunks } = doc;
+      const docId = crypto.randomUUID();
+      const hash = contentHash(chunksToText(chunks));
+      for (let i = 0; i < chunks.length; i += EMBED_BATCH_SIZE) {
+        const batch = chunks.slice(i, i + EMBED_BATCH_SIZE);
+        const vectors = reuseVectors && batch.every(c => Array.isArray(c.vector) && c.vector.length === embedding.dimension)
+          ? batch.map(c => c.vector)
+          : await embedder.embedDocuments(batch.map(c => c.payload.text));
+        const points = batch.map(({ payload }, j) => ({
+          id: crypto.randomUUID(),
+          vector: vectors[j],
+          payload: { ...payload, name: doc.name, docId, chunkIndex: i + j, chunkCount: chunks.length, contentHash: hash },
+        }));
+        await indexPayloadFields(agent.collection, points);
+        await qdrant.upsert(agent.collection, { points });
+        indexChunks(agent.id, points);
+      }
+      chunkTotal += chunks.length;
+    }
+  } catch (e) {
+    // Don't leave a half-imported agent behind
+    stopTelegramBot(agent.id);
+    delete agents[agent.id];
+    delete reembedStatus[agent.id];
+    saveAgents();
+    keywordStmts.deleteAgent.run(agent.id);
+    agentVersionStmts.deleteAgent.run(agent.id);
+    await qdrant.deleteCollection(agent.collection).catch(() => {});
+    throw e;
+  }
+  console.log(`Imported agent ${agent.id} with ${documents.length} documents (${chunkTotal} chunks)`);
+  return { agent, documents: documents.length, chunks: chunkTotal, reembedded: !reuseVectors };
+}
+
+// Agents from before versioning start at version 1
+Object.values(agents).forEach((a) => {
+  if (!a.version) recordAgentVersion(a, null, 'Initial version');
+});
+
+// ------- Uploads -------
+function uploadsFromJson(files) {
+  return files
+    .filter(f => f && f.text)
+    .map(f => ({ originalname: f.name || 'Document.txt', buffer: Buffer.from(f.text, 'utf8') }));
+}
+
+// Who queued a job: the logged-in user or the API key
+function jobAuthor(req) {
+  return req.user?.email || (req.apiKey ? `API key ${req.apiKey.name}` : null);
+}
+
+// Receives multipart `files` and queues them for ingestion, replying with the job
+function handleUpload(agent, req, res) {
+  upload.array('files')(req, res, (err) => {
+    if (err) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({ error: tooLarge ? 'File too large' : err.message });
+    }
+    if (!req.files?.length) return res.status(400).json({ error: 'No files uploaded' });
+    let meta;
+    try {
+      meta = documentMetadata(req.body);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    const job = jobQueue.enqueue('ingest', agent.id, fileItems(req.files, meta), jobAuthor(req));
+    res.status(202).json({ job });
+  });
+}
+
+// Adds a website source and queues its first crawl
+function handleAddSource(agent, req, res) {
+  let fields;
+  try {
+    fields = parseSource(req.body);
+  } catch (e) {
+    if (e instanceof SourceError) return res.status(400).json({ error: e.message });
+    throw e;
+  }
+  res.status(201).json(addSource(agent, fields, jobAuthor(req)));
+}
+
+function handleCrawlSource(agent, sourceId, req, res) {
+  const source = sourceStmts.get.get(sourceId);
+  if (!source || source.agent_id !== agent.id) return res.status(404).json({ error: 'Source not found' });
+  if (crawlPending(source)) return res.status(409).json({ error: 'A crawl of this source is already queued' });
+  const job = enqueueCrawl(source, jobAuthor(req));
+  res.status(202).json({ job });
+}
+
+async function handleRemoveSource(agent, sourceId, res, okStatus) {
+  const source = sourceStmts.get.get(sourceId);
+  if (!source || source.agent_id !== agent.id) return res.status(404).json({ error: 'Source not found' });
+  if (isReembedding(agent)) {
+    return res.status(409).json({ error: 'Documents are being re-embedded, try again shortly' });
+  }
+  try {
+    await removeSource(agent, source);
+  } catch (e) {
+    console.error('Remove source error:', e);
+    return res.status(500).json({ error: 'Failed to remove the source' });
+  }
+  if (okStatus === 204) res.sendStatus(204);
+  else res.json({ status: 'ok' });
+}
+
+// ---- Routes ----
+app.get('/setup', (req, res) => {
+  if (!needsSetup()) return res.redirect('/login');
+  res.send(setupHtml());
+});
+
+app.post('/setup', (req, res) => {
+  if (!needsSetup()) return res.redirect('/login');
+  const email = String(req.body.email || '').trim();
+  const { password, confirm } = req.body;
+  if (!email) return res.status(400).send(setupHtml('Email is required'));
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).send(setupHtml(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`));
+  }
+  if (password !== confirm) return res.status(400).send(setupHtml('Passwords do not match'));
+  users[email] = { password: hashPassword(password), isAdmin: true };
+  saveUsers();
+  startSession(req, res, email);
+  res.redirect('/');
+});
+
+app.get('/login', (req, res) => {
+  if (req.user) return res.redirect('/');
+  res.send(loginHtml(req.query.error));
+});
+
+app.post('/login', (req, res) => {
+  const email = String(req.body.email || '').trim();
+  const password = String(req.body.password || '');
+  const throttleKeys = [`ip:${req.ip}`, `email:${email.toLowerCase()}`];
+  const retryAfter = loginRetryAfter(throttleKeys);
+  if (retryAfter) {
+    res.setHeader('Retry-After', Math.ceil(retryAfter / 1000));
+    return res.status(429).send(loginHtml(`Too many failed attempts. Try again in ${Math.ceil(retryAfter / 60000)} minute(s).`));
+  }
+  const user = users[email];
+  if (!user || !verifyPassword(password, user.password)) {
+    recordFailedLogin(throttleKeys);
+    return res.redirect('/login?error=Invalid%20credentials');
+  }
+  clearFailedLogins(throttleKeys);
+  if (needsRehash(user.password)) {
+    user.password = hashPassword(password);
+    saveUsers();
+  }
+  startSession(req, res, email);
+  res.redirect(user.mustChangePassword ? '/change-password' : '/');
+});
+
+app.get('/logout', (req, res) => {
+  if (req.sessionId) deleteSession(req.sessionId);
+  clearSessionCookies(res);
+  res.redirect('/login');
+});
+
+app.get('/change-password', requireLogin, (req, res) => {
+  res.send(changePasswordHtml(req.user.mustChangePassword ? 'Choose a new password to continue' : ''));
+});
+
+app.post('/change-password', requireLogin, (req, res) => {
+  const { current, password, confirm } = req.body;
+  const user = users[req.user.email];
+  if (!verifyPassword(String(current || ''), user.password)) {
+    return res.status(400).send(changePasswordHtml('Current password is incorrect', true));
+  }
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).send(changePasswordHtml(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, true));
+  }
+  if (password !== confirm) return res.status(400).send(changePasswordHtml('Passwords do not match', true));
+  if (password === current) return res.status(400).send(changePasswordHtml('Choose a password different from the current one', true));
+  user.password = hashPassword(password);
+  delete user.mustChangePassword;
+  saveUsers();
+  // Every other session of this user is signed out
+  deleteUserSessions(req.user.email, req.sessionId);
+  res.send(changePasswordHtml('Password updated'));
+});
+
+app.get('/users', requireLogin, (req, res) => {
+  if (!req.user.isAdmin) return res.status(403).send('Forbidden');
+  res.send(usersHtml(req.user.email));
+});
+
+app.post('/users', requireLogin, (req, res) => {
+  if (!req.user.isAdmin) return res.status(403).send('Forbidden');
+  const { email, password, isAdmin } = req.body;
+  if (!email || !password || users[email]) return res.status(400).send('Invalid');
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).send(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  users[email] = { password: hashPassword(password), isAdmin: Boolean(isAdmin) };
+  saveUsers();
+  res.sendStatus(200);
+});
+
+app.delete('/users/:email', requireLogin, (req, res) => {
+  if (!req.user.isAdmin) return res.status(403).send('Forbidden');
+  const email = decodeURIComponent(req.params.email);
+  if (email === req.user.email) return res.status(400).send('You cannot delete yourself');
+  delete users[email];
+  deleteUserSessions(email);
+  saveUsers();
+  res.sendStatus(200);
+});
+
+// Grants role on an agent to a user; an empty role revokes their access
+app.put('/users/:email/roles/:agentId', requireLogin, (req, res) => {
+  if (!req.user.isAdmin) return res.status(403).send('Forbidden');
+  const user = users[decodeURIComponent(req.params.email)];
+  if (!user) return res.status(404).send('User not found');
+  if (!agents[req.params.agentId]) return res.status(404).send('Agent not found');
+  const role = String(req.body.role || '');
+  if (role && !AGENT_ROLES[role]) return res.status(400).send('Unknown role');
+  user.agentRoles = user.agentRoles || {};
+  if (role) user.agentRoles[req.params.agentId] = role;
+  else delete user.agentRoles[req.params.agentId];
+  saveUsers();
+  res.sendStatus(200);
+});
+
+app.get('/agents', (req, res) => {
+  res.send(adminListHtml(req.user));
+});
+
+app.post('/agents', async (req, res) => {
+  if (!req.user.isAdmin) return res.status(403).json({ error: 'Only admins can create agents' });
+  const { name, telegramToken } = req.body;
+  try {
+    const agent = await createAgent({ name, telegramToken });
+    recordAgentVersion(agent, req.user.email, 'Created');
+    res.json({ id: agent.id });
+  } catch (e) {
+    console.error('Create agent error:', e);
+    res.status(500).json({ error: 'Failed to create agent' });
+  }
+});
+
+app.get('/admin', (req, res) => {
+  res.send(adminListHtml(req.user));
+});
+
+app.get('/chat', (req, res) => {
+  res.send(chatPanelHtml(req.user));
+});
+
+app.get('/admin/:id', requireAgentRole('viewer'), (req, res) => {
+  res.send(adminHtml(req.agent, agentRole(req.user, req.agent.id), req.user.isAdmin));
+});
+
+app.post('/admin/:id', requireAgentRole('editor'), (req, res) => {
+  const { agent } = req;
+  const { files = [], text } = req.body;
+  if (!hasRole(req.user, agent.id, 'owner') && OWNER_SETTINGS.some(key => req.body[key] !== undefined)) {
+    return res.status(403).json({ error: 'Only owners can change channel, widget and LLM provider settings' });
+  }
+  if (typeof req.body.llmBaseUrl === 'string' && parseBaseUrl(req.body.llmBaseUrl) == null) {
+    return res.status(400).json({ error: 'Base URL must be an http(s) URL without credentials' });
+  }
+  const { embeddingProvider = agent.embeddingProvider, embeddingModel } = req.body;
+  if (embeddingModel && !isEmbeddingModel(embeddingProvider, embeddingModel)) {
+    return res.status(400).json({ error: `Unknown embedding model for ${EMBEDDING_PROVIDERS[embeddingProvider]?.label || embeddingProvider}` });
+  }
+  const uploading = (Array.isArray(files) && files.length) || text;
+  // Typed by hand, so report mistakes instead of ignoring them
+  if (req.body.defaultFilter !== undefined) {
+    try {
+      parseTags(req.body.defaultFilter, { multiple: true });
+    } catch (e) {
+      return res.status(400).json({ error: `Default filter: ${e.message}` });
+    }
+  }
+  let meta = {};
+  if (uploading) {
+    try {
+      meta = documentMetadata(req.body);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+  }
+  const { reembedding, version } = updateAgentSettings(agent, req.body, { author: req.user.email });
+  let job = null;
+  if (Array.isArray(files) && files.length) {
+    // Legacy JSON uploads: { name, text } pairs run through the same extractors
+    job = jobQueue.enqueue('ingest', agent.id, fileItems(uploadsFromJson(files), meta), req.user.email);
+  } else if (text) {
+    job = jobQueue.enqueue('ingest', agent.id, [textItem('Document', text, meta)], req.user.email);
+  }
+  res.json({ status: 'ok', job, reembedding, version, widgetKey: agent.widgetKey });
+});
+
+// Applies an earlier snapshot as a new version, so the rollback itself can be
+// undone. The embedding settings stay as they are: changing them would
+// re-embed every document.
+app.post('/admin/:id/versions/:version/rollback', requireAgentRole('editor'), (req, res) => {
+  const { agent } = req;
+  const target = getAgentVersion(agent, Number(req.params.version));
+  if (!target) return res.status(404).json({ error: 'Version not found' });
+  const { embeddingProvider, embeddingModel, ...settings } = target.settings;
+  // Editors roll back everything but the settings only owners may change
+  if (!hasRole(req.user, agent.id, 'owner')) OWNER_SETTINGS.forEach(key => delete settings[key]);
+  const { version } = updateAgentSettings(agent, settings, {
+    author: req.user.email,
+    note: `Rolled back to v${target.version}`,
+  });
+  res.json({ status: 'ok', version });
+});
+
+// Renders the prompt for a sample question with the (possibly unsaved)
+// instruction and templates in the body, without calling the model
+app.post('/admin/:id/prompt-preview', requireAgentRole('viewer'), async (req, res) => {
+  const question = String(req.body?.question || '').trim();
+  if (!question) return res.status(400).json({ error: 'Enter a sample question' });
+  const draft = { ...req.agent };
+  if (typeof req.body.instruction === 'string') draft.instruction = req.body.instruction;
+  applyPromptSettings(draft, req.body);
+  const hits = await searchDocs(draft, question);
+  const vars = promptVariables({ agent: draft, channel: 'web', userName: req.user.email });
+  res.json({ messages: buildMessages(draft, hits, question, [], vars), sources: hits.length });
+});
+
+app.post('/admin/:id/upload', requireAgentRole('editor'), (req, res) => {
+  handleUpload(req.agent, req, res);
+});
+
+app.get('/admin/:id/jobs', requireAgentRole('viewer'), (req, res) => {
+  res.json(jobQueue.listJobs(req.agent.id));
+});
+
+app.get('/jobs/:id', (req, res) => {
+  const job = jobQueue.getJob(req.params.id);
+  if (!job || !hasRole(req.user, job.agentId, 'viewer')) return res.status(404).json({ error: 'Job not found' });
+  res.json(job);
+});
+
+// Splits and embeds every document again with the current settings
+app.post('/admin/:id/reindex', requireAgentRole('editor'), (req, res) => {
+  const { agent } = req;
+  if (isReembedding(agent)) return res.status(409).json({ error: 'A re-index is already running' });
+  reembedAgent(agent, { provider: agent.embeddingProvider, model: agent.embeddingModel }, req.user.email, { rechunk: true });
+  res.status(202).json(reembedStatus[agent.id]);
+});
+
+app.get('/admin/:id/reindex', requireAgentRole('viewer'), (req, res) => {
+  res.json(reembedStatus[req.agent.id] || { state: 'idle' });
+});
+
+app.get('/admin/:id/sources', requireAgentRole('viewer'), (req, res) => {
+  res.json(listSources(req.agent));
+});
+
+app.post('/admin/:id/sources', requireAgentRole('editor'), (req, res) => {
+  handleAddSource(req.agent, req, res);
+});
+
+app.post('/admin/:id/sources/:sourceId/crawl', requireAgentRole('editor'), (req, res) => {
+  handleCrawlSource(req.agent, req.params.sourceId, req, res);
+});
+
+app.delete('/admin/:id/sources/:sourceId', requireAgentRole('editor'), (req, res) => {
+  handleRemoveSource(req.agent, req.params.sourceId, res);
+});
+
+// The name must be typed back as confirmation
+app.delete('/admin/:id', requireAgentRole('owner'), async (req, res) => {
+  const { agent } = req;
+  if (String(req.body?.confirm || '').trim() !== agent.name) {
+    return res.status(400).json({ error: 'Type the agent name to confirm' });
+  }
+  if (isReembedding(agent)) return res.status(409).json({ error: 'Documents are being re-embedded, try again shortly' });
+  await deleteAgent(agent, req.user.email);
+  res.json({ status: 'ok' });
+});
+
+app.post('/admin/:id/duplicate', requireAgentRole('owner'), async (req, res) => {
+  if (!req.user.isAdmin) return res.status(403).json({ error: 'Only admins can create agents' });
+  try {
+    const agent = await duplicateAgent(req.agent, {
+      name: String(req.body.name || '').trim(),
+      copyVectors: req.body.copyVectors === true,
+      author: req.user.email,
+    });
+    res.json({ id: agent.id });
+  } catch (e) {
+    console.error('Duplicate agent error:', e);
+    res.status(500).json({ error: 'Failed to duplicate agent' });
+  }
+});
+
+app.get('/admin/:id/export', requireAgentRole('owner'), async (req, res) => {
+  try {
+    const bundle = await exportAgentBundle(req.agent, { embeddings: req.query.embeddings === '1' });
+    const slug = req.agent.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || req.agent.id;
+    res.setHeader('Content-Disposition', `attachment; filename="agent-${slug}-${new Date().toISOString().slice(0, 10)}.json"`);
+    res.json(bundle);
+  } catch (e) {
+    console.error('Export agent error:', e);
+    res.status(500).send('Export failed');
+  }
+});
+
+app.post('/agents/import', (req, res) => {
+  if (!req.user.isAdmin) return res.status(403).json({ error: 'Only admins can create agents' });
+  bundleUpload.single('bundle')(req, res, async (err) => {
+    if (err) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({ error: tooLarge ? 'Bundle too large' : err.message });
+    }
+    if (!req.file) return res.status(400).json({ error: 'Choose a bundle file' });
+    let bundle;
+    try {
+      bundle = JSON.parse(req.file.buffer.toString('utf8'));
+    } catch {
+      return res.status(400).json({ error: 'The bundle is not valid JSON' });
+    }
+    try {
+      const result = await importAgentBundle(bundle, { name: String(req.body.name || '').trim(), author: req.user.email });
+      res.json({ id: result.agent.id, documents: result.documents, chunks: result.chunks, reembedded: result.reembedded });
+    } catch (e) {
+      if (e instanceof BundleError) return res.status(400).json({ error: e.message });
+      console.error('Import agent error:', e);
+      res.status(500).json({ error: 'Import failed' });
+    }
+  });
+});
+
+app.get('/docs/:agentId', requireAgentRole('viewer', 'agentId'), async (req, res) => {
+  try {
+    const docs = await listDocs(req.agent, { tags: tagQuery(req.query) });
+    res.json(docs);
+  } catch (e) {
+    if (e instanceof MetadataError) return res.status(400).json({ error: e.message });
+    console.error('List docs error:', e);
+    res.status(500).json({ error: 'Failed to list docs' });
+  }
+});
+
+app.get('/docs/:agentId/:id', requireAgentRole('viewer', 'agentId'), async (req, res) => {
+  try {
+    const doc = await getDoc(req.agent, req.params.id);
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+    res.json(doc);
+  } catch (e) {
+    console.error('Get doc error:', e);
+    res.status(500).json({ error: 'Failed to load document' });
+  }
+});
+
+// Edits and replacements keep the document's id; see updateDoc
+async function handleDocUpdate(agent, docId, changes, res) {
+  if (isReembedding(agent)) {
+    return res.status(409).json({ error: 'Documents are being re-embedded, try again shortly' });
+  }
+  try {
+    const chunks = await updateDoc(agent, docId, changes);
+    if (chunks == null) return res.status(404).json({ error: 'Document not found' });
+    res.json({ status: 'ok', id: String(docId), chunks });
+  } catch (e) {
+    if (e instanceof MetadataError) return res.status(400).json({ error: e.message });
+    console.error('Update doc error:', e);
+    res.status(500).json({ error: 'Update failed' });
+  }
+}
+
+// A re-embed copies the collection and swaps it in, so a document deleted
+// meanwhile would come back
+async function handleDocDelete(agent, docId, res, okStatus) {
+  if (isReembedding(agent)) {
+    return res.status(409).json({ error: 'Documents are being re-embedded, try again shortly' });
+  }
+  try {
+    if (!(await docChunks(agent, docId)).length) return res.status(404).json({ error: 'Document not found' });
+  } catch (e) {
+    console.error('Delete doc error:', e);
+    return res.status(500).json({ error: 'Delete failed' });
+  }
+  if (!(await removeDoc(agent, docId))) return res.status(500).json({ error: 'Delete failed' });
+  if (okStatus === 204) res.sendStatus(204);
+  else res.json({ status: 'ok' });
+}
+
+// Parses a JSON document edit: text, name, tags, validFrom and validTo, each optional
+function docEdit(body = {}) {
+  if (body.text !== undefined && (typeof body.text !== 'string' || !body.text.trim())) {
+    throw new MetadataError('text must be a non-empty string');
+  }
+  return {
+    text: body.text,
+    name: typeof body.name === 'string' && body.name.trim() ? body.name.trim() : undefined,
+    ...metadataChanges(body),
+  };
+}
+
+// Multipart `file` replacing a document's text; tags and dates sent along
+// with it change too
+function handleDocReplace(agent, docId, req, res) {
+  upload.single('file')(req, res, async (err) => {
+    if (err) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({ error: tooLarge ? 'File too large' : err.message });
+    }
+    if (!req.file) return res.status(400).json({ error: 'file required' });
+    let changes;
+    try {
+      const meta = Object.fromEntries(['tags', 'validFrom', 'validTo'].filter(key => req.body?.[key]).map(key => [key, req.body[key]]));
+      changes = { ...metadataChanges(meta), name: req.file.originalname, text: await extractText(req.file) };
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    handleDocUpdate(agent, docId, changes, res);
+  });
+}
+
+app.put('/docs/:agentId/:id', requireAgentRole('editor', 'agentId'), (req, res) => {
+  let changes;
+  try {
+    changes = docEdit(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  handleDocUpdate(req.agent, req.params.id, changes, res);
+});
+
+app.post('/docs/:agentId/:id/replace', requireAgentRole('editor', 'agentId'), (req, res) => {
+  handleDocReplace(req.agent, req.params.id, req, res);
+});
+
+app.delete('/docs/:agentId/:id', requireAgentRole('editor', 'agentId'), (req, res) => {
+  handleDocDelete(req.agent, req.params.id, res);
+});
+
+app.get('/chat/:id', requireAgentRole('chat'), (req, res) => {
+  res.send(chatHtml(req.agent, agentRole(req.user, req.agent.id)));
+});
+
+// The dashboard conversation a chat request belongs to: the one it names, if
+// that is the user's own thread with this agent, else their most recent one.
+function dashboardConversation(req, agent, conversationId) {
+  if (!conversationId) return findOrCreateConversation(agent.id, 'web', req.user.email);
+  const conversation = getConversation(conversationId);
+  const owned = conversation && conversation.agent_id === agent.id && conversation.channel === 'web'
+    && conversation.external_user_id === req.user.email;
+  return owned ? conversation : null;
+}
+
+app.get('/chat/:id/conversations', requireAgentRole('chat'), (req, res) => {
+  res.json(listConversations(req.agent.id, 'web', req.user.email).map(c => ({
+    id: c.id,
+    title: c.title,
+    createdAt: c.created_at,
+    updatedAt: c.updated_at,
+  })));
+});
+
+app.post('/chat/:id/conversations', requireAgentRole('chat'), (req, res) => {
+  const conversation = createConversation(req.agent.id, 'web', req.user.email);
+  res.json({ id: conversation.id });
+});
+
+app.get('/chat/:id/conversations/:conversationId', requireAgentRole('chat'), (req, res) => {
+  const conversation = dashboardConversation(req, req.agent, req.params.conversationId);
+  if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+  res.json({ id: conversation.id, title: conversation.title, messages: getMessages(conversation.id) });
+});
+
+app.post('/chat/:id', requireAgentRole('chat'), async (req, res) => {
+  const { agent } = req;
+  const { conversationId } = req.body || {};
+  // Raw hits can quote documents a chat-only user never sees on the admin page
+  const debug = Boolean(req.body?.debug) && hasRole(req.user, agent.id, 'viewer');
+  const message = String(req.body?.message || '').trim();
+  if (!message) return res.status(400).json({ error: 'Message required' });
+  let filter;
+  try {
+    filter = parseTags(req.body.filter, { multiple: true });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const conversation = dashboardConversation(req, agent, conversationId);
+  if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+  try {
+    const { answer, hits } = await answerMessage(agent, conversation, message, { userName: req.user.email, filter });
+    res.json({ answer, conversationId: conversation.id, sources: toSources(hits), ...(debug ? { hits } : {}) });
+  } catch (e) {
+    console.error('Chat error:', e.message);
+    res.status(llmErrorStatus(e)).json({ error: llmErrorReply(e), code: e.code });
+  }
+});
+
+// Server-Sent Events variant of POST /chat/:id: `token` events carry text
+// deltas, then a single `done` (full answer and sources) or `error` event ends
+// the stream. With debug set by a viewer or above, a `context` event first
+// lists the raw hits.
+async function streamChat(req, res) {
+  const { agent } = req;
+  const input = req.method === 'GET' ? req.query : req.body || {};
+  const message = String(input.message || '').trim();
+  const debug = (input.debug === true || input.debug === '1' || input.debug === 'true') && hasRole(req.user, agent.id, 'viewer');
+  if (!message) return res.status(400).json({ error: 'Message required' });
+  let filter;
+  try {
+    filter = parseTags(input.filter, { multiple: true });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const conversation = dashboardConversation(req, agent, input.conversationId);
+  if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+  await streamAnswerEvents(res, agent, conversation, message, { debug, userName: req.user.email, filter });
+}
+
+async function streamAnswerEvents(res, agent, conversation, message, { debug = false, userName, filter } = {}) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  try {
+    const { version } = agent;
+    const history = getMessages(conversation.id, contextLimit(agent));
+    const hits = await searchDocs(agent, message, { filter });
+    if (controller.signal.aborted) return;
+    if (debug) send('context', { hits });
+    const { text: answer, usage } = await streamLLM(agent, hits, message, history, {
+      signal: controller.signal,
+      onToken: (text) => send('token', { text }),
+      vars: promptVariables({ agent, channel: conversation.channel, userName }),
+    });
+    addMessage(conversation, 'user', message);
+    addMessage(conversation, 'bot', answer, usage, version);
+    send('done', { answer, conversationId: conversation.id, sources: toSources(hits) });
+  } catch (e) {
+    if (controller.signal.aborted) return;
+    console.error('Chat stream error:', e.message);
+    send('error', { error: llmErrorReply(e), code: e.code });
+  }
+  res.end();
+}
+
+app.get('/chat/:id/stream', requireAgentRole('chat'), streamChat);
+app.post('/chat/:id/stream', requireAgentRole('chat'), streamChat);
+
+app.post('/admin/:id/widget-key', requireAgentRole('owner'), (req, res) => {
+  const { agent } = req;
+  agent.widgetKey = newWidgetKey();
+  saveAgents();
+  res.json({ widgetKey: agent.widgetKey });
+});
+
+// ------- Website Widget -------
+// widget.js renders a chat bubble on partner sites and talks to
+// /widget/:key/*, where the key is the agent's public widget key. Visitors are
+// anonymous: each browser gets a random token, stored on the visitor's side,
+// and only a hash of it is kept as the conversation's user id.
+const DEFAULT_WIDGET_COLOR = '#2563eb';
+const WIDGET_MAX_MESSAGE = 4000;
+const WIDGET_HISTORY_MESSAGES = 50;
+// Chat messages per widget key and client IP: a burst of WIDGET_CHAT_BURST,
+// then WIDGET_CHAT_PER_MINUTE, so one visitor can't run up the model bill
+const WIDGET_CHAT_BURST = 5;
+const WIDGET_CHAT_PER_MINUTE = 10;
+const widgetBuckets = new Map();
+
+function newWidgetKey() {
+  return 'pk_' + crypto.randomBytes(16).toString('hex');
+}
+
+function normalizeOrigins(origins) {
+  const result = new Set();
+  for (const o of origins) {
+    if (o === '*') {
+      result.add('*');
+      continue;
+    }
+    try {
+      result.add(new URL(o).origin);
+    } catch {
+      // Skip entries that aren't URLs
+    }
+  }
+  return [...result];
+}
+
+function widgetOriginAllowed(agent, origin, req) {
+  const allowed = agent.widgetOrigins || [];
+  if (allowed.includes('*') || allowed.includes(origin)) return true;
+  try {
+    return new URL(origin).host === req.get('host');
+  } catch {
+    return false;
+  }
+}
+
+// Takes a message from key's token bucket. Returns 0, or the milliseconds
+// until the bucket has one again.
+function widgetRetryAfter(key) {
+  const now = Date.now();
+  const refillMs = 60000 / WIDGET_CHAT_PER_MINUTE;
+  const refill = (bucket) => Math.min(WIDGET_CHAT_BURST, bucket.tokens + (now - bucket.at) / refillMs);
+  if (widgetBuckets.size > 10000) {
+    for (const [k, bucket] of widgetBuckets) if (refill(bucket) >= WIDGET_CHAT_BURST) widgetBuckets.delete(k);
+  }
+  const bucket = widgetBuckets.get(key) || { tokens: WIDGET_CHAT_BURST, at: now };
+  bucket.tokens = refill(bucket);
+  bucket.at = now;
+  widgetBuckets.set(key, bucket);
+  if (bucket.tokens < 1) return Math.ceil((1 - bucket.tokens) * refillMs);
+  bucket.tokens--;
+  return 0;
+}
+
+function visitorId(token) {
+  return 'visitor-' + crypto.createHash('sha256').update(token).digest('hex').slice(0, 24);
+}
+
+function validVisitorToken(token) {
+  return typeof token === 'string' && /^[0-9a-f]{48}$/.test(token);
+}
+
+app.get('/widget.js', (req, res) => {
+  res.type('application/javascript').send(widgetScript);
+});
+
+app.use('/widget/:key', (req, res, next) => {
+  const agent = Object.values(agents).find(a => a.widgetEnabled && a.widgetKey === req.params.key);
+  if (!agent) return res.status(404).json({ error: 'Widget not found' });
+  const origin = req.get('Origin');
+  res.vary('Origin');
+  // Browsers always send Origin from partner sites; without one the
+  // allow-list could not be checked
+  const allowList = agent.widgetOrigins || [];
+  if (!origin && allowList.length && !allowList.includes('*')) return res.status(403).json({ error: 'Origin required' });
+  if (origin) {
+    if (!widgetOriginAllowed(agent, origin, req)) return res.status(403).json({ error: 'Origin not allowed' });
+    res.set({
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Methods': 'GET, POST',
+      'Access-Control-Allow-Headers': 'Content-Type, X-Visitor-Token',
+      'Access-Control-Max-Age': '600',
+    });
+  }
+  if (req.method === 'OPTIONS') return res.sendStatus(204);
+  req.agent = agent;
+  next();
+});
+
+app.get('/widget/:key/config', (req, res) => {
+  const agent = req.agent;
+  res.json({
+    name: agent.name,
+    color: agent.widgetColor || DEFAULT_WIDGET_COLOR,
+    greeting: agent.widgetGreeting || agent.welcomeMessage || defaultWelcome(agent),
+    logoUrl: LOGO_URL,
+  });
+});
+
+app.post('/widget/:key/session', (req, res) => {
+  res.json({ visitorToken: crypto.randomBytes(24).toString('hex') });
+});
+
+// The token is the visitor's only credential, so it travels in a header
+// rather than the query string, which ends up in access logs
+app.get('/widget/:key/messages', (req, res) => {
+  const token = req.get('X-Visitor-Token');
+  if (!validVisitorToken(token)) return res.status(400).json({ error: 'Invalid visitor token' });
+  const conversation = conversationStmts.latest.get(req.agent.id, 'widget', visitorId(token));
+  const messages = conversation ? getMessages(conversation.id, WIDGET_HISTORY_MESSAGES) : [];
+  res.json(messages.map(m => ({ role: m.role, text: m.text })));
+});
+
+app.post('/widget/:key/chat', async (req, res) => {
+  const agent = req.agent;
+  const { visitorToken } = req.body || {};
+  const message = String(req.body?.message || '').trim();
+  if (!validVisitorToken(visitorToken)) return res.status(400).json({ error: 'Invalid visitor token' });
+  if (!message) return res.status(400).json({ error: 'Message required' });
+  if (message.length > WIDGET_MAX_MESSAGE) return res.status(400).json({ error: 'Message too long' });
+  const retryAfter = widgetRetryAfter(`${agent.widgetKey}:${req.ip}`);
+  if (retryAfter) {
+    res.setHeader('Retry-After', Math.ceil(retryAfter / 1000));
+    return res.status(429).json({ error: 'Too many messages. Please wait a moment and try again.' });
+  }
+  const conversation = findOrCreateConversation(agent.id, 'widget', visitorId(visitorToken));
+  try {
+    const { answer, hits } = await answerMessage(agent, conversation, message);
+    res.json({ answer, sources: toSources(hits) });
+  } catch (e) {
+    console.error('Widget chat error:', e.message);
+    res.status(llmErrorStatus(e)).json({ error: llmErrorReply(e), code: e.code });
+  }
+});
+
+// ------- API Keys -------
+// Admin page for the keys kept by apikeys.js
+function apiKeysHtml(created = null) {
+  const rows = listApiKeys().map(k => `
+    <tr class="border-t ${k.revoked_at ? 'text-gray-400' : ''}">
+      <td class="p-2">${escapeHtml(k.name)}</td>
+      <td class="p-2"><code>${k.prefix}_...</code></td>
+      <td class="p-2">${k.scopes.split(' ').map(escapeHtml).join(', ')}</td>
+      <td class="p-2">${escapeHtml(k.created_by || '')}<br>${new Date(k.created_at).toLocaleString()}</td>
+      <td class="p-2">${k.last_used_at ? new Date(k.last_used_at).toLocaleString() : 'Never'}</td>
+      <td class="p-2">${k.revoked_at ? 'Revoked' : `<button data-id="${k.id}" class="revoke bg-red-500 text-white px-2 rounded">Revoke</button>`}</td>
+    </tr>`).join('');
+  return pageTemplate(`
+    <h1 class="text-3xl font-bold mb-4 text-center">API Keys</h1>
+    ${created ? `<div class="bg-green-100 p-4 rounded mb-4">
+      <p class="font-semibold">Copy the new key now; it won't be shown again:</p>
+      <code class="block break-all">${escapeHtml(created)}</code>
+    </div>` : ''}
+    <div class="bg-white p-4 rounded shadow overflow-x-auto mb-4">
+      ${rows ? `<table class="w-full text-left text-sm">
+        <thead><tr><th class="p-2">Name</th><th class="p-2">Key</th><th class="p-2">Scopes</th><th class="p-2">Created</th><th class="p-2">Last used</th><th class="p-2"></th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>` : '<p>No API keys yet</p>'}
+    </div>
+    <form method="POST" action="/api-keys" class="bg-white p-4 rounded shadow flex flex-col gap-2 max-w-md mx-auto">
+      <input class="border px-2 py-1" name="name" placeholder="Key name, e.g. Order service" required />
+      ${Object.entries(API_SCOPES).map(([scope, text]) => `
+        <label class="inline-flex items-center"><input type="checkbox" name="scopes" value="${scope}" class="mr-2" /><code class="mr-2">${scope}</code> ${text}</label>`).join('')}
+      <button class="bg-blue-500 text-white px-3 py-1 rounded" type="submit">Create key</button>
+    </form>
+    <p class="text-center mt-4"><a class="text-blue-500 underline" href="/api/v1/openapi.json">OpenAPI document</a></p>
+    <script>
+      document.querySelectorAll('.revoke').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          if (!confirm('Revoke this key? Anything using it stops working immediately.')) return;
+          const res = await fetch('/api-keys/' + btn.getAttribute('data-id'), { method: 'DELETE' });
+          if (res.ok) location.reload();
+        });
+      });
+    </script>
+  `);
+}
+
+app.get('/api-keys', requireLogin, (req, res) => {
+  if (!req.user.isAdmin) return res.status(403).send('Forbidden');
+  res.send(apiKeysHtml());
+});
+
+app.post('/api-keys', requireLogin, (req, res) => {
+  if (!req.user.isAdmin) return res.status(403).send('Forbidden');
+  const name = String(req.body.name || '').trim();
+  const scopes = [].concat(req.body.scopes || []).filter(scope => API_SCOPES[scope]);
+  if (!name || !scopes.length) return res.status(400).send('A name and at least one scope are required');
+  const { key } = createApiKey(name, scopes, req.user.email);
+  res.send(apiKeysHtml(key));
+});
+
+app.delete('/api-keys/:id', requireLogin, (req, res) => {
+  if (!req.user.isAdmin) return res.status(403).send('Forbidden');
+  res.sendStatus(revokeApiKey(req.params.id) ? 200 : 404);
+});
+
+// ------- REST API (v1) -------
+// Authenticated with API keys rather than the login session. Every route
+// declares the scope it needs, checked by authorizeApiKey; see openapi.js for
+// how the spec is built.
+
+const AGENT_SECRETS = ['telegramToken', 'viberToken', 'messengerPageToken'];
+
+// Channel secrets are reported as set or not, never returned
+function apiAgent(agent) {
+  const result = { ...agent };
+  for (const field of AGENT_SECRETS) {
+    delete result[field];
+    result[field.replace(/Token$/, 'Configured')] = Boolean(agent[field]);
+  }
+  return result;
+}
+
+function apiConversation(c) {
+  return {
+    id: c.id,
+    agentId: c.agent_id,
+    channel: c.channel,
+    user: c.external_user_id,
+    title: c.title,
+    createdAt: c.created_at,
+    updatedAt: c.updated_at,
+  };
+}
+
+// Loads :agentId into req.agent or replies 404
+function apiAgentParam(req, res, next) {
+  req.agent = agents[req.params.agentId];
+  if (!req.agent) return res.status(404).json({ error: 'Agent not found' });
+  next();
+}
+
+// API chats continue conversationId when given, otherwise start a new
+// conversation on the api channel for `user` (default: the key's prefix).
+function apiChatConversation(req) {
+  const { conversationId, user } = req.body || {};
+  // Only API conversations: the others belong to people on other channels
+  if (conversationId) {
+    const conversation = getConversation(conversationId);
+    return conversation && conversation.agent_id === req.agent.id && conversation.channel === 'api' ? conversation : null;
+  }
+  return createConversation(req.agent.id, 'api', String(user || req.apiKey.prefix));
+}
+
+function apiUserName(req) {
+  const { userName } = req.body || {};
+  return typeof userName === 'string' ? userName.trim() : '';
+}
+
+const errorSchema = { $ref: '#/components/schemas/Error' };
+const agentSchema = { $ref: '#/components/schemas/Agent' };
+const agentSettingsSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    instruction: { type: 'string' },
+    temperature: { type: 'number', minimum: 0, maximum: 2 },
+    topP: { type: 'number', minimum: 0, maximum: 1 },
+    topK: { type: 'integer', minimum: 1, maximum: MAX_TOP_K },
+    hybridSearch: { type: 'boolean', description: 'Fuse keyword (BM25) and vector search; on unless set to false' },
+    reranker: { type: 'string', enum: ['', ...Object.keys(RERANKERS)], description: 'Rerank the candidates before taking the top K' },
+    minScore: { type: 'number', minimum: 0, maximum: 1, description: 'Drop hits scoring below this (rerank score, or vector similarity); 0 disables' },
+    noAnswerMessage: { type: 'string', description: 'Reply when minScore is set and no hit reaches it' },
+    defaultFilter: {
+      type: 'object',
+      description: 'Tags every answer is scoped to unless a request overrides them, e.g. {"language": "en"}',
+      additionalProperties: { oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] },
+    },
+    contextMessages: { type: 'integer' },
+    retentionMessages: { type: 'integer' },
+    chunkSize: { type: 'integer', minimum: MIN_CHUNK_SIZE, maximum: MAX_CHUNK_SIZE },
+    chunkOverlap: { type: 'integer', minimum: 0, description: 'At most half the chunk size' },
+    embeddingProvider: { type: 'string', enum: Object.keys(EMBEDDING_PROVIDERS) },
+    embeddingModel: { type: 'string' },
+    llmProvider: { type: 'string', enum: Object.keys(LLM_PROVIDERS) },
+    llmModel: { type: 'string' },
+    llmBaseUrl: { type: 'string' },
+    maxTokens: { type: 'integer', nullable: true },
+    llmTimeoutMs: { type: 'integer' },
+    llmMaxRetries: { type: 'integer' },
+    contextPlacement: { type: 'string', enum: Object.keys(CONTEXT_PLACEMENTS), description: 'Where retrieved sources go in the prompt' },
+    contextTemplate: { type: 'string', description: 'Wraps the sources; {{sources}} marks where they go. Empty uses the default' },
+    noContextTemplate: { type: 'string', description: 'Sent in place of the sources when nothing relevant is found' },
+    sourceLabel: { type: 'string', description: 'Heading of each source; may use {{n}}, {{name}}, {{chunk}} and {{score}}' },
+    telegramToken: { type: 'string' },
+    viberToken: { type: 'string' },
+    welcomeMessage: { type: 'string' },
+    messengerPageId: { type: 'string' },
+    messengerPageToken: { type: 'string' },
+    widgetEnabled: { type: 'boolean' },
+    widgetOrigins: { type: 'array', items: { type: 'string' } },
+    widgetGreeting: { type: 'string' },
+    widgetColor: { type: 'string' },
+  },
+};
+const chatBodySchema = {
+  type: 'object',
+  required: ['message'],
+  properties: {
+    message: { type: 'string' },
+    conversationId: { type: 'string', description: 'Continue a conversation started through the API' },
+    user: { type: 'string', description: 'Your id for the end user, recorded in the history' },
+    userName: { type: 'string', description: 'The end user\'s name, for {{user_name}} in the prompt templates' },
+    filter: {
+      type: 'object',
+      description: 'Only use documents with these tags, e.g. {"branch": "downtown", "language": ["en", "fr"]}. Overrides the agent\'s default filter per key; null removes a key from it.',
+      additionalProperties: { oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }], nullable: true },
+    },
+    debug: { type: 'boolean', description: 'Include the raw retrieval hits' },
+  },
+};
+const apiSchemas = {
+  Error: { type: 'object', properties: { error: { type: 'string' }, code: { type: 'string' } } },
+  Agent: {
+    ...agentSettingsSchema,
+    properties: {
+      ...agentSettingsSchema.properties,
+      id: { type: 'string' },
+      collection: { type: 'string' },
+      version: { type: 'integer', description: 'Current settings version, recorded on each bot message' },
+      telegramConfigured: { type: 'boolean' },
+      viberConfigured: { type: 'boolean' },
+      messengerPageConfigured: { type: 'boolean' },
+    },
+  },
+  Document: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      chunks: { type: 'integer' },
+      tags: { type: 'object', additionalProperties: { type: 'string' } },
+      validFrom: { type: 'integer', nullable: true, description: 'Epoch milliseconds' },
+      validTo: { type: 'integer', nullable: true, description: 'Epoch milliseconds' },
+      active: { type: 'boolean', description: 'False outside the validity period; such documents are not used for answers' },
+    },
+  },
+  DocumentDetail: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      tags: { type: 'object', additionalProperties: { type: 'string' } },
+      validFrom: { type: 'integer', nullable: true, description: 'Epoch milliseconds' },
+      validTo: { type: 'integer', nullable: true, description: 'Epoch milliseconds' },
+      active: { type: 'boolean' },
+      contentHash: { type: 'string', nullable: true, description: 'SHA-256 of the text; uploads with the same hash are skipped' },
+      text: { type: 'string', description: 'The extracted text, rebuilt from the chunks' },
+      chunks: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { index: { type: 'integer' }, text: { type: 'string' }, start: { type: 'integer', nullable: true }, end: { type: 'integer', nullable: true } },
+        },
+      },
+    },
+  },
+  AgentBundle: {
+    type: 'object',
+    required: ['format', 'version', 'agent'],
+    properties: {
+      format: { type: 'string', enum: [BUNDLE_FORMAT] },
+      version: { type: 'integer' },
+      exportedAt: { type: 'string', format: 'date-time' },
+      agent: agentSettingsSchema,
+      embedding: {
+        type: 'object', nullable: true,
+        properties: { provider: { type: 'string' }, model: { type: 'string' }, dimension: { type: 'integer' } },
+      },
+      documents: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            chunks: {
+              type: 'array',
+              items: { type: 'object', required: ['text'], properties: { text: { type: 'string' }, vector: { type: 'array', items: { type: 'number' } } } },
+            },
+          },
+        },
+      },
+    },
+  },
+  Job: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      type: { type: 'string', enum: ['ingest', 'crawl'] },
+      agentId: { type: 'string' },
+      state: { type: 'string', enum: ['queued', 'running', 'done', 'failed'], description: 'failed when no file could be ingested or the crawl failed' },
+      createdBy: { type: 'string', nullable: true },
+      createdAt: { type: 'integer' },
+      startedAt: { type: 'integer', nullable: true },
+      finishedAt: { type: 'integer', nullable: true },
+      total: { type: 'integer' },
+      done: { type: 'integer' },
+      failed: { type: 'integer' },
+      progress: { type: 'number', description: 'Between 0 and 1' },
+      items: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            state: { type: 'string', enum: ['queued', 'running', 'done', 'failed'] },
+            attempts: { type: 'integer' },
+            docId: { type: 'string' },
+            chunks: { type: 'integer' },
+            duplicate: { type: 'boolean', description: 'The agent already had this text; docId is the existing document' },
+            stats: { $ref: '#/components/schemas/CrawlStats' },
+            error: { type: 'string', description: 'Why the file failed, or the last error of an item waiting to be retried' },
+          },
+        },
+      },
+    },
+  },
+  CrawlStats: {
+    type: 'object',
+    description: 'Pages of a crawl',
+    properties: {
+      pages: { type: 'integer', description: 'Pages with text' },
+      added: { type: 'integer' },
+      updated: { type: 'integer', description: 'Changed since the last crawl and embedded again' },
+      unchanged: { type: 'integer' },
+      removed: { type: 'integer', description: 'No longer found on the site, so deleted' },
+      failed: { type: 'integer' },
+      blocked: { type: 'integer', description: 'Disallowed by robots.txt' },
+      skipped: { type: 'integer', description: 'Without text, noindex or redirected off the site' },
+    },
+  },
+  UrlSource: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      url: { type: 'string' },
+      maxDepth: { type: 'integer' },
+      maxPages: { type: 'integer' },
+      intervalMinutes: { type: 'integer' },
+      tags: { type: 'object', additionalProperties: { type: 'string' } },
+      createdBy: { type: 'string', nullable: true },
+      createdAt: { type: 'integer' },
+      lastCrawledAt: { type: 'integer', nullable: true },
+      pages: { type: 'integer', description: 'Pages stored as documents' },
+      lastCrawl: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          jobId: { type: 'string' },
+          state: { type: 'string', enum: ['queued', 'running', 'done', 'failed'] },
+          progress: { type: 'number' },
+          stats: { $ref: '#/components/schemas/CrawlStats' },
+          error: { type: 'string' },
+        },
+      },
+    },
+  },
+  Source: {
+    type: 'object',
+    properties: { n: { type: 'integer' }, name: { type: 'string' }, docId: { type: 'string' }, chunkIndex: { type: 'integer' }, score: { type: 'number' } },
+  },
+  Conversation: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' }, agentId: { type: 'string' }, channel: { type: 'string' }, user: { type: 'string' },
+      title: { type: 'string', nullable: true }, createdAt: { type: 'integer' }, updatedAt: { type: 'integer' },
+    },
+  },
+  Message: {
+    type: 'object',
+    properties: {
+      role: { type: 'string', enum: ['user', 'bot'] }, text: { type: 'string' }, createdAt: { type: 'integer' },
+      promptTokens: { type: 'integer', nullable: true }, completionTokens: { type: 'integer', nullable: true },
+      agentVersion: { type: 'integer', nullable: true, description: 'Agent settings version that produced a bot message' },
+    },
+  },
+};
+
+const api = createApiRouter({ authorize: authorizeApiKey });
+
+api.route('get', '/openapi.json', { summary: 'This OpenAPI document', tag: 'Meta' }, (req, res) => {
+  res.json(api.document({
+    title: 'MealMeBase API',
+    version: '1.0.0',
+    description: 'Manage agents and their documents, and chat with them.',
+    basePath: '/api/v1',
+    schemas: apiSchemas,
+    scopes: API_SCOPES,
+  }));
+});
+
+api.route('get', '/agents', {
+  summary: 'List agents', tag: 'Agents', scope: 'agents:read',
+  responses: { 200: { description: 'Agents', schema: { type: 'array', items: agentSchema } } },
+}, (req, res) => {
+  res.json(Object.values(agents).map(apiAgent));
+});
+
+api.route('post', '/agents', {
+  summary: 'Create an agent', tag: 'Agents', scope: 'agents:write', body: agentSettingsSchema,
+  responses: { 201: { description: 'Created agent', schema: agentSchema }, 400: { description: 'Invalid setting', schema: errorSchema } },
+}, async (req, res) => {
+  const defaults = { embeddingProvider: resolveEmbeddingSettings({ provider: process.env.EMBEDDING_PROVIDER }).provider };
+  const error = agentSettingsError(req.body || {}, defaults);
+  if (error) return res.status(400).json({ error });
+  try {
+    const { name, embeddingProvider, embeddingModel } = req.body || {};
+    const agent = await createAgent({ name, embeddingProvider, embeddingModel });
+    updateAgentSettings(agent, req.body || {}, { author: `API key ${req.apiKey.name}`, note: 'Created' });
+    res.status(201).json(apiAgent(agent));
+  } catch (e) {
+    console.error('API create agent error:', e);
+    res.status(500).json({ error: 'Failed to create agent' });
+  }
+});
+
+api.route('get', '/agents/:agentId', {
+  summary: 'Get an agent', tag: 'Agents', scope: 'agents:read',
+  responses: { 200: { description: 'Agent', schema: agentSchema }, 404: { description: 'Agent not found', schema: errorSchema } },
+}, apiAgentParam, (req, res) => {
+  res.json(apiAgent(req.agent));
+});
+
+api.route('patch', '/agents/:agentId', {
+  summary: 'Update agent settings',
+  description: 'Only the fields present are changed. Changing the embedding provider or model re-embeds the documents in the background.',
+  tag: 'Agents', scope: 'agents:write', body: agentSettingsSchema,
+  responses: {
+    200: { description: 'Updated agent', schema: agentSchema },
+    400: { description: 'Invalid setting', schema: errorSchema },
+    404: { description: 'Agent not found', schema: errorSchema },
+  },
+}, apiAgentParam, (req, res) => {
+  const error = agentSettingsError(req.body || {}, req.agent);
+  if (error) return res.status(400).json({ error });
+  const { reembedding } = updateAgentSettings(req.agent, req.body || {}, { author: `API key ${req.apiKey.name}` });
+  res.json({ ...apiAgent(req.agent), reembedding });
+});
+
+api.route('delete', '/agents/:agentId', {
+  summary: 'Delete an agent and its documents',
+  description: 'Its conversations are kept in the history.',
+  tag: 'Agents', scope: 'agents:write',
+  responses: {
+    204: { description: 'Deleted' },
+    404: { description: 'Agent not found', schema: errorSchema },
+    409: { description: 'A re-index is running', schema: errorSchema },
+  },
+}, apiAgentParam, async (req, res) => {
+  if (isReembedding(req.agent)) return res.status(409).json({ error: 'Documents are being re-embedded, try again shortly' });
+  await deleteAgent(req.agent, `API key ${req.apiKey.name}`);
+  res.sendStatus(204);
+});
+
+api.route('post', '/agents/:agentId/duplicate', {
+  summary: 'Duplicate an agent',
+  description: 'Copies the settings and, with copyVectors, the documents. Channel credentials and the widget are not copied.',
+  tag: 'Agents', scope: 'agents:write',
+  body: { type: 'object', properties: { name: { type: 'string' }, copyVectors: { type: 'boolean' } } },
+  responses: { 201: { description: 'The new agent', schema: agentSchema }, 404: { description: 'Agent not found', schema: errorSchema } },
+}, apiAgentParam, async (req, res) => {
+  try {
+    const { name, copyVectors } = req.body || {};
+    const agent = await duplicateAgent(req.agent, {
+      name: typeof name === 'string' ? name.trim() : '',
+      copyVectors: copyVectors === true,
+      author: `API key ${req.apiKey.name}`,
+    });
+    res.status(201).json(apiAgent(agent));
+  } catch (e) {
+    console.error('API duplicate agent error:', e);
+    res.status(500).json({ error: 'Failed to duplicate agent' });
+  }
+});
 
-      async function sendMessage() {
-        const msgEl = document.getElementById('msg');
-        const msg = msgEl.value.trim();
-        if (!msg || !current) return;
-        msgEl.value = '';
-        appendMessage('user', msg);
-        try {
-          const res = await fetch('/chat/' + current, { method:'POST', headers:{'Content-Type':'application/json'}, body: JSON.stringify({ message: msg }) });
-          const data = await res.json();
-          if (!res.ok || data.error) throw new Error(data.error);
-          appendMessage('bot', data.answer);
-        } catch (e) {
-          appendMessage('bot', 'Failed to generate answer');
-        }
-      }
+api.route('get', '/agents/:agentId/export', {
+  summary: 'Export an agent bundle',
+  description: 'Settings, instruction and every document as chunks, ready for POST /agents/import. Channel credentials are left out.',
+  tag: 'Agents', scope: 'documents:read',
+  query: { embeddings: { type: 'boolean', description: 'Include each chunk\'s vector so an import with the same embedding model skips re-embedding' } },
+  responses: { 200: { description: 'Agent bundle', schema: { $ref: '#/components/schemas/AgentBundle' } }, 404: { description: 'Agent not found', schema: errorSchema } },
+}, apiAgentParam, async (req, res) => {
+  try {
+    res.json(await exportAgentBundle(req.agent, { embeddings: ['1', 'true'].includes(req.query.embeddings) }));
+  } catch (e) {
+    console.error('API export agent error:', e);
+    res.status(500).json({ error: 'Export failed' });
+  }
+});
 
-      document.getElementById('send').addEventListener('click', sendMessage);
-      document.getElementById('msg').addEventListener('keydown', (e) => { if(e.key === 'Enter'){ e.preventDefault(); sendMessage(); }});
-      document.getElementById('view-history').addEventListener('click', () => { if(current) window.location.href = '/user-history/' + current; });
+api.route('post', '/agents/import', {
+  summary: 'Import an agent bundle',
+  description: 'Creates a new agent from a bundle made by the export endpoint. Chunks are re-embedded unless the bundle has vectors from the same embedding model.',
+  tag: 'Agents', scope: 'agents:write',
+  query: { name: { type: 'string', description: 'Name for the new agent, defaults to the one in the bundle' } },
+  body: { $ref: '#/components/schemas/AgentBundle' },
+  responses: {
+    201: { description: 'Import result', schema: { type: 'object', properties: { agent: agentSchema, documents: { type: 'integer' }, chunks: { type: 'integer' }, reembedded: { type: 'boolean' } } } },
+    400: { description: 'Not a valid bundle', schema: errorSchema },
+  },
+}, async (req, res) => {
+  try {
+    const result = await importAgentBundle(req.body, { name: String(req.query.name || '').trim(), author: `API key ${req.apiKey.name}` });
+    res.status(201).json({ ...result, agent: apiAgent(result.agent) });
+  } catch (e) {
+    if (e instanceof BundleError) return res.status(400).json({ error: e.message });
+    console.error('API import agent error:', e);
+    res.status(500).json({ error: 'Import failed' });
+  }
+});
 
-      if (first) { document.getElementById('agent-name').textContent = first.name; }
-      renderAgents();
-    </script>
-  `);
-}
+api.route('get', '/agents/:agentId/documents', {
+  summary: 'List documents', tag: 'Documents', scope: 'documents:read',
+  query: { tag: { description: 'Only documents tagged key:value; repeat for several tags' } },
+  responses: { 200: { description: 'Documents', schema: { type: 'array', items: { $ref: '#/components/schemas/Document' } } } },
+}, apiAgentParam, async (req, res) => {
+  try {
+    res.json(await listDocs(req.agent, { tags: tagQuery(req.query) }));
+  } catch (e) {
+    if (e instanceof MetadataError) return res.status(400).json({ error: e.message });
+    console.error('API list docs error:', e);
+    res.status(500).json({ error: 'Failed to list documents' });
+  }
+});
 
-function userHistoryHtml(id) {
-  const esc = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-  const threads = Object.entries(dashboardHistory).filter(([k]) => k.endsWith('-' + id));
-  const sections = threads.map(([tid, msgs]) => {
-    const msgHtml = msgs.map(m => `<div class="${m.role === 'user' ? 'bg-blue-100' : 'bg-green-100'} rounded p-2 mb-1"><strong>${m.role === 'user' ? 'User' : 'Bot'}:</strong> <span class="md">${esc(m.text)}</span></div>`).join('');
-    return `<div class="border rounded p-4 mb-4"><h2 class="font-semibold mb-2">Thread ${tid}</h2>${msgHtml}</div>`;
-  }).join('');
-  const name = agents[id]?.name || 'Agent';
-  return pageTemplate(`
-    <h1 class="text-3xl font-bold text-center mb-8">Chat History - ${name}</h1>
-    <div class="overflow-y-auto flex-1">${sections || '<p>No history yet</p>'}</div>
-    <p class="text-center mt-4"><a class="text-blue-500 underline" href="/chat">Back</a></p>
-    <script>
-      document.querySelectorAll('.md').forEach(el => { el.innerHTML = marked.parse(el.textContent); });
-    </script>
-  `);
-}
+api.route('post', '/agents/:agentId/documents', {
+  summary: 'Upload documents',
+  description: `Send files as multipart \`files\` (${SUPPORTED_EXTENSIONS.join(', ')}), or JSON with a name and the text. The files are ingested in the background; poll the returned job for progress and per-file results.`,
+  tag: 'Documents', scope: 'documents:write',
+  multipart: {
+    type: 'object',
+    properties: {
+      files: { type: 'array', items: { type: 'string', format: 'binary' } },
+      tags: { type: 'string', description: 'key=value pairs separated by commas, or a JSON object' },
+      validFrom: { type: 'string', format: 'date' },
+      validTo: { type: 'string', format: 'date' },
+    },
+  },
+  body: {
+    type: 'object',
+    required: ['text'],
+    properties: {
+      name: { type: 'string' },
+      text: { type: 'string' },
+      tags: { type: 'object', additionalProperties: { type: 'string' } },
+      validFrom: { type: 'string', format: 'date', description: 'Not used for answers before this date' },
+      validTo: { type: 'string', format: 'date', description: 'Not used for answers after this date' },
+    },
+  },
+  responses: {
+    202: { description: 'Queued', schema: { type: 'object', properties: { job: { $ref: '#/components/schemas/Job' } } } },
+    413: { description: 'File too large', schema: errorSchema },
+  },
+}, apiAgentParam, (req, res) => {
+  if (req.is('multipart/form-data')) return handleUpload(req.agent, req, res);
+  const { name, text } = req.body || {};
+  if (!text) return res.status(400).json({ error: 'text or multipart files required' });
+  let meta;
+  try {
+    meta = documentMetadata(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const job = jobQueue.enqueue('ingest', req.agent.id, fileItems(uploadsFromJson([{ name, text }]), meta), jobAuthor(req));
+  res.status(202).json({ job });
+});
 
-// ---- Routes ----
-app.get('/login', (req, res) => {
-  if (req.user) return res.redirect('/');
-  res.send(loginHtml(req.query.error));
+api.route('get', '/agents/:agentId/jobs', {
+  summary: 'List recent upload jobs', tag: 'Documents', scope: 'documents:read',
+  responses: { 200: { description: 'Newest first', schema: { type: 'array', items: { $ref: '#/components/schemas/Job' } } } },
+}, apiAgentParam, (req, res) => {
+  res.json(jobQueue.listJobs(req.agent.id));
 });
 
-app.post('/login', (req, res) => {
-  const { email, password } = req.body;
-  const user = users[email];
-  if (user && user.password === hashPassword(password)) {
-    const sid = crypto.randomBytes(16).toString('hex');
-    sessions[sid] = email;
-    res.setHeader('Set-Cookie', cookie.serialize('sid', sid, { httpOnly: true, path: '/' }));
-    return res.redirect('/');
+api.route('get', '/agents/:agentId/jobs/:jobId', {
+  summary: 'Get an upload job', tag: 'Documents', scope: 'documents:read',
+  responses: { 200: { description: 'Job', schema: { $ref: '#/components/schemas/Job' } }, 404: { description: 'Not found', schema: errorSchema } },
+}, apiAgentParam, (req, res) => {
+  const job = jobQueue.getJob(req.params.jobId);
+  if (!job || job.agentId !== req.agent.id) return res.status(404).json({ error: 'Job not found' });
+  res.json(job);
+});
+
+api.route('get', '/agents/:agentId/documents/:docId', {
+  summary: 'Get a document with its text and chunks', tag: 'Documents', scope: 'documents:read',
+  responses: { 200: { description: 'Document', schema: { $ref: '#/components/schemas/DocumentDetail' } }, 404: { description: 'Not found', schema: errorSchema } },
+}, apiAgentParam, async (req, res) => {
+  try {
+    const doc = await getDoc(req.agent, req.params.docId);
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+    res.json(doc);
+  } catch (e) {
+    console.error('API get doc error:', e);
+    res.status(500).json({ error: 'Failed to load document' });
   }
-  res.redirect('/login?error=Invalid%20credentials');
 });
 
-app.get('/logout', (req, res) => {
-  if (req.sessionId) delete sessions[req.sessionId];
-  res.setHeader('Set-Cookie', cookie.serialize('sid', '', { path: '/', expires: new Date(0) }));
-  res.redirect('/login');
+const docUpdateResponses = {
+  200: { description: 'Updated', schema: { type: 'object', properties: { status: { type: 'string' }, id: { type: 'string' }, chunks: { type: 'integer' } } } },
+  404: { description: 'Not found', schema: errorSchema },
+  409: { description: 'A re-index is running', schema: errorSchema },
+};
+
+api.route('put', '/agents/:agentId/documents/:docId', {
+  summary: 'Edit a document',
+  description: 'Fields left out keep their value. Changed text is chunked and embedded again; the document keeps its id.',
+  tag: 'Documents', scope: 'documents:write',
+  body: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      text: { type: 'string' },
+      tags: { type: 'object', additionalProperties: { type: 'string' } },
+      validFrom: { type: 'string', format: 'date', nullable: true },
+      validTo: { type: 'string', format: 'date', nullable: true },
+    },
+  },
+  responses: docUpdateResponses,
+}, apiAgentParam, (req, res) => {
+  let changes;
+  try {
+    changes = docEdit(req.body);
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  handleDocUpdate(req.agent, req.params.docId, changes, res);
 });
 
-app.get('/change-password', requireLogin, (req, res) => {
-  res.send(changePasswordHtml());
+api.route('post', '/agents/:agentId/documents/:docId/replace', {
+  summary: 'Replace a document with a new file',
+  description: 'All chunks are swapped for the new file\'s, which also gives the document its name. The old chunks keep answering until the new ones are stored.',
+  tag: 'Documents', scope: 'documents:write',
+  multipart: {
+    type: 'object',
+    required: ['file'],
+    properties: {
+      file: { type: 'string', format: 'binary' },
+      tags: { type: 'string', description: 'Replaces the tags when given' },
+      validFrom: { type: 'string', format: 'date' },
+      validTo: { type: 'string', format: 'date' },
+    },
+  },
+  responses: docUpdateResponses,
+}, apiAgentParam, (req, res) => {
+  handleDocReplace(req.agent, req.params.docId, req, res);
 });
 
-app.post('/change-password', requireLogin, (req, res) => {
-  const { password } = req.body;
-  if (!password) return res.redirect('/change-password');
-  const email = req.user.email;
-  users[email].password = hashPassword(password);
-  saveUsers();
-  res.send(changePasswordHtml('Password updated'));
+api.route('delete', '/agents/:agentId/documents/:docId', {
+  summary: 'Delete a document', tag: 'Documents', scope: 'documents:write',
+  responses: {
+    204: { description: 'Deleted' },
+    404: { description: 'Agent or document not found', schema: errorSchema },
+    409: { description: 'A re-index is running', schema: errorSchema },
+  },
+}, apiAgentParam, (req, res) => {
+  handleDocDelete(req.agent, req.params.docId, res, 204);
 });
 
-app.get('/users', requireLogin, (req, res) => {
-  if (!req.user.isAdmin) return res.status(403).send('Forbidden');
-  res.send(usersHtml());
+api.route('post', '/agents/:agentId/reindex', {
+  summary: 'Re-index all documents',
+  description: 'Splits and embeds every document again with the agent\'s current chunk and embedding settings, in the background; poll GET to follow it.',
+  tag: 'Documents', scope: 'documents:write',
+  responses: { 202: { description: 'Started' }, 409: { description: 'Already running', schema: errorSchema } },
+}, apiAgentParam, (req, res) => {
+  if (isReembedding(req.agent)) return res.status(409).json({ error: 'A re-index is already running' });
+  reembedAgent(req.agent, { provider: req.agent.embeddingProvider, model: req.agent.embeddingModel }, `API key ${req.apiKey.name}`, { rechunk: true });
+  res.status(202).json(reembedStatus[req.agent.id]);
 });
 
-app.post('/users', requireLogin, (req, res) => {
-  if (!req.user.isAdmin) return res.status(403).send('Forbidden');
-  const { email, password, isAdmin } = req.body;
-  if (!email || !password || users[email]) return res.status(400).send('Invalid');
-  users[email] = { password: hashPassword(password), isAdmin: Boolean(isAdmin) };
-  saveUsers();
-  res.sendStatus(200);
+api.route('get', '/agents/:agentId/reindex', {
+  summary: 'Re-index status', tag: 'Documents', scope: 'documents:read',
+  responses: {
+    200: {
+      description: 'Latest re-index; state is idle when none has run',
+      schema: {
+        type: 'object',
+        properties: {
+          state: { type: 'string', enum: ['idle', 'running', 'done', 'failed'] },
+          kind: { type: 'string', enum: ['reembed', 'reindex'], description: 'reembed after an embedding model change, reindex when requested' },
+          done: { type: 'integer', description: 'Chunks stored' },
+          documents: { type: 'integer' },
+          documentsDone: { type: 'integer' },
+          error: { type: 'string' },
+        },
+      },
+    },
+  },
+}, apiAgentParam, (req, res) => {
+  res.json(reembedStatus[req.agent.id] || { state: 'idle' });
 });
 
-app.delete('/users/:email', requireLogin, (req, res) => {
-  if (!req.user.isAdmin) return res.status(403).send('Forbidden');
-  const email = decodeURIComponent(req.params.email);
-  if (email === 'admin@mealme.com') return res.status(400).send('Cannot delete');
-  delete users[email];
-  saveUsers();
-  res.sendStatus(200);
+api.route('get', '/agents/:agentId/sources', {
+  summary: 'List website sources', tag: 'Documents', scope: 'documents:read',
+  responses: { 200: { description: 'Sources', schema: { type: 'array', items: { $ref: '#/components/schemas/UrlSource' } } } },
+}, apiAgentParam, (req, res) => {
+  res.json(listSources(req.agent));
 });
 
-app.get('/agents', (req, res) => {
-  res.send(adminListHtml());
+api.route('post', '/agents/:agentId/sources', {
+  summary: 'Add a website source',
+  description: 'Crawls a website or sitemap on the start URL\'s host into documents named by their URL, honouring robots.txt. The first crawl is queued at once; with intervalMinutes the site is crawled again on that schedule and only changed pages are re-embedded.',
+  tag: 'Documents', scope: 'documents:write',
+  body: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      url: { type: 'string', description: 'Start page or sitemap' },
+      maxDepth: { type: 'integer', minimum: 0, maximum: MAX_CRAWL_DEPTH, default: DEFAULT_CRAWL_DEPTH, description: 'Links followed away from the start page' },
+      maxPages: { type: 'integer', minimum: 1, maximum: MAX_CRAWL_PAGES, default: DEFAULT_CRAWL_PAGES },
+      intervalMinutes: { type: 'integer', enum: Object.keys(CRAWL_INTERVALS).map(Number), default: 0, description: '0 crawls only when asked' },
+      tags: { type: 'object', additionalProperties: { type: 'string' }, description: 'Given to every page\'s document' },
+    },
+  },
+  responses: { 201: { description: 'Added', schema: { $ref: '#/components/schemas/UrlSource' } }, 400: { description: 'Invalid source', schema: errorSchema } },
+}, apiAgentParam, (req, res) => {
+  handleAddSource(req.agent, req, res);
 });
 
-app.post('/agents', async (req, res) => {
-  const { name, telegramToken } = req.body;
-  const id = 'a' + Date.now();
-  const collection = `agent_${id}`;
-  agents[id] = { id, name: name || 'Agent', instruction: '', temperature: 0.7, topP: 1, topK: 3, collection, telegramToken: telegramToken || '' };
+api.route('post', '/agents/:agentId/sources/:sourceId/crawl', {
+  summary: 'Crawl a website source now', tag: 'Documents', scope: 'documents:write',
+  responses: {
+    202: { description: 'Queued', schema: { type: 'object', properties: { job: { $ref: '#/components/schemas/Job' } } } },
+    404: { description: 'Not found', schema: errorSchema },
+    409: { description: 'A crawl is already queued', schema: errorSchema },
+  },
+}, apiAgentParam, (req, res) => {
+  handleCrawlSource(req.agent, req.params.sourceId, req, res);
+});
+
+api.route('delete', '/agents/:agentId/sources/:sourceId', {
+  summary: 'Remove a website source and its documents', tag: 'Documents', scope: 'documents:write',
+  responses: {
+    204: { description: 'Removed' },
+    404: { description: 'Not found', schema: errorSchema },
+    409: { description: 'A re-index is running', schema: errorSchema },
+  },
+}, apiAgentParam, (req, res) => {
+  handleRemoveSource(req.agent, req.params.sourceId, res, 204);
+});
+
+api.route('post', '/agents/:agentId/chat', {
+  summary: 'Ask the agent a question', tag: 'Chat', scope: 'chat', body: chatBodySchema,
+  responses: {
+    200: {
+      description: 'Answer',
+      schema: {
+        type: 'object',
+        properties: { answer: { type: 'string' }, conversationId: { type: 'string' }, sources: { type: 'array', items: { $ref: '#/components/schemas/Source' } } },
+      },
+    },
+    404: { description: 'Agent or conversation not found', schema: errorSchema },
+    429: { description: 'The model provider is rate limiting', schema: errorSchema },
+  },
+}, apiAgentParam, async (req, res) => {
+  const message = String(req.body?.message || '').trim();
+  if (!message) return res.status(400).json({ error: 'Message required' });
+  let filter;
   try {
-    await ensureCollection(collection);
-    saveAgents();
-    if (agents[id].telegramToken) startTelegramBot(agents[id]);
-    res.json({ id });
+    filter = parseTags(req.body.filter, { multiple: true });
   } catch (e) {
-    console.error('Create agent error:', e);
-    res.status(500).json({ error: 'Failed to create agent' });
+    return res.status(400).json({ error: e.message });
+  }
+  const conversation = apiChatConversation(req);
+  if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+  try {
+    const { answer, hits } = await answerMessage(req.agent, conversation, message, { userName: apiUserName(req), filter });
+    res.json({ answer, conversationId: conversation.id, sources: toSources(hits), ...(req.body.debug ? { hits } : {}) });
+  } catch (e) {
+    console.error('API chat error:', e.message);
+    res.status(llmErrorStatus(e)).json({ error: llmErrorReply(e), code: e.code });
   }
 });
 
-app.get('/admin', (req, res) => {
-  res.send(adminListHtml());
+api.route('post', '/agents/:agentId/chat/stream', {
+  summary: 'Stream an answer',
+  description: 'Server-Sent Events: `token` events carry text deltas, then `done` (answer, conversationId, sources) or `error` ends the stream.',
+  tag: 'Chat', scope: 'chat', body: chatBodySchema, stream: true,
+  responses: { 200: { description: 'Event stream', schema: { type: 'string' } }, 404: { description: 'Agent or conversation not found', schema: errorSchema } },
+}, apiAgentParam, async (req, res) => {
+  const message = String(req.body?.message || '').trim();
+  if (!message) return res.status(400).json({ error: 'Message required' });
+  let filter;
+  try {
+    filter = parseTags(req.body.filter, { multiple: true });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  const conversation = apiChatConversation(req);
+  if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+  await streamAnswerEvents(res, req.agent, conversation, message, { debug: Boolean(req.body.debug), userName: apiUserName(req), filter });
 });
 
-app.get('/chat', (req, res) => {
-  res.send(chatPanelHtml());
+api.route('get', '/agents/:agentId/conversations', {
+  summary: 'List conversations', tag: 'Conversations', scope: 'conversations:read',
+  query: {
+    channel: { description: 'web, telegram, viber, messenger, widget or api' },
+    user: { description: 'Part of the user id' },
+    q: { description: 'Full-text search in message text' },
+    page: { type: 'integer', description: `Page number, ${HISTORY_PAGE_SIZE} per page` },
+  },
+  responses: {
+    200: {
+      description: 'One page of conversations, most recently active first',
+      schema: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' }, pages: { type: 'integer' },
+          conversations: { type: 'array', items: { $ref: '#/components/schemas/Conversation' } },
+        },
+      },
+    },
+  },
+}, apiAgentParam, (req, res) => {
+  const filters = parseHistoryFilters({ ...req.query, agent: req.agent.id });
+  const { total, pages, rows } = searchHistory(filters);
+  res.json({ total, pages, conversations: rows.map(apiConversation) });
 });
 
-app.get('/admin/:id', (req, res) => {
-  const agent = agents[req.params.id];
-  if (!agent) return res.status(404).send('Agent not found');
-  res.send(adminHtml(agent));
+api.route('get', '/conversations/:conversationId', {
+  summary: 'Get a conversation with its messages', tag: 'Conversations', scope: 'conversations:read',
+  responses: {
+    200: {
+      description: 'Conversation',
+      schema: {
+        allOf: [
+          { $ref: '#/components/schemas/Conversation' },
+          { type: 'object', properties: { messages: { type: 'array', items: { $ref: '#/components/schemas/Message' } } } },
+        ],
+      },
+    },
+    404: { description: 'Conversation not found', schema: errorSchema },
+  },
+}, (req, res) => {
+  const conversation = getConversation(req.params.conversationId);
+  if (!conversation) return res.status(404).json({ error: 'Conversation not found' });
+  res.json({ ...apiConversation(conversation), messages: getMessages(conversation.id) });
 });
 
-app.post('/admin/:id', async (req, res) => {
-  const agent = agents[req.params.id];
-  if (!agent) return res.status(404).json({ error: 'Agent not found' });
-  console.log('ADMIN POST', req.body);
-  const { name, instruction, temperature, topP, topK, telegramToken, files = [], text } = req.body;
-  if (typeof name === 'string' && name.trim()) agent.name = name.trim();
-  if (instruction !== undefined) agent.instruction = instruction;
-  if (!isNaN(temperature)) agent.temperature = temperature;
-  if (!isNaN(topP)) agent.topP = topP;
-  if (!isNaN(topK)) agent.topK = topK;
-  if (telegramToken !== undefined) agent.telegramToken = telegramToken;
-  if (files && Array.isArray(files)) {
-    for (const f of files) {
-      if (!f || !f.text) continue;
-      let txt = f.text;
-      if (f.name && f.name.toLowerCase().endsWith('.json')) {
-        try {
-          const data = JSON.parse(txt);
-          txt = JSON.stringify(data);
-        } catch (e) {
-          console.error('Invalid JSON file', f.name, e);
-          return res.status(400).json({ error: 'Invalid JSON file' });
-        }
-      }
-      const ok = await ingestDocument(agent.collection, txt, f.name);
-      if (!ok) return res.status(500).json({ error: 'Ingest failed.' });
-    }
-  } else if (text) {
-    const ok = await ingestDocument(agent.collection, text, 'Document');
-    if (!ok) return res.status(500).json({ error: 'Ingest failed.' });
+app.use('/api/v1', api.router);
+app.use('/api/v1', (req, res) => res.status(404).json({ error: 'Not found' }));
+
+// ------- OpenAI-compatible API -------
+// /v1/chat/completions and /v1/models in the OpenAI wire format, so existing
+// OpenAI clients can talk to agents: `model` is the agent id. The agent's
+// retrieval and instruction are applied; client system messages are ignored.
+// Authenticated with an API key holding the chat scope.
+function openaiError(res, status, message, type, code = null, param = null) {
+  res.status(status).json({ error: { message, type, param, code } });
+}
+
+// The first sampling parameter in body that is set but out of range, as
+// [param, message]
+function openaiParamError(body) {
+  const checks = [
+    ['temperature', v => typeof v === 'number' && v >= 0 && v <= 2, 'a number from 0 to 2'],
+    ['top_p', v => typeof v === 'number' && v >= 0 && v <= 1, 'a number from 0 to 1'],
+    ['max_tokens', v => Number.isInteger(v) && v >= 1, 'a positive integer'],
+    ['max_completion_tokens', v => Number.isInteger(v) && v >= 1, 'a positive integer'],
+  ];
+  for (const [param, valid, expected] of checks) {
+    if (body[param] != null && !valid(body[param])) return [param, `${param} must be ${expected}`];
   }
-  saveAgents();
-  if (agent.telegramToken) startTelegramBot(agent); else stopTelegramBot(agent.id);
-  res.json({ status: 'ok' });
+  return null;
+}
+
+function openaiAuth(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const apiKey = header.startsWith('Bearer ') && findApiKey(header.slice(7).trim());
+  if (!apiKey) return openaiError(res, 401, 'Invalid API key', 'invalid_request_error', 'invalid_api_key');
+  if (!apiKey.scopes.includes('chat')) {
+    return openaiError(res, 403, 'This API key lacks the chat scope', 'invalid_request_error', 'insufficient_scope');
+  }
+  req.apiKey = apiKey;
+  next();
+}
+
+function openaiErrorType(status) {
+  if (status === 429) return 'rate_limit_error';
+  if (status === 400) return 'invalid_request_error';
+  return 'api_error';
+}
+
+// Message content may be a string or an array of parts; only text is used
+function openaiText(content) {
+  if (Array.isArray(content)) return content.filter(p => p && p.type === 'text').map(p => p.text).join('\n');
+  return typeof content === 'string' ? content : '';
+}
+
+function openaiUsage(usage = {}) {
+  const promptTokens = usage.promptTokens || 0;
+  const completionTokens = usage.completionTokens || 0;
+  return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+app.get('/v1/models', openaiAuth, (req, res) => {
+  res.json({
+    object: 'list',
+    data: Object.values(agents).map(a => ({
+      id: a.id,
+      object: 'model',
+      created: Math.floor((Number(a.id.slice(1)) || 0) / 1000),
+      owned_by: 'mealme',
+    })),
+  });
 });
 
-app.get('/docs/:agentId', async (req, res) => {
-  const agent = agents[req.params.agentId];
-  if (!agent) return res.status(404).json({ error: 'Agent not found' });
+app.post('/v1/chat/completions', openaiAuth, async (req, res) => {
+  const { model, messages, stream, temperature, top_p: topP, max_tokens: maxTokens, max_completion_tokens: maxCompletionTokens } = req.body || {};
+  const base = agents[model];
+  if (!base) return openaiError(res, 404, `The model '${model}' does not exist`, 'invalid_request_error', 'model_not_found');
+  if (!Array.isArray(messages) || !messages.length) {
+    return openaiError(res, 400, 'messages must be a non-empty array', 'invalid_request_error');
+  }
+  const turns = messages
+    .filter(m => m && (m.role === 'user' || m.role === 'assistant'))
+    .map(m => ({ role: m.role === 'assistant' ? 'bot' : 'user', text: openaiText(m.content) }));
+  const last = turns.pop();
+  if (!last || last.role !== 'user' || !last.text.trim()) {
+    return openaiError(res, 400, 'The last message must be a user message', 'invalid_request_error');
+  }
+  const paramError = openaiParamError(req.body);
+  if (paramError) return openaiError(res, 400, paramError[1], 'invalid_request_error', 'invalid_value', paramError[0]);
+  // Request parameters override the agent's settings for this call only
+  const agent = { ...base };
+  if (temperature != null) agent.temperature = temperature;
+  if (topP != null) agent.topP = topP;
+  if ((maxCompletionTokens ?? maxTokens) != null) agent.maxTokens = maxCompletionTokens ?? maxTokens;
+  const id = `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
+  const created = Math.floor(Date.now() / 1000);
+  // OpenAI clients can't read Express's HTML error page, so a failure here
+  // must still answer with an OpenAI error body
+  let hits;
+  let vars;
   try {
-    const docs = await listDocs(agent.collection);
-    res.json(docs);
+    hits = await searchDocs(agent, last.text);
+    vars = promptVariables({ agent, channel: 'openai', userName: typeof req.body.user === 'string' ? req.body.user : '' });
   } catch (e) {
-    console.error('List docs error:', e);
-    res.status(500).json({ error: 'Failed to list docs' });
+    console.error('OpenAI-compatible retrieval error:', e.message);
+    return openaiError(res, 500, 'Failed to search the knowledge base', 'api_error');
   }
-});
 
-app.delete('/docs/:agentId/:id', async (req, res) => {
-  const agent = agents[req.params.agentId];
-  if (!agent) return res.status(404).json({ error: 'Agent not found' });
-  const idParam = req.params.id;
-  const id = Number(idParam);
-  const ok = await removeDoc(agent.collection, id);
-  if (ok) res.json({ status: 'ok' });
-  else res.status(500).json({ error: 'Delete failed' });
-});
-
-app.get('/chat/:id', (req, res) => {
-  const agent = agents[req.params.id];
-  if (!agent) return res.status(404).send('Agent not found');
-  res.send(chatHtml(agent));
-});
-
-app.post('/chat/:id', async (req, res) => {
-  console.log('CHAT POST', req.body);
-  const agent = agents[req.params.id];
-  if (!agent) return res.status(404).json({ error: 'Agent not found' });
-  const { message } = req.body;
-  const sessionId = req.ip + '-' + agent.id;
+  if (!stream) {
+    try {
+      const { text, usage, finishReason } = await askLLM(agent, hits, last.text, turns, vars);
+      return res.json({
+        id,
+        object: 'chat.completion',
+        created,
+        model: agent.id,
+        choices: [{ index: 0, message: { role: 'assistant', content: text }, logprobs: null, finish_reason: finishReason }],
+        usage: openaiUsage(usage),
+      });
+    } catch (e) {
+      const status = llmErrorStatus(e);
+      return openaiError(res, status, llmErrorReply(e), openaiErrorType(status), e.code || null);
+    }
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+  const chunk = (delta, finishReason = null) => send({
+    id,
+    object: 'chat.completion.chunk',
+    created,
+    model: agent.id,
+    choices: [{ index: 0, delta, logprobs: null, finish_reason: finishReason }],
+  });
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
   try {
-    const history = dashboardHistory[sessionId] || [];
-    const context = await searchDocs(agent.collection, message, agent.topK);
-    const answer = await askLLM(agent, context, message, history.concat({ role: 'user', text: message }));
-    addDashboardMessage(sessionId, 'user', message);
-    addDashboardMessage(sessionId, 'bot', answer);
-    res.json({ answer });
+    chunk({ role: 'assistant', content: '' });
+    const { usage, finishReason } = await streamLLM(agent, hits, last.text, turns, {
+      signal: controller.signal,
+      onToken: (text) => chunk({ content: text }),
+      vars,
+    });
+    chunk({}, finishReason);
+    if (req.body.stream_options?.include_usage) {
+      send({ id, object: 'chat.completion.chunk', created, model: agent.id, choices: [], usage: openaiUsage(usage) });
+    }
   } catch (e) {
-    console.error('Chat error:', e);
-    res.status(500).json({ error: 'Failed to generate answer' });
+    if (controller.signal.aborted) return;
+    const status = llmErrorStatus(e);
+    send({ error: { message: llmErrorReply(e), type: openaiErrorType(status), param: null, code: e.code || null } });
   }
+  res.write('data: [DONE]\n\n');
+  res.end();
 });
 
+app.use('/v1', (req, res) => openaiError(res, 404, `Unknown endpoint ${req.method} ${req.originalUrl}`, 'invalid_request_error'));
+
 app.get('/user-history/:id', (req, res) => {
-  res.send(userHistoryHtml(req.params.id));
+  res.redirect('/history?' + historyQueryString({ agent: req.params.id, channel: 'web', user: req.user.email }));
 });
 
 app.get('/history', (req, res) => {
-  res.send(historyHtml());
+  res.send(historyHtml(parseHistoryFilters(req.query), req.user));
+});
+
+app.get('/history/export/:format', (req, res) => {
+  const { format } = req.params;
+  if (format !== 'csv' && format !== 'jsonl') return res.status(404).send('Unknown export format');
+  const rows = exportHistoryRows(parseHistoryFilters(req.query), historyAccess(req.user));
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Disposition', `attachment; filename="chat-history-${stamp}.${format}"`);
+  if (format === 'jsonl') {
+    res.type('application/x-ndjson');
+    for (const r of rows) {
+      res.write(JSON.stringify({
+        conversationId: r.conversation_id,
+        agentId: r.agent_id,
+        agentName: agentLabel(r.agent_id),
+        channel: r.channel,
+        user: r.external_user_id,
+        role: r.role,
+        text: r.text,
+        createdAt: new Date(r.created_at).toISOString(),
+        promptTokens: r.prompt_tokens,
+        completionTokens: r.completion_tokens,
+        agentVersion: r.agent_version,
+      }) + '\n');
+    }
+    return res.end();
+  }
+  // Cells starting with a formula character are prefixed so spreadsheets show them as text
+  const cell = (v) => {
+    let s = v == null ? '' : String(v);
+    if (/^[=+\-@]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  res.type('text/csv');
+  res.write('conversation_id,agent_id,agent_name,channel,user,role,text,created_at,prompt_tokens,completion_tokens,agent_version\n');
+  for (const r of rows) {
+    res.write([
+      r.conversation_id, r.agent_id, agentLabel(r.agent_id), r.channel, r.external_user_id, r.role, r.text,
+      new Date(r.created_at).toISOString(), r.prompt_tokens, r.completion_tokens, r.agent_version,
+    ].map(cell).join(',') + '\n');
+  }
+  res.end();
+});
+
+app.get('/history/:conversationId', (req, res) => {
+  const conversation = getConversation(req.params.conversationId);
+  if (!conversation || !canReadConversation(req.user, conversation)) return res.status(404).send('Conversation not found');
+  res.send(conversationHtml(conversation));
 });
 
 app.get('/', (req, res) => {
@@ -914,136 +5042,323 @@ app.get('/', (req, res) => {
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log('Server running on port', PORT));
+jobQueue.start();
+scheduleCrawls();
+setInterval(scheduleCrawls, CRAWL_SCHEDULE_CHECK_MS);
 
 function getFirstAgent() {
   return Object.values(agents)[0];
 }
 
+// Answers one inbound channel message and records both sides of the exchange
+async function answerChannelMessage(agent, channel, externalUserId, text, userName = '') {
+  const conversation = findOrCreateConversation(agent.id, channel, externalUserId);
+  return (await answerMessage(agent, conversation, text, { userName })).answer;
+}
+
+function defaultWelcome(agent) {
+  return `Hi! I'm ${agent.name}. Ask me anything.`;
+}
+
 // --- Telegram Bot Integration ---
+// Bots long-poll by default. When TELEGRAM_WEBHOOK_URL (this server's public
+// base URL) is set, each agent's bot receives updates on
+// /telegram/webhook/:agentId instead, so several instances can run at once.
 const TelegramBot = require('node-telegram-bot-api');
 const telegramBots = {};
+const TELEGRAM_TEXT_LIMIT = 4096;
+// Raw text per message, leaving room for the HTML tags added by formatting
+const TELEGRAM_SPLIT_AT = 3500;
+const TELEGRAM_UNSUPPORTED = ['voice', 'audio', 'video', 'video_note', 'photo', 'document', 'sticker', 'animation'];
 
-function startTelegramBot(agent) {
-  const token = agent.telegramToken;
-  if (!token) return;
-
-  if (telegramBots[agent.id]) {
-    if (telegramBots[agent.id].token === token) return;
-    telegramBots[agent.id].bot.stopPolling().catch((e) => console.error('Error stopping Telegram bot:', e));
-  }
+function telegramWebhookMode() {
+  return Boolean(process.env.TELEGRAM_WEBHOOK_URL);
+}
 
-  const bot = new TelegramBot(token, { polling: { autoStart: false } });
-  telegramBots[agent.id] = { bot, token };
+// Derived from the bot token so every instance agrees on it without storing it
+function telegramSecret(token) {
+  return crypto.createHash('sha256').update(`telegram-webhook:${token}`).digest('hex');
+}
 
-  async function start(attempt = 0) {
+async function sendTelegramText(bot, chatId, text) {
+  for (const part of splitMessage(text, TELEGRAM_SPLIT_AT)) {
+    const html = markdownToTelegramHtml(part);
     try {
-      await bot.deleteWebHook({ drop_pending_updates: true });
-      await bot.startPolling();
-      console.log(`Telegram bot started for agent ${agent.id}`);
+      if (html.length > TELEGRAM_TEXT_LIMIT) throw new Error('Formatted message too long');
+      await bot.sendMessage(chatId, html, { parse_mode: 'HTML', disable_web_page_preview: true });
     } catch (e) {
-      console.error('Failed to start Telegram bot:', e);
-      if (attempt < 5 && (e?.response?.statusCode === 409 || String(e).includes('409'))) {
-        const delay = 5000;
-        console.log(`Retrying Telegram bot start in ${delay / 1000}s...`);
-        setTimeout(() => start(attempt + 1), delay);
-      }
+      // Fall back to plain text if Telegram rejects the markup
+      if (e.response && e.response.statusCode !== 400) throw e;
+      await bot.sendMessage(chatId, part);
     }
   }
+}
 
-  start();
+function telegramHelp(agent) {
+  return `I answer questions using ${agent.name}'s knowledge base. Just send me a message.\n\n`
+    + '/start - show the welcome message\n'
+    + '/reset - start a new conversation\n'
+    + '/help - show this help';
+}
 
-  bot.on('polling_error', (error) => {
-    console.error('Polling error:', error);
-    if (error?.response?.statusCode === 409 || String(error).includes('409')) {
-      bot.stopPolling()
-        .then(() => bot.deleteWebHook({ drop_pending_updates: true }))
-        .then(() => bot.startPolling())
-        .catch((e) => console.error('Failed to restart polling:', e));
+async function handleTelegramMessage(agent, bot, msg) {
+  const chatId = msg.chat.id;
+  const text = msg.text?.trim();
+  try {
+    if (!text) {
+      if (TELEGRAM_UNSUPPORTED.some((type) => msg[type])) {
+        await bot.sendMessage(chatId, 'Sorry, I can only read text messages. Please type your question.');
+      }
+      return;
     }
-  });
-
-  bot.on('message', async (msg) => {
-    const chatId = msg.chat.id;
-    const text = msg.text?.trim();
-    if (!text) return;
+    const command = text.match(/^\/(\w+)(@\w+)?(\s|$)/)?.[1];
+    if (command === 'start') return await bot.sendMessage(chatId, agent.welcomeMessage || defaultWelcome(agent));
+    if (command === 'help') return await bot.sendMessage(chatId, telegramHelp(agent));
+    if (command === 'reset') {
+      createConversation(agent.id, 'telegram', chatId);
+      return await bot.sendMessage(chatId, 'Started a new conversation.');
+    }
+    // Telegram clears the typing status after ~5 seconds, so keep renewing it
+    const typing = () => bot.sendChatAction(chatId, 'typing').catch(() => {});
+    typing();
+    const timer = setInterval(typing, 4000);
+    let answer;
     try {
-      const history = (telegramHistory[agent.id] && telegramHistory[agent.id][chatId]) || [];
-      const context = await searchDocs(agent.collection, text, agent.topK);
-      const answer = await askLLM(agent, context, text, history.concat({ role: 'user', text }).slice(-5));
-      addTelegramMessage(agent.id, chatId, 'user', text);
-      addTelegramMessage(agent.id, chatId, 'bot', answer);
-      await bot.sendMessage(chatId, answer);
-    } catch (e) {
-      console.error('Telegram bot error:', e);
-      addTelegramMessage(agent.id, chatId, 'bot', 'Failed to generate answer');
-      await bot.sendMessage(chatId, 'Failed to generate answer');
+      const userName = [msg.from?.first_name, msg.from?.last_name].filter(Boolean).join(' ');
+      answer = await answerChannelMessage(agent, 'telegram', chatId, text, userName);
+    } finally {
+      clearInterval(timer);
     }
-  });
+    await sendTelegramText(bot, chatId, answer);
+  } catch (e) {
+    console.error('Telegram bot error:', e.message);
+    if (e.response) return;
+    await bot.sendMessage(chatId, llmErrorReply(e)).catch((err) => console.error('Telegram send error:', err.message));
+  }
+}
+
+function startTelegramBot(agent) {
+  const token = agent.telegramToken;
+  if (!token) return;
+  if (telegramBots[agent.id]) {
+    if (telegramBots[agent.id].token === token) return;
+    stopTelegramBot(agent.id, { keepWebhook: true });
+  }
+
+  const webhook = telegramWebhookMode();
+  const bot = new TelegramBot(token, { polling: webhook ? false : { autoStart: false } });
+  telegramBots[agent.id] = { bot, token, webhook };
+  bot.on('message', (msg) => handleTelegramMessage(agent, bot, msg));
+
+  if (webhook) {
+    const url = `${process.env.TELEGRAM_WEBHOOK_URL.replace(/\/$/, '')}/telegram/webhook/${agent.id}`;
+    bot.setWebHook(url, { secret_token: telegramSecret(token), allowed_updates: JSON.stringify(['message']) })
+      .then(() => console.log(`Telegram webhook set for agent ${agent.id}`))
+      .catch((e) => console.error('Failed to set Telegram webhook:', e.message));
+  } else {
+    bot.on('polling_error', (error) => console.error('Telegram polling error:', error.message));
+    bot.deleteWebHook()
+      .then(() => bot.startPolling())
+      .then(() => console.log(`Telegram bot started for agent ${agent.id}`))
+      .catch((e) => console.error('Failed to start Telegram bot:', e.message));
+  }
 }
 
-function stopTelegramBot(agentId) {
+function stopTelegramBot(agentId, { keepWebhook = false } = {}) {
   const entry = telegramBots[agentId];
-  if (entry) {
-    entry.bot.stopPolling().catch((e) => console.error('Error stopping Telegram bot:', e));
-    delete telegramBots[agentId];
+  if (!entry) return;
+  delete telegramBots[agentId];
+  if (entry.webhook) {
+    if (!keepWebhook) entry.bot.deleteWebHook().catch((e) => console.error('Failed to delete Telegram webhook:', e.message));
+  } else {
+    entry.bot.stopPolling().catch((e) => console.error('Error stopping Telegram bot:', e.message));
   }
 }
 
+app.post('/telegram/webhook/:agentId', (req, res) => {
+  const entry = telegramBots[req.params.agentId];
+  if (!entry || !entry.webhook) return res.sendStatus(404);
+  const given = Buffer.from(req.get('X-Telegram-Bot-Api-Secret-Token') || '');
+  const expected = Buffer.from(telegramSecret(entry.token));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    console.error(`Telegram webhook rejected for agent ${req.params.agentId}: bad secret token`);
+    return res.sendStatus(403);
+  }
+  entry.bot.processUpdate(req.body);
+  res.sendStatus(200);
+});
+
 Object.values(agents).forEach(startTelegramBot);
 
 function shutdown() {
-  Promise.all(Object.values(telegramBots).map((b) => b.bot.stopPolling().catch(() => {}))).finally(() => process.exit());
+  const polling = Object.values(telegramBots).filter((b) => !b.webhook);
+  Promise.all(polling.map((b) => b.bot.stopPolling().catch(() => {}))).finally(() => process.exit());
 }
 
 process.once('SIGINT', shutdown);
 process.once('SIGTERM', shutdown);
+// --- End of Telegram Bot Integration ---
 
-// --- Viber Bot Integration ---
-if (process.env.VIBER_AUTH_TOKEN) {
-  const VIBER_API = 'https://chatapi.viber.com/pa';
-
-  app.post('/viber/webhook', async (req, res) => {
-    const { event, message, sender } = req.body;
-    if (event === 'message' && message && sender && message.text) {
-      const text = message.text.trim();
-      const agent = getFirstAgent();
-      if (!agent) return res.sendStatus(200);
-      try {
-        const context = await searchDocs(agent.collection, text, agent.topK);
-        const answer = await askLLM(agent, context, text);
-        await axios.post(`${VIBER_API}/send_message`, {
-          receiver: sender.id,
-          type: 'text',
-          text: answer,
-        }, { headers: { 'X-Viber-Auth-Token': process.env.VIBER_AUTH_TOKEN } });
-      } catch (e) {
-        console.error('Viber bot error:', e.response ? e.response.data : e);
-        await axios.post(`${VIBER_API}/send_message`, {
-          receiver: sender.id,
-          type: 'text',
-          text: 'Failed to generate answer',
-        }, { headers: { 'X-Viber-Auth-Token': process.env.VIBER_AUTH_TOKEN } });
-      }
+// --- Messenger Integration ---
+const MESSENGER_API = 'https://graph.facebook.com/v19.0';
+const MESSENGER_TEXT_LIMIT = 2000;
+
+// Pages are matched to agents by Page ID; PAGE_ACCESS_TOKEN serves the first
+// agent when no agent has its own page configured.
+function messengerAgent(pageId) {
+  const agent = Object.values(agents).find(a => a.messengerPageToken && a.messengerPageId === String(pageId));
+  if (agent) return { agent, token: agent.messengerPageToken };
+  if (process.env.PAGE_ACCESS_TOKEN && !Object.values(agents).some(a => a.messengerPageToken)) {
+    return { agent: getFirstAgent(), token: process.env.PAGE_ACCESS_TOKEN };
+  }
+  return null;
+}
+
+async function sendMessengerText(token, recipientId, text) {
+  for (const part of splitMessage(text, MESSENGER_TEXT_LIMIT)) {
+    await axios.post(`${MESSENGER_API}/me/messages`, {
+      recipient: { id: recipientId },
+      messaging_type: 'RESPONSE',
+      message: { text: part },
+    }, { params: { access_token: token } });
+  }
+}
+
+async function handleMessengerEvent(pageId, event) {
+  const senderId = event.sender?.id;
+  const message = event.message;
+  if (!senderId || !message || message.is_echo) return;
+  const target = messengerAgent(pageId);
+  if (!target) return console.error(`Messenger message for unknown page ${pageId}`);
+  const { agent, token } = target;
+  const text = message.text?.trim();
+  try {
+    if (!text) return await sendMessengerText(token, senderId, 'Sorry, I can only read text messages.');
+    await axios.post(`${MESSENGER_API}/me/messages`, {
+      recipient: { id: senderId },
+      sender_action: 'typing_on',
+    }, { params: { access_token: token } }).catch(() => {});
+    const answer = await answerChannelMessage(agent, 'messenger', senderId, text);
+    await sendMessengerText(token, senderId, answer);
+  } catch (e) {
+    console.error('Messenger bot error:', e.response ? e.response.data : e.message);
+    if (e.response) return;
+    await sendMessengerText(token, senderId, llmErrorReply(e))
+      .catch((err) => console.error('Messenger send error:', err.response ? err.response.data : err.message));
+  }
+}
+
+app.get('/messenger/webhook', (req, res) => {
+  const verifyToken = process.env.VERIFY_TOKEN;
+  if (verifyToken && req.query['hub.mode'] === 'subscribe' && req.query['hub.verify_token'] === verifyToken) {
+    return res.send(req.query['hub.challenge']);
+  }
+  res.sendStatus(403);
+});
+
+app.post('/messenger/webhook', (req, res) => {
+  if (!verifyMessengerSignature(req)) {
+    console.error('Messenger webhook rejected: bad or missing X-Hub-Signature-256');
+    return res.sendStatus(403);
+  }
+  if (req.body.object !== 'page') return res.sendStatus(404);
+  // Acknowledge straight away; Facebook retries deliveries that take too long
+  res.send('EVENT_RECEIVED');
+  for (const entry of req.body.entry || []) {
+    for (const event of entry.messaging || []) {
+      handleMessengerEvent(entry.id, event);
     }
-    res.sendStatus(200);
-  });
+  }
+});
 
-  async function setViberWebhook() {
-    if (!process.env.VIBER_WEBHOOK_URL) return;
-    try {
-      await axios.post(`${VIBER_API}/set_webhook`, {
-        url: `${process.env.VIBER_WEBHOOK_URL}/viber/webhook`,
-      }, { headers: { 'X-Viber-Auth-Token': process.env.VIBER_AUTH_TOKEN } });
-      console.log('Viber webhook set');
-    } catch (e) {
-      console.error('Failed to set Viber webhook:', e.response ? e.response.data : e);
+if (!process.env.APP_SECRET) console.log('APP_SECRET not set, Messenger webhook requests will be rejected');
+// --- End of Messenger Integration ---
+
+// --- Viber Bot Integration ---
+// Each agent with a viberToken gets its own webhook at /viber/webhook/:agentId.
+// Webhooks are registered with Viber when VIBER_WEBHOOK_URL (the public base
+// URL of this server) is set.
+const VIBER_API = 'https://chatapi.viber.com/pa';
+const VIBER_TEXT_LIMIT = 7000;
+
+function viberRequest(token, method, body) {
+  return axios.post(`${VIBER_API}/${method}`, body, { headers: { 'X-Viber-Auth-Token': token } })
+    .then(({ data }) => {
+      if (data.status !== 0) throw new Error(`Viber ${method} failed: ${data.status_message || data.status}`);
+      return data;
+    });
+}
+
+function viberSender(agent) {
+  return { name: agent.name.slice(0, 28) };
+}
+
+async function sendViberText(agent, receiver, text) {
+  for (const part of splitMessage(text, VIBER_TEXT_LIMIT)) {
+    await viberRequest(agent.viberToken, 'send_message', { receiver, sender: viberSender(agent), type: 'text', text: part });
+  }
+}
+
+async function syncViberWebhook(agent, previousToken) {
+  const base = process.env.VIBER_WEBHOOK_URL;
+  if (!base) return;
+  try {
+    if (previousToken && previousToken !== agent.viberToken) {
+      await viberRequest(previousToken, 'set_webhook', { url: '' });
+      console.log(`Viber webhook removed for agent ${agent.id}`);
+    }
+    if (agent.viberToken) {
+      await viberRequest(agent.viberToken, 'set_webhook', {
+        url: `${base.replace(/\/$/, '')}/viber/webhook/${agent.id}`,
+        event_types: ['subscribed', 'unsubscribed', 'conversation_started'],
+      });
+      console.log(`Viber webhook set for agent ${agent.id}`);
     }
+  } catch (e) {
+    console.error('Failed to update Viber webhook:', e.response ? e.response.data : e.message);
   }
+}
 
-  setViberWebhook();
-  console.log('Viber bot started');
-} else {
-  console.log('VIBER_AUTH_TOKEN not set, skipping Viber bot startup');
+async function handleViberMessage(agent, sender, message) {
+  const text = message.type === 'text' ? message.text?.trim() : '';
+  try {
+    if (!text) return await sendViberText(agent, sender.id, 'Sorry, I can only read text messages.');
+    const answer = await answerChannelMessage(agent, 'viber', sender.id, text, sender.name);
+    await sendViberText(agent, sender.id, answer);
+  } catch (e) {
+    console.error('Viber bot error:', e.response ? e.response.data : e.message);
+    if (e.response || e.message.startsWith('Viber ')) return;
+    await sendViberText(agent, sender.id, llmErrorReply(e))
+      .catch((err) => console.error('Viber send error:', err.message));
+  }
 }
+
+app.post('/viber/webhook/:agentId', (req, res) => {
+  const agent = agents[req.params.agentId];
+  if (!agent || !agent.viberToken) return res.sendStatus(404);
+  if (!verifyViberSignature(req, agent.viberToken)) {
+    console.error(`Viber webhook rejected for agent ${agent.id}: bad signature`);
+    return res.sendStatus(403);
+  }
+  const { event, message, sender, user, user_id: userId } = req.body;
+  switch (event) {
+    case 'conversation_started':
+      // Users who haven't subscribed yet can only be greeted in the response body
+      return res.json({ sender: viberSender(agent), type: 'text', text: agent.welcomeMessage || defaultWelcome(agent) });
+    case 'message':
+      res.sendStatus(200);
+      if (sender && message) handleViberMessage(agent, sender, message);
+      return;
+    case 'subscribed':
+      console.log(`Viber user ${user?.id} subscribed to agent ${agent.id}`);
+      break;
+    case 'unsubscribed':
+      console.log(`Viber user ${userId} unsubscribed from agent ${agent.id}`);
+      break;
+  }
+  res.sendStatus(200);
+});
+
+Object.values(agents).forEach((a) => { if (a.viberToken) syncViberWebhook(a); });
+if (!process.env.VIBER_WEBHOOK_URL) console.log('VIBER_WEBHOOK_URL not set, Viber webhooks must be registered manually');
 // --- End of Viber Bot Integration ---
-// --- End of Telegram Bot Integration ---
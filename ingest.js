@@ -1,15 +1,21 @@
 const { QdrantClient } = require('@qdrant/js-client-rest');
 const fs = require('fs');
+const { getEmbedder } = require('./embeddings');
 
 const client = new QdrantClient({ url: 'http://localhost:6333' });
 const collectionName = "docs";
+// Defaults to the offline hashing provider; set EMBEDDING_PROVIDER=cohere or openai for real embeddings
+const embedder = getEmbedder({
+    provider: process.env.EMBEDDING_PROVIDER || 'local',
+    model: process.env.EMBEDDING_MODEL,
+});
 
 // Example: Create collection
 async function setup() {
     try {
         await client.createCollection(collectionName, {
             vectors: {
-                size: 384, // e.g., for MiniLM embeddings
+                size: await embedder.dimension(),
                 distance: "Cosine"
             }
         });
@@ -19,20 +25,19 @@ async function setup() {
     }
 }
 
-// Example: Ingest a simple text file (using random embeddings for now)
+// Example: Ingest a simple text file
 async function ingest() {
     await setup();
     const text = fs.readFileSync('mydoc.txt', 'utf-8');
-    // For real RAG, use embeddings from LangChainJS, e.g. OpenAIEmbeddings
-    const fakeEmbedding = Array(384).fill(Math.random()); // Replace with real embeddings!
+    const vector = await embedder.embedQuery(text);
     await client.upsert(collectionName, {
         points: [{
             id: 1,
-            vector: fakeEmbedding,
-            payload: { text }
+            vector,
+            payload: { text, name: 'mydoc.txt' }
         }]
     });
-    console.log("Ingested document!");
+    console.log(`Ingested document with ${embedder.provider}/${embedder.model}!`);
 }
 
 ingest();
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const db = require('./db');
+
+// ------- Job Queue -------
+// Background work is stored in SQLite (see the jobs migration) and runs
+// outside the HTTP request that asked for it. A job has one item per unit of
+// work, such as an uploaded file. Items run up to JOB_CONCURRENCY at a time
+// across all jobs; a failing item is retried with exponential backoff, up to
+// JOB_MAX_ATTEMPTS, unless its runner throws a PermanentJobError. Each item
+// records its own result or error, and items that were queued or running
+// when the server stopped are picked up again by start(), unless a running
+// item was already on its last attempt.
+const JOB_CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY) || 2);
+const JOB_MAX_ATTEMPTS = Math.max(1, Number(process.env.JOB_MAX_ATTEMPTS) || 5);
+const JOB_RETRY_BASE_MS = 2000;
+// An item whose job isn't ready to run is looked at again after this long
+const JOB_POSTPONE_MS = 5000;
+// Finished jobs are kept this long so their results can still be read
+const JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Thrown by a runner when trying again can't help, e.g. a file with no text
+class PermanentJobError extends Error {}
+
+const stmts = {
+  insertJob: db.prepare('INSERT INTO jobs (id, type, agent_id, state, created_by, created_at) VALUES (?, ?, ?, \'queued\', ?, ?)'),
+  insertItem: db.prepare('INSERT INTO job_items (job_id, name, content, options, state) VALUES (?, ?, ?, ?, \'queued\')'),
+  get: db.prepare('SELECT * FROM jobs WHERE id = ?'),
+  forAgent: db.prepare('SELECT * FROM jobs WHERE agent_id = ? ORDER BY created_at DESC LIMIT ?'),
+  items: db.prepare('SELECT id, name, state, attempts, result, error FROM job_items WHERE job_id = ? ORDER BY id'),
+  next: db.prepare(`
+    SELECT job_items.id, job_items.job_id, job_items.name, job_items.content, job_items.options, job_items.attempts,
+      jobs.type, jobs.agent_id
+    FROM job_items JOIN jobs ON jobs.id = job_items.job_id
+    WHERE job_items.state = 'queued' AND job_items.next_attempt_at <= ?
+    ORDER BY job_items.id LIMIT 1
+  `),
+  nextWake: db.prepare('SELECT MIN(next_attempt_at) AS at FROM job_items WHERE state = \'queued\''),
+  claim: db.prepare('UPDATE job_items SET state = \'running\', attempts = attempts + 1 WHERE id = ?'),
+  startJob: db.prepare('UPDATE jobs SET state = \'running\', started_at = COALESCE(started_at, ?) WHERE id = ?'),
+  postpone: db.prepare('UPDATE job_items SET next_attempt_at = ? WHERE id = ?'),
+  retry: db.prepare('UPDATE job_items SET state = \'queued\', next_attempt_at = ?, error = ? WHERE id = ?'),
+  finishItem: db.prepare('UPDATE job_items SET state = ?, content = NULL, result = ?, error = ? WHERE id = ?'),
+  unfinished: db.prepare('SELECT COUNT(*) AS n FROM job_items WHERE job_id = ? AND state IN (\'queued\', \'running\')'),
+  succeeded: db.prepare('SELECT COUNT(*) AS n FROM job_items WHERE job_id = ? AND state = \'done\''),
+  finishJob: db.prepare('UPDATE jobs SET state = ?, finished_at = ? WHERE id = ?'),
+  interruptedJobs: db.prepare('SELECT DISTINCT job_id FROM job_items WHERE state = \'running\''),
+  abandon: db.prepare('UPDATE job_items SET state = \'failed\', content = NULL, error = ? WHERE state = \'running\' AND attempts >= ?'),
+  requeue: db.prepare('UPDATE job_items SET state = \'queued\', next_attempt_at = 0 WHERE state = \'running\''),
+  requeueJobs: db.prepare('UPDATE jobs SET state = \'queued\' WHERE state = \'running\''),
+  prune: db.prepare('DELETE FROM jobs WHERE finished_at < ?'),
+};
+
+// runners maps a job type to async (job, item, progress) => result, where
+// item is { name, content, options } and progress(fraction) reports how far
+// along the item is. ready(job) can hold back a job's items for a while.
+function createJobQueue({ runners, ready = () => true, concurrency = JOB_CONCURRENCY, maxAttempts = JOB_MAX_ATTEMPTS }) {
+  // Fraction done of each running item, by item id
+  const progress = new Map();
+  let active = 0;
+  let wakeTimer = null;
+
+  const insertJob = db.transaction((type, agentId, items, createdBy) => {
+    const id = crypto.randomUUID();
+    stmts.insertJob.run(id, type, agentId, createdBy, Date.now());
+    items.forEach(item => stmts.insertItem.run(id, item.name, item.content ?? null, JSON.stringify(item.options || {})));
+    return id;
+  });
+
+  // items: [{ name, content, options }]; content is a Buffer kept until the item has run
+  function enqueue(type, agentId, items, createdBy = null) {
+    const id = insertJob(type, agentId, items, createdBy);
+    setImmediate(pump);
+    return getJob(id);
+  }
+
+  function getJob(id) {
+    const job = stmts.get.get(id);
+    if (!job) return null;
+    const items = stmts.items.all(id);
+    const done = items.filter(i => i.state === 'done').length;
+    const failed = items.filter(i => i.state === 'failed').length;
+    const running = items.reduce((sum, i) => sum + (i.state === 'running' ? progress.get(i.id) || 0 : 0), 0);
+    return {
+      id: job.id,
+      type: job.type,
+      agentId: job.agent_id,
+      state: job.state,
+      createdBy: job.created_by,
+      createdAt: job.created_at,
+      startedAt: job.started_at,
+      finishedAt: job.finished_at,
+      total: items.length,
+      done,
+      failed,
+      progress: items.length ? (done + failed + running) / items.length : 1,
+      items: items.map(i => ({
+        name: i.name,
+        state: i.state,
+        attempts: i.attempts,
+        ...(i.result ? JSON.parse(i.result) : {}),
+        ...(i.error ? { error: i.error } : {}),
+      })),
+    };
+  }
+
+  function listJobs(agentId, limit = 20) {
+    return stmts.forAgent.all(agentId, limit).map(job => getJob(job.id));
+  }
+
+  function finishJobIfComplete(jobId) {
+    if (stmts.unfinished.get(jobId).n) return;
+    const state = stmts.succeeded.get(jobId).n ? 'done' : 'failed';
+    stmts.finishJob.run(state, Date.now(), jobId);
+  }
+
+  async function runItem(item) {
+    const job = { id: item.job_id, type: item.type, agentId: item.agent_id };
+    const attempt = item.attempts + 1;
+    try {
+      const result = await runners[item.type](job, {
+        name: item.name,
+        content: item.content,
+        options: JSON.parse(item.options),
+      }, (fraction) => progress.set(item.id, Math.min(1, Math.max(0, fraction))));
+      stmts.finishItem.run('done', JSON.stringify(result ?? {}), null, item.id);
+    } catch (e) {
+      if (e instanceof PermanentJobError || attempt >= maxAttempts) {
+        console.error(`Job ${job.id}: ${item.name} failed:`, e.message);
+        stmts.finishItem.run('failed', null, e.message, item.id);
+      } else {
+        const backoff = JOB_RETRY_BASE_MS * 2 ** (attempt - 1);
+        const delay = Math.round(backoff + Math.random() * backoff);
+        console.warn(`Job ${job.id}: ${item.name} failed (${e.message}), retrying in ${delay}ms`);
+        stmts.retry.run(Date.now() + delay, e.message, item.id);
+      }
+    } finally {
+      progress.delete(item.id);
+    }
+    finishJobIfComplete(job.id);
+  }
+
+  // Starts queued items while there is room, then sleeps until the next
+  // retry is due
+  function pump() {
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+    const now = Date.now();
+    while (active < concurrency) {
+      const item = stmts.next.get(now);
+      if (!item) break;
+      if (!runners[item.type]) {
+        stmts.finishItem.run('failed', null, `Unknown job type ${item.type}`, item.id);
+        finishJobIfComplete(item.job_id);
+        continue;
+      }
+      if (!ready({ id: item.job_id, type: item.type, agentId: item.agent_id })) {
+        stmts.postpone.run(now + JOB_POSTPONE_MS, item.id);
+        continue;
+      }
+      stmts.claim.run(item.id);
+      stmts.startJob.run(now, item.job_id);
+      active++;
+      runItem(item)
+        .catch((e) => console.error('Job queue error:', e))
+        .finally(() => {
+          active--;
+          pump();
+        });
+    }
+    if (active < concurrency) {
+      const { at } = stmts.nextWake.get();
+      if (at != null) wakeTimer = setTimeout(pump, Math.max(0, at - Date.now()));
+    }
+  }
+
+  // Resumes whatever was queued or running when the server last stopped.
+  // A running item that had used up its attempts fails instead, so an item
+  // that crashes the server can't restart it forever.
+  const resume = db.transaction(() => {
+    const jobIds = stmts.interruptedJobs.all().map(row => row.job_id);
+    const failed = stmts.abandon.run('Interrupted by a server restart on its last attempt', maxAttempts).changes;
+    const requeued = stmts.requeue.run().changes;
+    stmts.requeueJobs.run();
+    jobIds.forEach(finishJobIfComplete);
+    return { failed, requeued };
+  });
+
+  function start() {
+    stmts.prune.run(Date.now() - JOB_RETENTION_MS);
+    const { failed, requeued } = resume();
+    if (requeued) console.log(`Resuming ${requeued} interrupted job item(s)`);
+    if (failed) console.warn(`Failed ${failed} interrupted job item(s) that had no attempts left`);
+    pump();
+  }
+
+  return { enqueue, getJob, listJobs, start };
+}
+
+module.exports = { createJobQueue, PermanentJobError, JOB_CONCURRENCY, JOB_MAX_ATTEMPTS };
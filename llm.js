@@ -0,0 +1,337 @@
+const { StringDecoder } = require('string_decoder');
+const axios = require('axios');
+
+// ------- Errors -------
+// Every provider failure is converted to one of these so channel handlers can
+// decide what to tell the user without knowing which backend was called.
+class LLMError extends Error {
+  constructor(message, { code = 'unknown', provider, status, retryable = false, retryAfterMs } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+class LLMConfigError extends LLMError {}
+class LLMAuthError extends LLMError {}
+class LLMRateLimitError extends LLMError {}
+class LLMTimeoutError extends LLMError {}
+class LLMUnavailableError extends LLMError {}
+class LLMBadRequestError extends LLMError {}
+
+function toLLMError(e, provider) {
+  if (e instanceof LLMError) return e;
+  if (axios.isCancel(e)) return new LLMError('Request aborted', { code: 'aborted', provider });
+  const status = e.response?.status;
+  const data = e.response?.data;
+  const detail = data?.error?.message || data?.message || (typeof data === 'string' ? data : '') || e.message;
+  if (!e.response) {
+    if (e.code === 'ECONNABORTED' || e.code === 'ETIMEDOUT') {
+      return new LLMTimeoutError(`${provider} request timed out`, { code: 'timeout', provider, retryable: true });
+    }
+    return new LLMUnavailableError(`${provider} unreachable: ${detail}`, { code: 'unavailable', provider, retryable: true });
+  }
+  if (status === 401 || status === 403) {
+    return new LLMAuthError(`${provider} rejected the credentials: ${detail}`, { code: 'auth', provider, status });
+  }
+  if (status === 429) {
+    const retryAfter = Number(e.response.headers?.['retry-after']);
+    return new LLMRateLimitError(`${provider} rate limit: ${detail}`, {
+      code: 'rate_limit',
+      provider,
+      status,
+      retryable: true,
+      retryAfterMs: retryAfter ? retryAfter * 1000 : undefined,
+    });
+  }
+  if (status === 408) {
+    return new LLMTimeoutError(`${provider} request timed out`, { code: 'timeout', provider, status, retryable: true });
+  }
+  if (status >= 500) {
+    return new LLMUnavailableError(`${provider} error ${status}: ${detail}`, { code: 'unavailable', provider, status, retryable: true });
+  }
+  return new LLMBadRequestError(`${provider} rejected the request: ${detail}`, { code: 'bad_request', provider, status });
+}
+
+// ------- Providers -------
+// Only azure and openai-compatible take the agent's base URL. openai and
+// anthropic always call their official endpoint, so the server's API key is
+// never sent to a host an agent's settings point at.
+const OPENAI_URL = 'https://api.openai.com/v1';
+const ANTHROPIC_URL = 'https://api.anthropic.com';
+
+// top_p is only sent when it narrows sampling; 1 is every provider's default
+function openAIBody(settings, messages, params) {
+  const body = { model: settings.model, messages, temperature: params.temperature };
+  if (params.topP !== undefined && params.topP < 1) body.top_p = params.topP;
+  if (settings.maxTokens) body.max_tokens = settings.maxTokens;
+  return body;
+}
+
+// Why generation stopped, in OpenAI's terms: stop, length (the max tokens
+// were reached), content_filter or tool_calls
+const ANTHROPIC_STOP_REASONS = { end_turn: 'stop', stop_sequence: 'stop', max_tokens: 'length', tool_use: 'tool_calls', refusal: 'content_filter' };
+
+function parseOpenAIResponse(data) {
+  return {
+    text: (data.choices?.[0]?.message?.content || '').trim(),
+    model: data.model,
+    finishReason: data.choices?.[0]?.finish_reason || 'stop',
+    usage: {
+      promptTokens: data.usage?.prompt_tokens || 0,
+      completionTokens: data.usage?.completion_tokens || 0,
+    },
+  };
+}
+
+function parseOpenAIEvent(data) {
+  const event = { text: data.choices?.[0]?.delta?.content || '', model: data.model };
+  if (data.choices?.[0]?.finish_reason) event.finishReason = data.choices[0].finish_reason;
+  if (data.usage) {
+    event.usage = { promptTokens: data.usage.prompt_tokens || 0, completionTokens: data.usage.completion_tokens || 0 };
+  }
+  return event;
+}
+
+const LLM_PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    defaultModel: 'gpt-4.1-mini',
+    request(settings, messages, params) {
+      if (!process.env.OPENAI_API_KEY) throw new LLMConfigError('OPENAI_API_KEY is not set', { code: 'config', provider: 'openai' });
+      return {
+        url: `${OPENAI_URL}/chat/completions`,
+        headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
+        body: openAIBody(settings, messages, params),
+      };
+    },
+    parse: parseOpenAIResponse,
+    streamOptions: { stream_options: { include_usage: true } },
+    parseEvent: parseOpenAIEvent,
+  },
+  azure: {
+    label: 'Azure OpenAI',
+    defaultModel: 'gpt-4.1-mini',
+    request(settings, messages, params) {
+      const endpoint = settings.baseUrl || process.env.AZURE_OPENAI_ENDPOINT;
+      if (!endpoint || !process.env.AZURE_OPENAI_API_KEY) {
+        throw new LLMConfigError('Azure OpenAI needs AZURE_OPENAI_API_KEY and an endpoint', { code: 'config', provider: 'azure' });
+      }
+      const apiVersion = process.env.AZURE_OPENAI_API_VERSION || '2024-10-21';
+      const { model, ...body } = openAIBody(settings, messages, params);
+      return {
+        url: `${endpoint.replace(/\/+$/, '')}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${apiVersion}`,
+        headers: { 'api-key': process.env.AZURE_OPENAI_API_KEY },
+        body,
+      };
+    },
+    parse: parseOpenAIResponse,
+    streamOptions: { stream_options: { include_usage: true } },
+    parseEvent: parseOpenAIEvent,
+  },
+  'openai-compatible': {
+    label: 'OpenAI-compatible (Ollama, vLLM, LM Studio)',
+    defaultModel: 'llama3.1',
+    request(settings, messages, params) {
+      if (!settings.baseUrl) {
+        throw new LLMConfigError('An OpenAI-compatible provider needs a base URL', { code: 'config', provider: 'openai-compatible' });
+      }
+      const key = process.env.OPENAI_COMPATIBLE_API_KEY;
+      return {
+        url: `${settings.baseUrl.replace(/\/+$/, '')}/chat/completions`,
+        headers: key ? { Authorization: `Bearer ${key}` } : {},
+        body: openAIBody(settings, messages, params),
+      };
+    },
+    parse: parseOpenAIResponse,
+    parseEvent: parseOpenAIEvent,
+  },
+  anthropic: {
+    label: 'Anthropic',
+    defaultModel: 'claude-sonnet-4-5',
+    request(settings, messages, params) {
+      if (!process.env.ANTHROPIC_API_KEY) throw new LLMConfigError('ANTHROPIC_API_KEY is not set', { code: 'config', provider: 'anthropic' });
+      const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+      const body = {
+        model: settings.model,
+        max_tokens: settings.maxTokens || 1024,
+        messages: messages.filter(m => m.role !== 'system'),
+      };
+      if (system) body.system = system;
+      // Anthropic takes temperatures up to 1 only, and newer models refuse
+      // temperature and top_p together, so a set top_p is sent on its own
+      if (params.topP !== undefined && params.topP < 1) body.top_p = params.topP;
+      else if (params.temperature !== undefined) body.temperature = Math.min(params.temperature, 1);
+      return {
+        url: `${ANTHROPIC_URL}/v1/messages`,
+        headers: { 'x-api-key': process.env.ANTHROPIC_API_KEY, 'anthropic-version': '2023-06-01' },
+        body,
+      };
+    },
+    parse(data) {
+      return {
+        text: (data.content || []).filter(c => c.type === 'text').map(c => c.text).join('').trim(),
+        model: data.model,
+        finishReason: ANTHROPIC_STOP_REASONS[data.stop_reason] || 'stop',
+        usage: {
+          promptTokens: data.usage?.input_tokens || 0,
+          completionTokens: data.usage?.output_tokens || 0,
+        },
+      };
+    },
+    parseEvent(data) {
+      if (data.type === 'content_block_delta') return { text: data.delta?.text || '' };
+      if (data.type === 'message_start') {
+        return { model: data.message?.model, usage: { promptTokens: data.message?.usage?.input_tokens || 0 } };
+      }
+      if (data.type === 'message_delta') {
+        return {
+          usage: { completionTokens: data.usage?.output_tokens || 0 },
+          ...(data.delta?.stop_reason ? { finishReason: ANTHROPIC_STOP_REASONS[data.delta.stop_reason] || 'stop' } : {}),
+        };
+      }
+      if (data.type === 'error') {
+        throw new LLMUnavailableError(`anthropic stream error: ${data.error?.message}`, { code: 'unavailable', provider: 'anthropic' });
+      }
+      return {};
+    },
+  },
+};
+
+const DEFAULT_LLM_PROVIDER = 'openai';
+const DEFAULT_LLM_TIMEOUT_MS = 60000;
+const DEFAULT_LLM_MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+
+function resolveLLMSettings(agent = {}) {
+  const provider = LLM_PROVIDERS[agent.llmProvider] ? agent.llmProvider : DEFAULT_LLM_PROVIDER;
+  return {
+    provider,
+    model: agent.llmModel || LLM_PROVIDERS[provider].defaultModel,
+    baseUrl: agent.llmBaseUrl || '',
+    maxTokens: Number(agent.maxTokens) || undefined,
+    timeoutMs: Number(agent.llmTimeoutMs) || DEFAULT_LLM_TIMEOUT_MS,
+    maxRetries: Number.isInteger(agent.llmMaxRetries) ? agent.llmMaxRetries : DEFAULT_LLM_MAX_RETRIES,
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retries rate limits, timeouts and 5xx with exponential backoff and jitter,
+// honouring Retry-After when the provider sends one.
+async function withRetries(settings, fn) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (e) {
+      const err = toLLMError(e, settings.provider);
+      if (!err.retryable || attempt >= settings.maxRetries) throw err;
+      const backoff = RETRY_BASE_DELAY_MS * 2 ** attempt;
+      const delay = err.retryAfterMs ?? backoff + Math.random() * backoff;
+      console.warn(`LLM ${err.code} from ${settings.provider}, retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+// messages: OpenAI-style [{ role, content }]; params: { temperature, topP }
+async function chatCompletion(agent, messages, params = {}) {
+  const settings = resolveLLMSettings(agent);
+  const provider = LLM_PROVIDERS[settings.provider];
+  const { url, headers, body } = provider.request(settings, messages, params);
+  const res = await withRetries(settings, () => axios.post(url, body, { headers, timeout: settings.timeoutMs }));
+  return provider.parse(res.data);
+}
+
+// Error bodies of streamed requests arrive as a stream too; read them so the
+// typed error carries the provider's message.
+async function readStreamError(e) {
+  const data = e.response?.data;
+  if (!data || typeof data.on !== 'function') return e;
+  const chunks = [];
+  let raw = '';
+  try {
+    for await (const chunk of data) chunks.push(Buffer.from(chunk));
+    raw = Buffer.concat(chunks).toString('utf8');
+    e.response.data = JSON.parse(raw);
+  } catch {
+    e.response.data = raw;
+  }
+  return e;
+}
+
+// A multibyte character can be split across chunks, so bytes are decoded with
+// a StringDecoder that holds back an incomplete one
+async function* sseEvents(stream) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    let idx;
+    while ((idx = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, idx).trim();
+      buffer = buffer.slice(idx + 1);
+      if (!line.startsWith('data:')) continue;
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return;
+      yield JSON.parse(payload);
+    }
+  }
+}
+
+// Streams a completion, calling onToken for every text delta. Retries only
+// cover establishing the stream; once tokens have been relayed a failure is
+// thrown to the caller. Aborting signal cancels the upstream request.
+async function streamCompletion(agent, messages, params = {}, { signal, onToken = () => {} } = {}) {
+  const settings = resolveLLMSettings(agent);
+  const provider = LLM_PROVIDERS[settings.provider];
+  const { url, headers, body } = provider.request(settings, messages, params);
+  const res = await withRetries(settings, () =>
+    axios
+      .post(url, { ...body, stream: true, ...provider.streamOptions }, {
+        headers,
+        timeout: settings.timeoutMs,
+        responseType: 'stream',
+        signal,
+      })
+      .catch(async (e) => { throw await readStreamError(e); })
+  );
+  const result = { text: '', model: settings.model, finishReason: 'stop', usage: { promptTokens: 0, completionTokens: 0 } };
+  try {
+    for await (const data of sseEvents(res.data)) {
+      const event = provider.parseEvent(data);
+      if (event.model) result.model = event.model;
+      if (event.finishReason) result.finishReason = event.finishReason;
+      if (event.usage) Object.assign(result.usage, event.usage);
+      if (event.text) {
+        result.text += event.text;
+        onToken(event.text);
+      }
+    }
+  } catch (e) {
+    if (signal?.aborted) throw new LLMError('Request aborted', { code: 'aborted', provider: settings.provider });
+    throw toLLMError(e, settings.provider);
+  }
+  result.text = result.text.trim();
+  return result;
+}
+
+module.exports = {
+  LLM_PROVIDERS,
+  DEFAULT_LLM_TIMEOUT_MS,
+  DEFAULT_LLM_MAX_RETRIES,
+  resolveLLMSettings,
+  sseEvents,
+  chatCompletion,
+  streamCompletion,
+  LLMError,
+  LLMConfigError,
+  LLMAuthError,
+  LLMRateLimitError,
+  LLMTimeoutError,
+  LLMUnavailableError,
+  LLMBadRequestError,
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// ------- Message formatting -------
+// Splits a reply into pieces no longer than limit, preferring paragraph,
+// line and word boundaries so messaging apps don't cut words in half.
+function splitMessage(text, limit) {
+  const parts = [];
+  let rest = String(text).trim();
+  while (rest.length > limit) {
+    const window = rest.slice(0, limit);
+    let cut = -1;
+    for (const sep of ['\n\n', '\n', ' ']) {
+      cut = window.lastIndexOf(sep);
+      if (cut > limit / 2) break;
+    }
+    if (cut <= limit / 2) cut = limit;
+    parts.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) parts.push(rest);
+  return parts;
+}
+
+// Converts the Markdown subset models usually produce into Telegram HTML.
+// Everything else is escaped, so stray * or _ can never break parsing.
+function markdownToTelegramHtml(text) {
+  const escape = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const blocks = [];
+  const keep = (html) => `\u0000${blocks.push(html) - 1}\u0000`;
+  let out = String(text)
+    .replace(/```[^\n`]*\n?([\s\S]*?)```/g, (_, code) => keep(`<pre>${escape(code.replace(/\n$/, ''))}</pre>`))
+    .replace(/`([^`\n]+)`/g, (_, code) => keep(`<code>${escape(code)}</code>`));
+  out = escape(out)
+    .replace(/\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g, (_, label, url) => `<a href="${url.replace(/"/g, '&quot;')}">${label}</a>`)
+    .replace(/^#{1,6}\s+(.+)$/gm, '<b>$1</b>')
+    .replace(/\*\*([^*\n]+)\*\*/g, '<b>$1</b>')
+    .replace(/__([^_\n]+)__/g, '<b>$1</b>')
+    .replace(/(^|[^*\w])\*([^*\n]+)\*(?!\w)/g, '$1<i>$2</i>')
+    .replace(/(^|[^_\w])_([^_\n]+)_(?!\w)/g, '$1<i>$2</i>')
+    .replace(/~~([^~\n]+)~~/g, '<s>$1</s>');
+  return out.replace(/\u0000(\d+)\u0000/g, (_, i) => blocks[i]);
+}
+
+// ------- Webhook signatures -------
+// HMAC-SHA256 of the raw request body, compared in constant time
+function verifyMessengerSignature(req) {
+  const secret = process.env.APP_SECRET;
+  const header = req.get('X-Hub-Signature-256') || '';
+  if (!secret || !req.rawBody || !header.startsWith('sha256=')) return false;
+  const expected = crypto.createHmac('sha256', secret).update(req.rawBody).digest();
+  const given = Buffer.from(header.slice(7), 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function verifyViberSignature(req, token) {
+  const given = Buffer.from(req.get('X-Viber-Content-Signature') || '', 'hex');
+  if (!req.rawBody) return false;
+  const expected = crypto.createHmac('sha256', token).update(req.rawBody).digest();
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = {
+  splitMessage,
+  markdownToTelegramHtml,
+  verifyMessengerSignature,
+  verifyViberSignature,
+};
@@ -0,0 +1,76 @@
+const express = require('express');
+
+// ------- Route registry -------
+// API routes are declared through route(), which registers the Express handler
+// and records its description, so the OpenAPI document can't drift from the
+// routes that actually exist.
+//
+// spec: { summary, tag, scope, query, body, multipart, stream, responses }
+//   query     { name: { type, description } }
+//   body      JSON schema of the request body
+//   multipart JSON schema of a multipart/form-data body
+//   responses { status: { description, schema } }
+function createApiRouter({ authorize } = {}) {
+  const router = express.Router();
+  const operations = [];
+
+  function route(method, path, spec, ...handlers) {
+    operations.push({ method, path, spec });
+    const guard = spec.scope && authorize ? [authorize(spec.scope)] : [];
+    router[method](path, ...guard, ...handlers);
+  }
+
+  function document({ title, version, description, basePath, schemas = {}, scopes = {} }) {
+    const paths = {};
+    for (const { method, path, spec } of operations) {
+      const openapiPath = basePath + path.replace(/:(\w+)/g, '{$1}');
+      const parameters = [
+        ...[...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+          name, in: 'path', required: true, schema: { type: 'string' },
+        })),
+        ...Object.entries(spec.query || {}).map(([name, q]) => ({
+          name, in: 'query', required: false, description: q.description, schema: { type: q.type || 'string' },
+        })),
+      ];
+      const content = {};
+      if (spec.body) content['application/json'] = { schema: spec.body };
+      if (spec.multipart) content['multipart/form-data'] = { schema: spec.multipart };
+      const responses = {};
+      for (const [status, r] of Object.entries(spec.responses || { 200: { description: 'OK' } })) {
+        const type = spec.stream && status === '200' ? 'text/event-stream' : 'application/json';
+        responses[status] = { description: r.description, ...(r.schema ? { content: { [type]: { schema: r.schema } } } : {}) };
+      }
+      if (spec.scope) {
+        responses[401] = { description: 'Missing or invalid API key', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+        responses[403] = { description: `API key lacks the ${spec.scope} scope`, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+      }
+      paths[openapiPath] = paths[openapiPath] || {};
+      paths[openapiPath][method] = {
+        summary: spec.summary,
+        ...(spec.description ? { description: spec.description } : {}),
+        tags: spec.tag ? [spec.tag] : [],
+        ...(parameters.length ? { parameters } : {}),
+        ...(Object.keys(content).length ? { requestBody: { required: true, content } } : {}),
+        responses,
+        security: spec.scope ? [{ apiKey: [] }] : [],
+        ...(spec.scope ? { 'x-required-scope': spec.scope } : {}),
+      };
+    }
+    const scopeList = Object.entries(scopes).map(([name, text]) => `- \`${name}\`: ${text}`).join('\n');
+    return {
+      openapi: '3.0.3',
+      info: { title, version, description: [description, scopeList && `Scopes:\n\n${scopeList}`].filter(Boolean).join('\n\n') },
+      paths,
+      components: {
+        schemas,
+        securitySchemes: {
+          apiKey: { type: 'http', scheme: 'bearer', description: 'Send the key as `Authorization: Bearer <key>` or in an `X-API-Key` header' },
+        },
+      },
+    };
+  }
+
+  return { router, route, document };
+}
+
+module.exports = { createApiRouter };
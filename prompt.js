@@ -0,0 +1,90 @@
+// ------- Prompt Templates -------
+// The prompt sent to the model is the agent's instruction, the conversation's
+// recent history and the question, with the retrieved sources placed either
+// in the system message or in front of the question. The instruction and
+// every template below may use {{variables}}; unknown names are left as
+// written so literal braces survive.
+const CONTEXT_PLACEMENTS = {
+  user: 'With the question (user message)',
+  system: 'In the system message',
+};
+
+const PROMPT_DEFAULTS = {
+  contextPlacement: 'user',
+  // {{sources}} is replaced by the numbered sources
+  contextTemplate: 'Sources:\n{{sources}}',
+  // Used in place of the sources when retrieval finds nothing; empty sends
+  // the question on its own
+  noContextTemplate: '',
+  // Heading of each source; {{n}}, {{name}}, {{chunk}} and {{score}} describe it
+  sourceLabel: '[{{n}}] {{name}} (chunk {{chunk}})',
+};
+
+const PROMPT_VARIABLES = {
+  date: 'Today\'s date, e.g. 2024-05-31',
+  time: 'Current time, e.g. 14:05',
+  user_name: 'Name of the person asking, when the channel knows it',
+  channel: 'web, widget, telegram, viber, messenger, api or openai',
+  agent_name: 'The agent\'s name',
+};
+
+function renderTemplate(template, vars = {}) {
+  return String(template ?? '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (
+    Object.hasOwn(vars, name) ? String(vars[name] ?? '') : match
+  ));
+}
+
+function promptVariables({ agent, channel = '', userName = '', now = new Date() } = {}) {
+  return {
+    date: now.toLocaleDateString('en-CA'),
+    time: now.toTimeString().slice(0, 5),
+    user_name: userName || '',
+    channel,
+    agent_name: agent?.name || '',
+  };
+}
+
+function formatContext(hits, sourceLabel, vars = {}) {
+  return hits.map((h, i) => {
+    const label = renderTemplate(sourceLabel, {
+      ...vars, n: i + 1, name: h.name, chunk: h.chunkIndex + 1, score: h.score?.toFixed(3) ?? '',
+    });
+    return `${label}\n${h.text}`;
+  }).join('\n\n');
+}
+
+// Chat messages for one question; history holds the earlier turns only
+function buildMessages(agent, hits, question, history = [], vars = {}) {
+  const placement = CONTEXT_PLACEMENTS[agent.contextPlacement] ? agent.contextPlacement : PROMPT_DEFAULTS.contextPlacement;
+  let system = renderTemplate(agent.instruction || 'You are a helpful assistant.', vars);
+  let user = question;
+  const context = hits.length
+    ? renderTemplate(agent.contextTemplate || PROMPT_DEFAULTS.contextTemplate, {
+      ...vars, sources: formatContext(hits, agent.sourceLabel || PROMPT_DEFAULTS.sourceLabel, vars),
+    })
+    : renderTemplate(agent.noContextTemplate || PROMPT_DEFAULTS.noContextTemplate, vars).trim();
+  if (hits.length) {
+    system += placement === 'system'
+      ? '\n\nUse the numbered sources below and cite them inline like [1].'
+      : '\n\nUse the numbered sources given with the question and cite them inline like [1].';
+  }
+  if (context && placement === 'system') system += `\n\n${context}`;
+  else if (context) user = `${context}\n\nQuestion: ${question}`;
+  return [
+    { role: 'system', content: system },
+    ...history.map(m => ({
+      role: m.role === 'bot' ? 'assistant' : m.role,
+      content: m.text,
+    })),
+    { role: 'user', content: user },
+  ];
+}
+
+module.exports = {
+  CONTEXT_PLACEMENTS,
+  PROMPT_DEFAULTS,
+  PROMPT_VARIABLES,
+  renderTemplate,
+  promptVariables,
+  buildMessages,
+};
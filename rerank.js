@@ -0,0 +1,51 @@
+const axios = require('axios');
+const { CohereRerank } = require('@langchain/cohere');
+
+// ------- Rerankers -------
+// A reranker scores each candidate chunk against the question. scores()
+// resolves to one relevance score (0-1) per text, in the order given.
+const RERANK_TIMEOUT_MS = 15000;
+
+const RERANKERS = {
+  cohere: {
+    label: 'Cohere Rerank',
+    create() {
+      const impl = new CohereRerank({ apiKey: process.env.COHERE_API_KEY, model: process.env.RERANK_MODEL || 'rerank-v3.5' });
+      return {
+        async scores(query, texts) {
+          const results = await impl.rerank(texts, query, { topN: texts.length });
+          const scores = new Array(texts.length).fill(0);
+          results.forEach((r) => { scores[r.index] = r.relevanceScore; });
+          return scores;
+        },
+      };
+    },
+  },
+  // A cross-encoder served over HTTP with the Hugging Face
+  // text-embeddings-inference /rerank API, e.g. BAAI/bge-reranker-base
+  local: {
+    label: 'Local cross-encoder',
+    create() {
+      const baseUrl = (process.env.RERANK_URL || 'http://localhost:8080').replace(/\/$/, '');
+      return {
+        async scores(query, texts) {
+          const { data } = await axios.post(`${baseUrl}/rerank`, { query, texts, raw_scores: false }, { timeout: RERANK_TIMEOUT_MS });
+          const scores = new Array(texts.length).fill(0);
+          data.forEach((r) => { scores[r.index] = r.score; });
+          return scores;
+        },
+      };
+    },
+  },
+};
+
+const rerankers = {};
+
+// null when name is not a known reranker
+function getReranker(name) {
+  if (!RERANKERS[name]) return null;
+  if (!rerankers[name]) rerankers[name] = RERANKERS[name].create();
+  return rerankers[name];
+}
+
+module.exports = { RERANKERS, getReranker };
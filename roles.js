@@ -0,0 +1,78 @@
+// ------- Access Control -------
+// Roles are granted per agent and stored on each user as agentRoles
+// { agentId: role }. Every role includes what the ones before it allow, and
+// admins act as owners of every agent.
+const AGENT_ROLES = {
+  chat: 'Chat with the agent and read their own conversations',
+  viewer: 'Also see its settings, documents and every conversation',
+  editor: 'Also change settings and manage documents',
+  owner: 'Also manage channel credentials, the website widget and the LLM provider and endpoint, export and delete the agent',
+};
+const ROLE_ORDER = Object.keys(AGENT_ROLES);
+// Channel connections and the widget, which only owners may read or change
+const CHANNEL_SETTINGS = ['telegramToken', 'viberToken', 'messengerPageId', 'messengerPageToken', 'widgetEnabled', 'widgetOrigins'];
+// Settings only owners may change. The LLM provider and base URL decide where
+// the server's provider keys are sent.
+const OWNER_SETTINGS = [...CHANNEL_SETTINGS, 'llmProvider', 'llmBaseUrl'];
+
+function roleAtLeast(granted, role) {
+  return Boolean(granted) && ROLE_ORDER.indexOf(granted) >= ROLE_ORDER.indexOf(role);
+}
+
+// users and agents are the server's in-memory maps (see store.js); they are
+// read on every check, so role changes apply at once
+function createAccessControl({ users, agents }) {
+  function agentRole(user, agentId) {
+    if (!user) return null;
+    if (user.isAdmin) return 'owner';
+    return users[user.email]?.agentRoles?.[agentId] || null;
+  }
+
+  function hasRole(user, agentId, role) {
+    return roleAtLeast(agentRole(user, agentId), role);
+  }
+
+  function accessibleAgents(user, role = 'chat') {
+    return Object.values(agents).filter(a => hasRole(user, a.id, role));
+  }
+
+  // Loads the agent named by req.params[param] into req.agent if the user
+  // holds at least role on it. Agents the user has no role on at all look
+  // missing.
+  function requireAgentRole(role, param = 'id') {
+    return (req, res, next) => {
+      const agent = agents[req.params[param]];
+      const fail = (status, error) => (req.method === 'GET' ? res.status(status).send(error) : res.status(status).json({ error }));
+      if (!agent || !agentRole(req.user, agent.id)) return fail(404, 'Agent not found');
+      if (!hasRole(req.user, agent.id, role)) return fail(403, 'Forbidden');
+      req.agent = agent;
+      next();
+    };
+  }
+
+  // History restriction for searchHistory: every conversation of agents the
+  // user can view, plus their own dashboard chats with chat-only agents
+  function historyAccess(user) {
+    if (user.isAdmin) return null;
+    const fullAgents = accessibleAgents(user, 'viewer').map(a => a.id);
+    const ownAgents = accessibleAgents(user, 'chat').map(a => a.id).filter(id => !fullAgents.includes(id));
+    return { fullAgents, ownAgents, email: user.email };
+  }
+
+  function canReadConversation(user, conversation) {
+    if (hasRole(user, conversation.agent_id, 'viewer')) return true;
+    return hasRole(user, conversation.agent_id, 'chat')
+      && conversation.channel === 'web' && conversation.external_user_id === user.email;
+  }
+
+  return { agentRole, hasRole, accessibleAgents, requireAgentRole, historyAccess, canReadConversation };
+}
+
+module.exports = {
+  AGENT_ROLES,
+  ROLE_ORDER,
+  CHANNEL_SETTINGS,
+  OWNER_SETTINGS,
+  roleAtLeast,
+  createAccessControl,
+};
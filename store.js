@@ -0,0 +1,112 @@
+const fs = require('fs');
+const db = require('./db');
+
+// ------- Config Store -------
+// Agents and users are kept in SQLite by default. CONFIG_STORE=file keeps
+// them in agents.json and users.json instead. Either way everything is loaded
+// at start-up and each save replaces the stored copy as a whole: SQLite in a
+// single transaction, the file backend by writing a temp file and renaming it
+// over the old one, so a crash can't leave a half-written config behind.
+const AGENTS_FILE = 'agents.json';
+const USERS_FILE = 'users.json';
+
+function writeFileAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+// A missing file is an empty config; an unreadable one stops start-up rather
+// than being overwritten by the next save
+function readJsonFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return {};
+    throw e;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${file} is not valid JSON (${e.message}); fix or remove it and restart`);
+  }
+}
+
+function fileStore() {
+  return {
+    loadAgents: () => readJsonFile(AGENTS_FILE),
+    saveAgents: (agents) => writeFileAtomic(AGENTS_FILE, JSON.stringify(agents, null, 2)),
+    loadUsers: () => readJsonFile(USERS_FILE),
+    saveUsers: (users) => writeFileAtomic(USERS_FILE, JSON.stringify(users, null, 2)),
+  };
+}
+
+function sqliteStore() {
+  const stmts = {
+    agents: db.prepare('SELECT data FROM agents ORDER BY rowid'),
+    upsertAgent: db.prepare(`
+      INSERT INTO agents (id, name, data, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET name = excluded.name, data = excluded.data, updated_at = excluded.updated_at
+      WHERE agents.data IS NOT excluded.data
+    `),
+    pruneAgents: db.prepare('DELETE FROM agents WHERE id NOT IN (SELECT value FROM json_each(?))'),
+    users: db.prepare('SELECT * FROM users ORDER BY rowid'),
+    upsertUser: db.prepare(`
+      INSERT INTO users (email, password, is_admin, must_change_password, agent_roles, updated_at)
+      VALUES (@email, @password, @isAdmin, @mustChangePassword, @agentRoles, @now)
+      ON CONFLICT (email) DO UPDATE SET password = excluded.password, is_admin = excluded.is_admin,
+        must_change_password = excluded.must_change_password, agent_roles = excluded.agent_roles,
+        updated_at = excluded.updated_at
+      WHERE (users.password, users.is_admin, users.must_change_password, users.agent_roles)
+        IS NOT (excluded.password, excluded.is_admin, excluded.must_change_password, excluded.agent_roles)
+    `),
+    pruneUsers: db.prepare('DELETE FROM users WHERE email NOT IN (SELECT value FROM json_each(?))'),
+  };
+
+  return {
+    loadAgents() {
+      return Object.fromEntries(stmts.agents.all().map(r => JSON.parse(r.data)).map(a => [a.id, a]));
+    },
+    saveAgents: db.transaction((agents) => {
+      const now = Date.now();
+      for (const agent of Object.values(agents)) {
+        stmts.upsertAgent.run(agent.id, agent.name, JSON.stringify(agent), now);
+      }
+      stmts.pruneAgents.run(JSON.stringify(Object.keys(agents)));
+    }),
+    loadUsers() {
+      return Object.fromEntries(stmts.users.all().map(r => [r.email, {
+        password: r.password,
+        isAdmin: Boolean(r.is_admin),
+        ...(r.must_change_password ? { mustChangePassword: true } : {}),
+        agentRoles: JSON.parse(r.agent_roles),
+      }]));
+    },
+    saveUsers: db.transaction((users) => {
+      const now = Date.now();
+      for (const [email, user] of Object.entries(users)) {
+        stmts.upsertUser.run({
+          email,
+          password: user.password,
+          isAdmin: user.isAdmin ? 1 : 0,
+          mustChangePassword: user.mustChangePassword ? 1 : 0,
+          agentRoles: JSON.stringify(user.agentRoles || {}),
+          now,
+        });
+      }
+      stmts.pruneUsers.run(JSON.stringify(Object.keys(users)));
+    }),
+  };
+}
+
+const CONFIG_STORE = process.env.CONFIG_STORE === 'file' ? 'file' : 'sqlite';
+const configStore = CONFIG_STORE === 'file' ? fileStore() : sqliteStore();
+
+module.exports = { CONFIG_STORE, configStore, writeFileAtomic };
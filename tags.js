@@ -0,0 +1,146 @@
+// ------- Document Tags -------
+// Documents carry free-form key/value tags and an optional validity period in
+// every chunk's payload (tags.<key>, and validFrom/validTo in epoch ms).
+// Retrieval skips chunks outside their validity period and can be scoped by
+// tags, through the agent's default filter or a filter sent with a question.
+const TAG_KEY = /^[A-Za-z0-9_-]{1,40}$/;
+const MAX_TAG_VALUE = 200;
+
+class MetadataError extends Error {}
+
+// Accepts { key: value } or "key=value" pairs separated by commas or new
+// lines. Filters (multiple) may also list alternatives as a|b or an array,
+// and null removes a key from the agent's default filter.
+function parseTags(input, { multiple = false } = {}) {
+  if (input == null || input === '') return {};
+  let entries;
+  if (typeof input === 'string') {
+    const trimmed = input.trim();
+    if (trimmed.startsWith('{')) {
+      let parsed;
+      try {
+        parsed = JSON.parse(trimmed);
+      } catch {
+        throw new MetadataError('Tags are not valid JSON');
+      }
+      return parseTags(parsed, { multiple });
+    }
+    entries = trimmed.split(/[,\n]/).map(pair => pair.trim()).filter(Boolean).map((pair) => {
+      const i = pair.indexOf('=');
+      if (i < 1) throw new MetadataError(`Expected key=value, got "${pair}"`);
+      const value = pair.slice(i + 1).trim();
+      return [pair.slice(0, i).trim(), multiple && value.includes('|') ? value.split('|') : value];
+    });
+  } else if (typeof input === 'object' && !Array.isArray(input)) {
+    entries = Object.entries(input);
+  } else {
+    throw new MetadataError('Tags must be an object or key=value pairs');
+  }
+  const tags = {};
+  for (const [key, value] of entries) {
+    if (!TAG_KEY.test(key)) throw new MetadataError(`Invalid tag name "${key}"`);
+    if (multiple && value === null) {
+      tags[key] = null;
+      continue;
+    }
+    const values = (multiple && Array.isArray(value) ? value : [value])
+      .filter(v => ['string', 'number', 'boolean'].includes(typeof v))
+      .map(v => String(v).trim().slice(0, MAX_TAG_VALUE))
+      .filter(Boolean);
+    if (!values.length) throw new MetadataError(`Tag "${key}" needs a value`);
+    tags[key] = Array.isArray(value) && values.length > 1 ? values : values[0];
+  }
+  return tags;
+}
+
+// ?tag=key:value, repeatable, as used by the document lists
+function tagQuery(query) {
+  const pairs = [].concat(query.tag ?? []).map(t => String(t).split(':'));
+  return parseTags(Object.fromEntries(pairs.map(([key, ...value]) => [key, value.join(':')])));
+}
+
+function formatTags(tags) {
+  return Object.entries(tags || {}).map(([key, value]) => `${key}=${[].concat(value).join('|')}`).join(', ');
+}
+
+// A date (YYYY-MM-DD) or date-time; a bare validTo date lasts the whole day
+function parseValidity(value, field) {
+  if (value == null || value === '') return null;
+  const text = String(value).trim();
+  const time = /^\d{4}-\d{2}-\d{2}$/.test(text) && field === 'validTo'
+    ? Date.parse(`${text}T23:59:59.999Z`)
+    : Date.parse(text);
+  if (isNaN(time)) throw new MetadataError(`${field} is not a valid date`);
+  return time;
+}
+
+// The metadata fields present in body, parsed; fields left out are not in
+// the result, so a document edit keeps their current value
+function metadataChanges(body = {}) {
+  const changes = {};
+  if (body.tags !== undefined) changes.tags = parseTags(body.tags);
+  if (body.validFrom !== undefined) changes.validFrom = parseValidity(body.validFrom, 'validFrom');
+  if (body.validTo !== undefined) changes.validTo = parseValidity(body.validTo, 'validTo');
+  return changes;
+}
+
+// { tags, validFrom, validTo } from an upload's fields
+function documentMetadata({ tags, validFrom, validTo } = {}) {
+  const meta = {
+    tags: parseTags(tags),
+    validFrom: parseValidity(validFrom, 'validFrom'),
+    validTo: parseValidity(validTo, 'validTo'),
+  };
+  if (meta.validFrom != null && meta.validTo != null && meta.validFrom > meta.validTo) {
+    throw new MetadataError('validFrom must be before validTo');
+  }
+  return meta;
+}
+
+// The metadata a document edit leaves: changes (see metadataChanges) over
+// the tags and validity period in the document's current payload
+function editedMetadata(current = {}, changes = {}) {
+  const meta = {
+    tags: changes.tags ?? current.tags ?? {},
+    validFrom: changes.validFrom !== undefined ? changes.validFrom : current.validFrom ?? null,
+    validTo: changes.validTo !== undefined ? changes.validTo : current.validTo ?? null,
+  };
+  if (meta.validFrom != null && meta.validTo != null && meta.validFrom > meta.validTo) {
+    throw new MetadataError('validFrom must be before validTo');
+  }
+  return meta;
+}
+
+function metadataPayload({ tags = {}, validFrom = null, validTo = null } = {}) {
+  return {
+    ...(Object.keys(tags).length ? { tags } : {}),
+    ...(validFrom != null ? { validFrom } : {}),
+    ...(validTo != null ? { validTo } : {}),
+  };
+}
+
+// Qdrant filter for retrieval: the agent's default filter overridden by the
+// request's, and nothing outside its validity period
+function retrievalFilter(agent, filter = {}, now = Date.now()) {
+  const tags = Object.entries({ ...agent.defaultFilter, ...filter }).filter(([, value]) => value !== null);
+  return {
+    must: tags.map(([key, value]) => ({ key: `tags.${key}`, match: Array.isArray(value) ? { any: value } : { value } })),
+    must_not: [
+      { key: 'validTo', range: { lt: now } },
+      { key: 'validFrom', range: { gt: now } },
+    ],
+  };
+}
+
+module.exports = {
+  MetadataError,
+  parseTags,
+  tagQuery,
+  formatTags,
+  parseValidity,
+  metadataChanges,
+  documentMetadata,
+  editedMetadata,
+  metadataPayload,
+  retrievalFilter,
+};
@@ -0,0 +1,61 @@
+process.env.DB_FILE = ':memory:';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApiKey, findApiKey, listApiKeys, revokeApiKey, authorizeApiKey } = require('../apikeys');
+
+// Runs the middleware on a request with headers; resolves to the status it
+// answered with, or 'next' when it let the request through
+function authorize(scope, headers) {
+  const req = { get: (name) => headers[name] };
+  return new Promise((resolve) => {
+    const res = {
+      status(code) {
+        return { json: (body) => resolve({ status: code, body }) };
+      },
+    };
+    authorizeApiKey(scope)(req, res, () => resolve({ status: 'next', apiKey: req.apiKey }));
+  });
+}
+
+test('keys are stored hashed and found by the full key only', () => {
+  const { id, key } = createApiKey('Orders', ['chat', 'agents:read'], 'admin@x.com');
+  assert.match(key, /^mk_[0-9a-f]{8}_[A-Za-z0-9_-]{32}$/);
+  const row = listApiKeys().find(k => k.id === id);
+  assert.equal(row.prefix, key.slice(0, 11));
+  assert.ok(!JSON.stringify(row).includes(key.slice(12)));
+  const found = findApiKey(key);
+  assert.deepEqual(found.scopes, ['chat', 'agents:read']);
+  assert.ok(listApiKeys().find(k => k.id === id).last_used_at);
+  assert.equal(findApiKey(`${key}x`), null);
+  assert.equal(findApiKey(key.slice(0, 11)), null);
+});
+
+test('authorizeApiKey takes a Bearer token or X-API-Key', async () => {
+  const { key } = createApiKey('Bot', ['chat'], null);
+  const bearer = await authorize('chat', { Authorization: `Bearer ${key}` });
+  assert.equal(bearer.status, 'next');
+  assert.equal(bearer.apiKey.name, 'Bot');
+  assert.equal((await authorize('chat', { 'X-API-Key': key })).status, 'next');
+});
+
+test('authorizeApiKey answers 401 without a valid key', async () => {
+  const { key } = createApiKey('Bot', ['chat'], null);
+  assert.deepEqual(await authorize('chat', {}), { status: 401, body: { error: 'Missing or invalid API key' } });
+  assert.equal((await authorize('chat', { Authorization: 'Bearer mk_00000000_nope' })).status, 401);
+  assert.equal((await authorize('chat', { Authorization: `Basic ${key}` })).status, 401);
+});
+
+test('authorizeApiKey answers 403 when the key lacks the scope', async () => {
+  const { key } = createApiKey('Reader', ['agents:read'], null);
+  assert.deepEqual(await authorize('agents:write', { Authorization: `Bearer ${key}` }),
+    { status: 403, body: { error: 'API key lacks the agents:write scope' } });
+  assert.equal((await authorize('agents:read', { Authorization: `Bearer ${key}` })).status, 'next');
+});
+
+test('revoked keys stop working', async () => {
+  const { id, key } = createApiKey('Old', ['chat'], null);
+  assert.equal(revokeApiKey(id), true);
+  assert.equal(revokeApiKey(id), false);
+  assert.equal(findApiKey(key), null);
+  assert.equal((await authorize('chat', { 'X-API-Key': key })).status, 401);
+});
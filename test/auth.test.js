@@ -0,0 +1,68 @@
+process.env.DB_FILE = ':memory:';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  createSession,
+  getSession,
+  csrfTokenMatches,
+  deleteSession,
+  deleteUserSessions,
+  loginRetryAfter,
+  recordFailedLogin,
+  clearFailedLogins,
+} = require('../auth');
+
+test('passwords are salted scrypt hashes that verify', () => {
+  const stored = hashPassword('correct horse');
+  assert.match(stored, /^scrypt\$16384\$8\$1\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+  assert.notEqual(hashPassword('correct horse'), stored);
+  assert.equal(verifyPassword('correct horse', stored), true);
+  assert.equal(verifyPassword('correct horse ', stored), false);
+  assert.equal(verifyPassword(undefined, stored), false);
+  assert.equal(needsRehash(stored), false);
+});
+
+test('legacy SHA-256 hashes still verify and ask for a rehash', () => {
+  const legacy = crypto.createHash('sha256').update('hunter22').digest('hex');
+  assert.equal(verifyPassword('hunter22', legacy), true);
+  assert.equal(verifyPassword('hunter23', legacy), false);
+  assert.equal(verifyPassword('hunter22', 'not-a-hash'), false);
+  assert.equal(needsRehash(legacy), true);
+  assert.equal(needsRehash('scrypt$1024$8$1$c2FsdA==$aGFzaA=='), true);
+});
+
+test('the CSRF token must match the session token exactly', () => {
+  const { csrfToken } = createSession('a@x.com');
+  assert.equal(csrfTokenMatches(csrfToken, csrfToken), true);
+  assert.equal(csrfTokenMatches(csrfToken.slice(0, -1) + (csrfToken.endsWith('A') ? 'B' : 'A'), csrfToken), false);
+  assert.equal(csrfTokenMatches(csrfToken.slice(1), csrfToken), false);
+  assert.equal(csrfTokenMatches(undefined, csrfToken), false);
+  assert.equal(csrfTokenMatches('', ''), false);
+});
+
+test('sessions are looked up by id and can be ended for one user', () => {
+  const first = createSession('b@x.com');
+  const second = createSession('b@x.com');
+  assert.deepEqual(getSession(first.sid), { email: 'b@x.com', csrfToken: first.csrfToken });
+  assert.equal(getSession('unknown'), null);
+  deleteUserSessions('b@x.com', second.sid);
+  assert.equal(getSession(first.sid), null);
+  assert.equal(getSession(second.sid).email, 'b@x.com');
+  deleteSession(second.sid);
+  assert.equal(getSession(second.sid), null);
+});
+
+test('logins are refused after five failures until cleared', () => {
+  const keys = ['ip:10.0.0.1', 'email:c@x.com'];
+  for (let i = 0; i < 4; i++) recordFailedLogin(keys);
+  assert.equal(loginRetryAfter(keys), 0);
+  recordFailedLogin(keys);
+  assert.ok(loginRetryAfter(['email:c@x.com']) > 14 * 60 * 1000);
+  assert.equal(loginRetryAfter(['ip:10.0.0.2']), 0);
+  clearFailedLogins(keys);
+  assert.equal(loginRetryAfter(keys), 0);
+});
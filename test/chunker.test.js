@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { chunkText, joinChunks, contentHash, MIN_CHUNK_SIZE } = require('../chunker');
+
+test('short text is a single chunk', () => {
+  assert.deepEqual(chunkText('Hello world.'), [{ text: 'Hello world.', start: 0, end: 12 }]);
+});
+
+test('blank text has no chunks', () => {
+  assert.deepEqual(chunkText(''), []);
+  assert.deepEqual(chunkText('   \n\n  '), []);
+});
+
+test('chunks stay within the size and cover the whole text', () => {
+  const text = Array.from({ length: 200 }, (_, i) => `Sentence number ${i} is here.`).join(' ');
+  const chunks = chunkText(text, 300, 50);
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks[0].start, 0);
+  assert.equal(chunks.at(-1).end, text.length);
+  for (const c of chunks) {
+    assert.ok(c.text.length <= 300);
+    assert.equal(c.text, text.slice(c.start, c.end));
+  }
+  for (let i = 1; i < chunks.length; i++) {
+    assert.ok(chunks[i].start < chunks[i - 1].end, 'consecutive chunks overlap');
+  }
+});
+
+test('prefers cutting on a paragraph break', () => {
+  const text = `${'a'.repeat(150)}\n\n${'b'.repeat(150)}`;
+  const [first, second] = chunkText(text, 200, 0);
+  assert.equal(first.text, `${'a'.repeat(150)}\n\n`);
+  assert.equal(second.text, 'b'.repeat(150));
+});
+
+test('cuts mid-word only when there is no boundary', () => {
+  const chunks = chunkText('x'.repeat(250), 100, 0);
+  assert.deepEqual(chunks.map(c => c.text.length), [100, 100, 50]);
+});
+
+test('clamps the size and overlap', () => {
+  const text = 'word '.repeat(100);
+  const chunks = chunkText(text, 10, 1000);
+  assert.ok(chunks[0].text.length > 10 && chunks[0].text.length <= MIN_CHUNK_SIZE);
+  assert.ok(chunks[1].start >= chunks[0].end - MIN_CHUNK_SIZE / 2);
+});
+
+test('joining the chunks gives back the text', () => {
+  const text = Array.from({ length: 120 }, (_, i) => `Line ${i} of the menu.`).join('\n');
+  for (const [size, overlap] of [[1000, 200], [150, 0], [300, 150]]) {
+    assert.equal(joinChunks(chunkText(text, size, overlap)), text);
+  }
+});
+
+test('stretches that were never chunked come back as a blank line', () => {
+  const text = `${'a'.repeat(150)}${' '.repeat(400)}${'b'.repeat(150)}`;
+  const chunks = chunkText(text, 200, 0);
+  assert.equal(joinChunks(chunks), `${'a'.repeat(150)}${' '.repeat(50)}\n\n${'b'.repeat(150)}`);
+});
+
+test('chunks without offsets are joined by blank lines', () => {
+  assert.equal(joinChunks([{ text: 'First.' }, { text: 'Second.' }]), 'First.\n\nSecond.');
+  assert.equal(joinChunks([]), '');
+});
+
+test('the content hash is the SHA-256 of the text', () => {
+  assert.equal(contentHash('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  assert.notEqual(contentHash('abc '), contentHash('abc'));
+});
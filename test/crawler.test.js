@@ -0,0 +1,112 @@
+process.env.CRAWL_DELAY_MS = '0';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { crawlSite, normalizeUrl, parseRobots, robotsAllows, CrawlError } = require('../crawler');
+
+const html = (title, body) => `<html><head><title>${title}</title></head><body>${body}</body></html>`;
+
+// path -> [status, content type, body] or [status, { location }]
+function siteRoutes(base) {
+  return {
+    '/robots.txt': [200, 'text/plain', 'User-agent: *\nDisallow: /private\n'],
+    '/': [200, 'text/html', html('Home', '<nav><a href="/about">About</a></nav><main><p>Welcome to the shop.</p>'
+      + '<a href="/menu#lunch">Menu</a> <a href="/private/staff">Staff</a> <a href="/hidden" rel="nofollow">Hidden</a>'
+      + ` <a href="${base.replace('127.0.0.1', 'localhost')}/elsewhere">Elsewhere</a> <a href="/old">Old</a>`
+      + ' <a href="/broken">Broken</a> <a href="/down">Down</a> <a href="/notes.txt">Notes</a> <a href="/away">Away</a></main>')],
+    '/about': [200, 'text/html', html('About', '<p>Family run since 1990.</p>')],
+    '/menu': [200, 'text/html', html('Menu', '<p>Soup and bread.</p><a href="/deep">Deep</a>')],
+    '/deep': [200, 'text/html', html('Deep', '<p>Too deep.</p>')],
+    '/hidden': [200, 'text/html', html('Hidden', '<p>Not linked.</p>')],
+    '/private/staff': [200, 'text/html', html('Staff', '<p>Staff only.</p>')],
+    '/old': [301, { location: '/new' }],
+    '/new': [200, 'text/html', '<html><head><meta name="robots" content="noindex"></head><body><p>Moved.</p></body></html>'],
+    '/broken': [404, 'text/html', 'Not found'],
+    '/down': [503, 'text/html', 'Try later'],
+    '/notes.txt': [200, 'text/plain', '  Opening hours: 9-5  '],
+    '/away': [302, { location: `${base.replace('127.0.0.1', 'localhost')}/` }],
+  };
+}
+
+test('crawlSite crawls a local site', async (t) => {
+  const requested = [];
+  let routes;
+  const server = http.createServer((req, res) => {
+    requested.push(req.url);
+    const [status, type, body] = routes[req.url] || [404, 'text/plain', 'Not found'];
+    if (typeof type === 'object') res.writeHead(status, { Location: type.location }).end();
+    else res.writeHead(status, { 'Content-Type': type }).end(body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}`;
+  routes = siteRoutes(base);
+
+  await t.test('follows same-host links and honours robots', async () => {
+    const pages = [];
+    const stats = await crawlSite({ url: `${base}/`, maxDepth: 1, allowPrivateHosts: true }, async (page) => { pages.push(page); });
+    assert.deepEqual(pages.map(p => p.url).sort(), [`${base}/`, `${base}/about`, `${base}/menu`, `${base}/notes.txt`]);
+    assert.equal(pages.find(p => p.url === `${base}/`).text, 'Home\n\nWelcome to the shop.\nMenu Staff Hidden Elsewhere Old Broken Down Notes Away');
+    assert.deepEqual(pages.find(p => p.url === `${base}/notes.txt`), { url: `${base}/notes.txt`, title: '', text: 'Opening hours: 9-5' });
+    assert.deepEqual(stats, { pages: 4, failed: 2, blocked: 1, skipped: 2, unreachable: [`${base}/down`] });
+    for (const path of ['/deep', '/hidden', '/private/staff', '/elsewhere']) assert.ok(!requested.includes(path), path);
+  });
+
+  await t.test('stops at maxPages', async () => {
+    const pages = [];
+    const stats = await crawlSite({ url: base, maxPages: 2, allowPrivateHosts: true }, async (page) => { pages.push(page.url); });
+    assert.equal(stats.pages, 2);
+    assert.equal(pages.length, 2);
+  });
+
+  await t.test('reads pages from a sitemap', async () => {
+    routes['/sitemap.xml'] = [200, 'application/xml',
+      `<?xml version="1.0"?><urlset><url><loc>${base}/about</loc></url><url><loc>${base}/deep</loc></url></urlset>`];
+    const pages = [];
+    await crawlSite({ url: `${base}/sitemap.xml`, maxDepth: 0, allowPrivateHosts: true }, async (page) => { pages.push(page.url); });
+    assert.deepEqual(pages, [`${base}/about`, `${base}/deep`]);
+  });
+
+  await t.test('refuses private hosts unless allowed', async () => {
+    await assert.rejects(crawlSite({ url: base }, async () => {}), CrawlError);
+    await assert.rejects(crawlSite({ url: `http://localhost:${server.address().port}/` }, async () => {}), CrawlError);
+  });
+
+  await t.test('fails on a start page that cannot be crawled', async () => {
+    await assert.rejects(crawlSite({ url: `${base}/away`, allowPrivateHosts: true }, async () => {}),
+      (e) => e instanceof CrawlError && /redirects to .* on another host/.test(e.message));
+    await assert.rejects(crawlSite({ url: `${base}/private/staff`, allowPrivateHosts: true }, async () => {}),
+      (e) => e instanceof CrawlError && /robots\.txt does not allow/.test(e.message));
+    await assert.rejects(crawlSite({ url: `${base}/broken`, allowPrivateHosts: true }, async () => {}),
+      (e) => e instanceof CrawlError && /answered 404/.test(e.message));
+    await assert.rejects(crawlSite({ url: `${base}/down`, allowPrivateHosts: true }, async () => {}),
+      (e) => !(e instanceof CrawlError) && /answered 503/.test(e.message));
+    await assert.rejects(crawlSite({ url: 'ftp://example.com/' }, async () => {}), CrawlError);
+  });
+});
+
+test('normalizeUrl resolves links and drops fragments', () => {
+  assert.equal(normalizeUrl('/a?b=1#top', 'https://x.com/c/d'), 'https://x.com/a?b=1');
+  assert.equal(normalizeUrl('mailto:a@x.com', 'https://x.com/'), null);
+  assert.equal(normalizeUrl('not a url'), null);
+});
+
+test('robots rules pick the longest match and this crawler\'s group', () => {
+  const robots = parseRobots([
+    'User-agent: *',
+    'Disallow: /',
+    '',
+    'User-agent: dotMeBot',
+    'Disallow: /admin',
+    'Allow: /admin/public$',
+    'Disallow: /*.pdf',
+    'Crawl-delay: 2',
+  ].join('\n'));
+  assert.equal(robots.crawlDelay, 2);
+  assert.equal(robotsAllows(robots, 'https://x.com/menu'), true);
+  assert.equal(robotsAllows(robots, 'https://x.com/admin/users'), false);
+  assert.equal(robotsAllows(robots, 'https://x.com/admin/public'), true);
+  assert.equal(robotsAllows(robots, 'https://x.com/admin/public/more'), false);
+  assert.equal(robotsAllows(robots, 'https://x.com/files/menu.pdf'), false);
+  assert.equal(robotsAllows(parseRobots(''), 'https://x.com/anything'), true);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// db.js imports the legacy JSON files from the working directory, so each run
+// gets its own directory with a database file that survives a reload
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mealme-db-'));
+process.chdir(dir);
+process.env.DB_FILE = path.join(dir, 'test.db');
+fs.writeFileSync('agents.json', JSON.stringify({
+  support: { name: 'Support', instruction: 'Be brief.', topK: 4 },
+  bare: { instruction: '' },
+}));
+fs.writeFileSync('users.json', JSON.stringify({
+  'admin@x.com': { password: 'hash1', isAdmin: true },
+  'ed@x.com': { password: 'hash2', mustChangePassword: true, agentRoles: { support: 'editor' } },
+}));
+fs.writeFileSync('chathistory.json', JSON.stringify({
+  support: { 1234: [{ role: 'user', text: 'Hi' }, { role: 'bot', text: 'Hello!' }] },
+}));
+
+function loadDb() {
+  delete require.cache[require.resolve('../db')];
+  return require('../db');
+}
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a new database runs every migration once', () => {
+  const db = loadDb();
+  const version = db.pragma('user_version', { simple: true });
+  assert.ok(version >= 11);
+  const tables = db.prepare('SELECT name FROM sqlite_master WHERE type = \'table\'').all().map(r => r.name);
+  for (const table of ['conversations', 'messages', 'api_keys', 'sessions', 'agents', 'users', 'agent_versions', 'jobs', 'job_items', 'url_sources']) {
+    assert.ok(tables.includes(table), `${table} missing`);
+  }
+  db.close();
+});
+
+test('agents and users are imported from the JSON files', () => {
+  const db = loadDb();
+  const agents = db.prepare('SELECT id, name, data FROM agents ORDER BY id').all();
+  assert.deepEqual(agents.map(a => [a.id, a.name]), [['bare', 'bare'], ['support', 'Support']]);
+  assert.deepEqual(JSON.parse(agents[1].data), { id: 'support', name: 'Support', instruction: 'Be brief.', topK: 4 });
+  const users = db.prepare('SELECT email, password, is_admin, must_change_password, agent_roles FROM users ORDER BY email').all();
+  assert.deepEqual(users.map(u => ({ ...u })), [
+    { email: 'admin@x.com', password: 'hash1', is_admin: 1, must_change_password: 0, agent_roles: '{}' },
+    { email: 'ed@x.com', password: 'hash2', is_admin: 0, must_change_password: 1, agent_roles: '{"support":"editor"}' },
+  ]);
+  db.close();
+});
+
+test('the Telegram history is imported as a conversation', () => {
+  const db = loadDb();
+  const conversation = db.prepare('SELECT * FROM conversations').get();
+  assert.equal(conversation.agent_id, 'support');
+  assert.equal(conversation.channel, 'telegram');
+  assert.equal(conversation.external_user_id, '1234');
+  const messages = db.prepare('SELECT role, text FROM messages WHERE conversation_id = ? ORDER BY id').all(conversation.id);
+  assert.deepEqual(messages.map(m => [m.role, m.text]), [['user', 'Hi'], ['bot', 'Hello!']]);
+  assert.equal(db.prepare('SELECT COUNT(*) AS n FROM messages_fts WHERE messages_fts MATCH \'hello\'').get().n, 1);
+  db.close();
+});
+
+test('reopening the database imports nothing again', () => {
+  fs.writeFileSync('agents.json', JSON.stringify({ later: { name: 'Later' } }));
+  const db = loadDb();
+  assert.deepEqual(db.prepare('SELECT id FROM agents ORDER BY id').all().map(r => r.id), ['bare', 'support']);
+  assert.equal(db.prepare('SELECT COUNT(*) AS n FROM conversations').get().n, 1);
+  db.close();
+});
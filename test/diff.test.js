@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffLines } = require('../diff');
+
+const types = rows => rows.map(r => r.type);
+
+test('identical texts are all same rows', () => {
+  const rows = diffLines('a\nb', 'a\nb');
+  assert.deepEqual(rows, [
+    { type: 'same', left: 'a', right: 'a' },
+    { type: 'same', left: 'b', right: 'b' },
+  ]);
+});
+
+test('an edited line is paired into a changed row', () => {
+  assert.deepEqual(diffLines('Be brief.\nAnswer in English.', 'Be brief.\nAnswer in German.'), [
+    { type: 'same', left: 'Be brief.', right: 'Be brief.' },
+    { type: 'changed', left: 'Answer in English.', right: 'Answer in German.' },
+  ]);
+});
+
+test('inserted and deleted lines leave the other side empty', () => {
+  assert.deepEqual(diffLines('a\nc', 'a\nb\nc'), [
+    { type: 'same', left: 'a', right: 'a' },
+    { type: 'added', left: null, right: 'b' },
+    { type: 'same', left: 'c', right: 'c' },
+  ]);
+  assert.deepEqual(diffLines('a\nb\nc', 'a\nc'), [
+    { type: 'same', left: 'a', right: 'a' },
+    { type: 'removed', left: 'b', right: null },
+    { type: 'same', left: 'c', right: 'c' },
+  ]);
+});
+
+test('uneven replacements pair what they can and keep the rest', () => {
+  assert.deepEqual(types(diffLines('x\n1\n2\ny', 'x\nA\ny')), ['same', 'changed', 'removed', 'same']);
+  assert.deepEqual(types(diffLines('x\n1\ny', 'x\nA\nB\ny')), ['same', 'changed', 'added', 'same']);
+});
+
+test('missing text counts as one empty line', () => {
+  assert.deepEqual(diffLines(undefined, 'new'), [{ type: 'changed', left: '', right: 'new' }]);
+  assert.deepEqual(diffLines(null, null), [{ type: 'same', left: '', right: '' }]);
+});
+
+test('texts too large to compare are shown replaced wholesale', () => {
+  const before = Array.from({ length: 2001 }, (_, i) => `line ${i}`).join('\n');
+  const after = before.replace('line 0', 'first');
+  const rows = diffLines(before, after);
+  assert.equal(rows.length, 2001);
+  assert.ok(rows.every(r => r.type === 'changed'));
+  assert.deepEqual(rows[1], { type: 'changed', left: 'line 1', right: 'line 1' });
+});
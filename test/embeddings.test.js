@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isEmbeddingModel, resolveEmbeddingSettings, getEmbedder } = require('../embeddings');
+
+const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+test('the local provider embeds offline into unit vectors of its dimension', async () => {
+  for (const [model, size] of [['hash-384', 384], ['hash-768', 768]]) {
+    const embedder = getEmbedder({ provider: 'local', model });
+    assert.equal(await embedder.dimension(), size);
+    const [vector] = await embedder.embedDocuments(['Tomato soup with basil']);
+    assert.equal(vector.length, size);
+    assert.ok(Math.abs(dot(vector, vector) - 1) < 1e-9);
+  }
+});
+
+test('local embeddings are deterministic and rank related text higher', async () => {
+  const embedder = getEmbedder({ provider: 'local', model: 'hash-384' });
+  const [soup, salad] = await embedder.embedDocuments(['Tomato soup with fresh basil', 'Green salad with olives']);
+  const query = await embedder.embedQuery('tomato soup');
+  assert.deepEqual(query, await embedder.embedQuery('Tomato SOUP!'));
+  assert.ok(dot(query, soup) > dot(query, salad));
+});
+
+test('empty text embeds to a zero vector', async () => {
+  const vector = await getEmbedder({ provider: 'local' }).embedQuery('');
+  assert.ok(vector.every(v => v === 0));
+});
+
+test('embedders are shared per provider and model', () => {
+  assert.equal(getEmbedder({ provider: 'local', model: 'hash-384' }), getEmbedder({ provider: 'local' }));
+  assert.notEqual(getEmbedder({ provider: 'local', model: 'hash-768' }), getEmbedder({ provider: 'local' }));
+});
+
+test('isEmbeddingModel accepts listed models and, where allowed, well-formed names', () => {
+  assert.equal(isEmbeddingModel('local', 'hash-768'), true);
+  assert.equal(isEmbeddingModel('local', 'hash-1000000'), false);
+  assert.equal(isEmbeddingModel('local', 'toString'), false);
+  assert.equal(isEmbeddingModel('openai', 'my-finetune:v2'), true);
+  assert.equal(isEmbeddingModel('openai', '<img src=x>'), false);
+  assert.equal(isEmbeddingModel('cohere', 123), false);
+  assert.equal(isEmbeddingModel('nope', 'hash-384'), false);
+});
+
+test('resolveEmbeddingSettings falls back to the default provider and model', () => {
+  assert.deepEqual(resolveEmbeddingSettings({ provider: 'local', model: 'bogus' }), { provider: 'local', model: 'hash-384' });
+  assert.deepEqual(resolveEmbeddingSettings({ provider: 'unknown' }), { provider: 'cohere', model: 'embed-v4.0' });
+  assert.deepEqual(resolveEmbeddingSettings(), { provider: 'cohere', model: 'embed-v4.0' });
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractText, htmlToText, csvToRecords, flattenJson } = require('../extractors');
+
+const file = (originalname, content) => ({ originalname, buffer: Buffer.from(content) });
+
+test('htmlToText keeps block structure and drops scripts', () => {
+  const html = '<html><head><title>Menu</title><script>alert(1)</script></head>'
+    + '<body><h1>Menu</h1><p>Soup   of the day</p><ul><li>Bread</li><li>Cheese</li></ul></body></html>';
+  assert.equal(htmlToText(html), 'Menu\n\nSoup of the day\n\nBread\n\nCheese');
+});
+
+test('htmlToText with mainContent keeps only the main content', () => {
+  const html = '<body><nav>Home | About</nav><main><p>Opening hours: 9-5</p></main><footer>(c) Shop</footer></body>';
+  assert.equal(htmlToText(html, { mainContent: true }), 'Opening hours: 9-5');
+  assert.match(htmlToText(html), /Home \| About/);
+});
+
+test('csvToRecords repeats the header in every record', () => {
+  const csv = 'name,price\nSoup,4\n"Bread, sliced","2"\n';
+  assert.equal(csvToRecords(csv), 'Row 1\nname: Soup\nprice: 4\n\nRow 2\nname: Bread, sliced\nprice: 2');
+});
+
+test('csvToRecords detects semicolons and escaped quotes', () => {
+  assert.equal(csvToRecords('a;b\n"say ""hi""";2'), 'Row 1\na: say "hi"\nb: 2');
+});
+
+test('flattenJson writes one line per value', () => {
+  assert.deepEqual(flattenJson({ a: { b: [1, 2] }, c: 'x', d: [] }), ['a.b[0]: 1', 'a.b[1]: 2', 'c: x', 'd: []']);
+});
+
+test('extractText dispatches on the file extension', async () => {
+  assert.equal(await extractText(file('notes.md', '﻿# Title\n')), '# Title');
+  assert.equal(await extractText(file('page.HTML', '<p>Hi</p>')), 'Hi');
+  assert.equal(await extractText(file('data.json', '{"k":true}')), 'k: true');
+  assert.equal(await extractText(file('rows.csv', 'h\nv')), 'Row 1\nh: v');
+});
+
+test('extractText rejects bad input', async () => {
+  await assert.rejects(extractText(file('a.exe', 'x')), /Unsupported file type: \.exe/);
+  await assert.rejects(extractText(file('a', 'x')), /Unsupported file type: no extension/);
+  await assert.rejects(extractText(file('a.txt', '  \n')), /No text could be extracted/);
+  await assert.rejects(extractText(file('a.txt', 'bin\u0000ary')), /does not look like text/);
+  await assert.rejects(extractText(file('a.json', '{')), /Invalid JSON/);
+  await assert.rejects(extractText(file('a.csv', '"open')), /unterminated quoted field/);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RRF_K, fuseRankings } = require('../fusion');
+
+const rrf = (...ranks) => ranks.reduce((sum, rank) => sum + 1 / (RRF_K + rank), 0);
+
+test('ids found by both lists outrank ids found by one', () => {
+  const fused = fuseRankings([
+    { name: 'vector', ids: ['a', 'b', 'c'] },
+    { name: 'keyword', ids: ['c', 'd'] },
+  ]);
+  assert.deepEqual(fused.map(f => f.id), ['c', 'a', 'b', 'd']);
+  assert.deepEqual(fused[0], { id: 'c', score: rrf(3, 1), via: ['vector', 'keyword'] });
+  assert.deepEqual(fused[1], { id: 'a', score: rrf(1), via: ['vector'] });
+  assert.deepEqual(fused[3], { id: 'd', score: rrf(2), via: ['keyword'] });
+});
+
+test('scores depend on rank only', () => {
+  const [top] = fuseRankings([{ name: 'vector', ids: ['a'] }, { name: 'keyword', ids: ['x', 'y', 'a'] }]);
+  assert.equal(top.score, rrf(1, 3));
+});
+
+test('ties keep the order the ids were first seen in', () => {
+  const fused = fuseRankings([
+    { name: 'vector', ids: ['a', 'b'] },
+    { name: 'keyword', ids: ['b', 'a'] },
+  ]);
+  assert.deepEqual(fused.map(f => f.id), ['a', 'b']);
+  assert.equal(fused[0].score, fused[1].score);
+});
+
+test('a single list keeps its order and empty lists add nothing', () => {
+  assert.deepEqual(fuseRankings([{ name: 'vector', ids: ['b', 'a'] }, { name: 'keyword', ids: [] }]).map(f => f.id), ['b', 'a']);
+  assert.deepEqual(fuseRankings([]), []);
+});
@@ -0,0 +1,98 @@
+process.env.DB_FILE = ':memory:';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../db');
+const { createJobQueue, PermanentJobError } = require('../jobs');
+
+// Polls until the job has finished, one way or the other
+async function settled(queue, id, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const job = queue.getJob(id);
+    if (job.state === 'done' || job.state === 'failed') return job;
+    if (Date.now() > deadline) throw new Error(`Job still ${job.state}`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+test('runs every item and keeps its result', async () => {
+  const queue = createJobQueue({ runners: { echo: async (job, item) => ({ chunks: item.options.n }) } });
+  const { id } = queue.enqueue('echo', 'agent', [{ name: 'a', options: { n: 1 } }, { name: 'b', options: { n: 2 } }], 'me@x.com');
+  const job = await settled(queue, id);
+  assert.equal(job.state, 'done');
+  assert.equal(job.createdBy, 'me@x.com');
+  assert.equal(job.progress, 1);
+  assert.deepEqual(job.items.map(i => [i.name, i.state, i.attempts, i.chunks]), [['a', 'done', 1, 1], ['b', 'done', 1, 2]]);
+});
+
+test('a PermanentJobError fails the item without a retry', async () => {
+  const queue = createJobQueue({
+    runners: {
+      check: async (job, item) => {
+        if (item.name === 'empty.txt') throw new PermanentJobError('No text found');
+        return {};
+      },
+    },
+  });
+  const { id } = queue.enqueue('check', 'agent', [{ name: 'empty.txt' }, { name: 'ok.txt' }]);
+  const job = await settled(queue, id);
+  assert.equal(job.state, 'done');
+  assert.equal(job.failed, 1);
+  assert.deepEqual(job.items[0], { name: 'empty.txt', state: 'failed', attempts: 1, error: 'No text found' });
+});
+
+test('a job whose items all fail is failed', async () => {
+  const queue = createJobQueue({ runners: { bad: async () => { throw new Error('Embedding provider down'); } }, maxAttempts: 1 });
+  const { id } = queue.enqueue('bad', 'agent', [{ name: 'a.txt' }]);
+  const job = await settled(queue, id);
+  assert.equal(job.state, 'failed');
+  assert.deepEqual(job.items[0], { name: 'a.txt', state: 'failed', attempts: 1, error: 'Embedding provider down' });
+});
+
+test('a failing item is retried after a backoff of 2 to 4 seconds', async () => {
+  let calls = 0;
+  const queue = createJobQueue({
+    runners: {
+      flaky: async () => {
+        if (++calls === 1) throw new Error('Qdrant timeout');
+        return {};
+      },
+    },
+    maxAttempts: 3,
+  });
+  const failedAt = Date.now();
+  const { id } = queue.enqueue('flaky', 'agent', [{ name: 'a.txt' }]);
+  while (calls === 0) await new Promise(resolve => setTimeout(resolve, 10));
+  await new Promise(resolve => setImmediate(resolve));
+  const item = db.prepare('SELECT state, error, next_attempt_at FROM job_items WHERE job_id = ?').get(id);
+  assert.equal(item.state, 'queued');
+  assert.equal(item.error, 'Qdrant timeout');
+  assert.ok(item.next_attempt_at >= failedAt + 2000 && item.next_attempt_at <= Date.now() + 4000, `retry due in ${item.next_attempt_at - failedAt}ms`);
+  const job = await settled(queue, id);
+  assert.equal(job.state, 'done');
+  assert.equal(job.items[0].attempts, 2);
+  assert.equal(calls, 2);
+});
+
+test('start() requeues interrupted items that have attempts left and fails the rest', async () => {
+  const insertJob = db.prepare('INSERT INTO jobs (id, type, agent_id, state, created_at) VALUES (?, \'resume\', \'agent\', \'running\', 0)');
+  const insertItem = db.prepare('INSERT INTO job_items (job_id, name, state, attempts) VALUES (?, ?, \'running\', ?)');
+  insertJob.run('mixed');
+  insertItem.run('mixed', 'retry.txt', 1);
+  insertItem.run('mixed', 'crashed.txt', 3);
+  insertJob.run('spent');
+  insertItem.run('spent', 'crashed.txt', 3);
+
+  const ran = [];
+  const queue = createJobQueue({ runners: { resume: async (job, item) => { ran.push(item.name); return {}; } }, maxAttempts: 3 });
+  queue.start();
+  const mixed = await settled(queue, 'mixed');
+  assert.equal(mixed.state, 'done');
+  assert.deepEqual(mixed.items.map(i => [i.name, i.state, i.attempts]), [['retry.txt', 'done', 2], ['crashed.txt', 'failed', 3]]);
+  assert.match(mixed.items[1].error, /last attempt/);
+  assert.deepEqual(ran, ['retry.txt']);
+
+  const spent = queue.getJob('spent');
+  assert.equal(spent.state, 'failed');
+  assert.ok(spent.finishedAt);
+});
@@ -0,0 +1,203 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Readable } = require('stream');
+const {
+  LLM_PROVIDERS,
+  resolveLLMSettings,
+  sseEvents,
+  chatCompletion,
+  streamCompletion,
+  LLMConfigError,
+  LLMAuthError,
+  LLMRateLimitError,
+  LLMTimeoutError,
+  LLMUnavailableError,
+  LLMBadRequestError,
+} = require('../llm');
+
+const messages = [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }];
+
+// An OpenAI-compatible server answering each request with the next of replies:
+// [status, body, headers] or a function (req, res)
+async function fakeServer(t, replies) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(raw || '{}') });
+      const reply = replies[Math.min(requests.length, replies.length) - 1];
+      if (typeof reply === 'function') return reply(req, res);
+      const [status, body, headers = {}] = reply;
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers }).end(JSON.stringify(body));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const agent = { llmProvider: 'openai-compatible', llmModel: 'test', llmBaseUrl: `http://127.0.0.1:${server.address().port}/v1`, llmMaxRetries: 0 };
+  return { agent, requests };
+}
+
+const completion = (content, finishReason = 'stop') => [200, {
+  model: 'test',
+  choices: [{ message: { role: 'assistant', content }, finish_reason: finishReason }],
+  usage: { prompt_tokens: 5, completion_tokens: 2 },
+}];
+
+test('resolveLLMSettings falls back to the default provider and model', () => {
+  assert.deepEqual(resolveLLMSettings({ llmProvider: 'nope' }), {
+    provider: 'openai', model: 'gpt-4.1-mini', baseUrl: '', maxTokens: undefined, timeoutMs: 60000, maxRetries: 2,
+  });
+  assert.equal(resolveLLMSettings({ llmProvider: 'anthropic', llmMaxRetries: 0 }).maxRetries, 0);
+});
+
+test('openai and anthropic ignore the base URL', (t) => {
+  const env = { ...process.env };
+  t.after(() => { process.env = env; });
+  process.env.OPENAI_API_KEY = 'sk-test';
+  process.env.ANTHROPIC_API_KEY = 'ak-test';
+  const settings = { model: 'm', baseUrl: 'http://attacker.example' };
+  assert.equal(LLM_PROVIDERS.openai.request(settings, messages, {}).url, 'https://api.openai.com/v1/chat/completions');
+  assert.equal(LLM_PROVIDERS.anthropic.request(settings, messages, {}).url, 'https://api.anthropic.com/v1/messages');
+});
+
+test('anthropic gets the system prompt apart, a temperature of at most 1 and top_p on its own', (t) => {
+  const env = { ...process.env };
+  t.after(() => { process.env = env; });
+  process.env.ANTHROPIC_API_KEY = 'ak-test';
+  const { body } = LLM_PROVIDERS.anthropic.request({ model: 'm' }, messages, { temperature: 1.5, topP: 1 });
+  assert.deepEqual(body, { model: 'm', max_tokens: 1024, messages: [messages[1]], system: 'Be brief.', temperature: 1 });
+  const withTopP = LLM_PROVIDERS.anthropic.request({ model: 'm', maxTokens: 50 }, messages, { temperature: 0.5, topP: 0.8 }).body;
+  assert.equal(withTopP.top_p, 0.8);
+  assert.equal(withTopP.temperature, undefined);
+  assert.equal(withTopP.max_tokens, 50);
+});
+
+test('a missing API key is a configuration error', async (t) => {
+  const env = { ...process.env };
+  t.after(() => { process.env = env; });
+  delete process.env.OPENAI_API_KEY;
+  await assert.rejects(chatCompletion({ llmProvider: 'openai' }, messages), (e) => e instanceof LLMConfigError && e.code === 'config');
+  await assert.rejects(chatCompletion({ llmProvider: 'openai-compatible' }, messages), LLMConfigError);
+});
+
+test('chatCompletion returns the text, usage and finish reason', async (t) => {
+  const { agent, requests } = await fakeServer(t, [completion(' Hello! ', 'length')]);
+  const result = await chatCompletion({ ...agent, maxTokens: 20 }, messages, { temperature: 0.2, topP: 1 });
+  assert.deepEqual(result, { text: 'Hello!', model: 'test', finishReason: 'length', usage: { promptTokens: 5, completionTokens: 2 } });
+  assert.equal(requests[0].url, '/v1/chat/completions');
+  assert.deepEqual(requests[0].body, { model: 'test', messages, temperature: 0.2, max_tokens: 20 });
+});
+
+test('provider HTTP statuses map to typed errors', async (t) => {
+  const cases = [
+    [401, LLMAuthError, 'auth'],
+    [403, LLMAuthError, 'auth'],
+    [429, LLMRateLimitError, 'rate_limit'],
+    [408, LLMTimeoutError, 'timeout'],
+    [500, LLMUnavailableError, 'unavailable'],
+    [503, LLMUnavailableError, 'unavailable'],
+    [400, LLMBadRequestError, 'bad_request'],
+    [404, LLMBadRequestError, 'bad_request'],
+  ];
+  for (const [status, type, code] of cases) {
+    const { agent } = await fakeServer(t, [[status, { error: { message: `failed with ${status}` } }]]);
+    await assert.rejects(chatCompletion(agent, messages), (e) => {
+      assert.ok(e instanceof type, `${status} gives ${e.name}`);
+      assert.equal(e.code, code);
+      assert.equal(e.status, status);
+      assert.equal(e.provider, 'openai-compatible');
+      assert.match(e.message, new RegExp(`failed with ${status}|timed out`));
+      return true;
+    });
+  }
+});
+
+test('an unreachable server and a slow one are typed too', async (t) => {
+  const { agent } = await fakeServer(t, [() => {}]);
+  await assert.rejects(chatCompletion({ ...agent, llmTimeoutMs: 100 }, messages), (e) => e instanceof LLMTimeoutError && e.retryable);
+  await assert.rejects(chatCompletion({ ...agent, llmBaseUrl: 'http://127.0.0.1:1/v1' }, messages),
+    (e) => e instanceof LLMUnavailableError && e.retryable);
+});
+
+test('rate limits and server errors are retried, honouring Retry-After', async (t) => {
+  const { agent, requests } = await fakeServer(t, [
+    [429, { error: { message: 'slow down' } }, { 'Retry-After': '0.05' }],
+    [503, { error: { message: 'busy' } }],
+    completion('Done'),
+  ]);
+  const result = await chatCompletion({ ...agent, llmMaxRetries: 2 }, messages);
+  assert.equal(result.text, 'Done');
+  assert.equal(requests.length, 3);
+});
+
+test('retries stop after llmMaxRetries and skip errors that cannot pass', async (t) => {
+  const busy = await fakeServer(t, [[503, { error: { message: 'busy' } }]]);
+  await assert.rejects(chatCompletion({ ...busy.agent, llmMaxRetries: 1 }, messages), LLMUnavailableError);
+  assert.equal(busy.requests.length, 2);
+  const bad = await fakeServer(t, [[400, { error: { message: 'bad model' } }]]);
+  await assert.rejects(chatCompletion({ ...bad.agent, llmMaxRetries: 3 }, messages), LLMBadRequestError);
+  assert.equal(bad.requests.length, 1);
+});
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+test('sseEvents yields the data of each frame and stops at [DONE]', async () => {
+  const stream = Readable.from([
+    Buffer.from(': keep-alive\n\nevent: message\ndata: {"a":1}\n\nda'),
+    Buffer.from('ta: {"a":2}\r\n\r\ndata:{"a":3}\n'),
+    Buffer.from('\ndata: [DONE]\n\ndata: {"a":4}\n\n'),
+  ]);
+  assert.deepEqual(await collect(sseEvents(stream)), [{ a: 1 }, { a: 2 }, { a: 3 }]);
+});
+
+test('sseEvents keeps multi-byte characters split across chunks', async () => {
+  const bytes = Buffer.from('data: {"text":"Grüße 👋 日本"}\n\n');
+  // One byte per chunk splits every multi-byte character
+  const stream = Readable.from([...bytes].map(b => Buffer.from([b])));
+  assert.deepEqual(await collect(sseEvents(stream)), [{ text: 'Grüße 👋 日本' }]);
+});
+
+test('streamCompletion relays tokens and collects usage and the finish reason', async (t) => {
+  const frames = [
+    { model: 'test', choices: [{ index: 0, delta: { content: 'Héllo' } }] },
+    { choices: [{ index: 0, delta: { content: ' wörld ' } }] },
+    { choices: [{ index: 0, delta: {}, finish_reason: 'length' }], usage: { prompt_tokens: 7, completion_tokens: 3 } },
+  ];
+  const { agent, requests } = await fakeServer(t, [(req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    const bytes = Buffer.from(`${frames.map(f => `data: ${JSON.stringify(f)}\n\n`).join('')}data: [DONE]\n\n`);
+    // Cut inside the é so the character arrives in two writes
+    const cut = bytes.indexOf(Buffer.from('é')) + 1;
+    res.write(bytes.subarray(0, cut));
+    setTimeout(() => res.end(bytes.subarray(cut)), 20);
+  }]);
+  const tokens = [];
+  const result = await streamCompletion(agent, messages, {}, { onToken: (text) => tokens.push(text) });
+  assert.deepEqual(tokens, ['Héllo', ' wörld ']);
+  assert.deepEqual(result, { text: 'Héllo wörld', model: 'test', finishReason: 'length', usage: { promptTokens: 7, completionTokens: 3 } });
+  assert.equal(requests[0].body.stream, true);
+});
+
+test('streamCompletion reads the error body of a refused stream', async (t) => {
+  const { agent } = await fakeServer(t, [[401, { error: { message: 'invalid key' } }]]);
+  await assert.rejects(streamCompletion(agent, messages), (e) => e instanceof LLMAuthError && /invalid key/.test(e.message));
+});
+
+test('aborting a stream ends it with an aborted error', async (t) => {
+  const { agent } = await fakeServer(t, [(req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Hi' } }] })}\n\n`);
+    req.on('close', () => res.end());
+  }]);
+  const controller = new AbortController();
+  await assert.rejects(
+    streamCompletion(agent, messages, {}, { signal: controller.signal, onToken: () => controller.abort() }),
+    (e) => e.code === 'aborted',
+  );
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+  splitMessage,
+  markdownToTelegramHtml,
+  verifyMessengerSignature,
+  verifyViberSignature,
+} = require('../messaging');
+
+test('splitMessage leaves short text whole', () => {
+  assert.deepEqual(splitMessage('  hello  ', 100), ['hello']);
+  assert.deepEqual(splitMessage('', 100), []);
+});
+
+test('splitMessage cuts on paragraph, line and word boundaries', () => {
+  assert.deepEqual(splitMessage('aaaa aaaa\n\nbbbb', 12), ['aaaa aaaa', 'bbbb']);
+  assert.deepEqual(splitMessage('aaaa aaaa\nbbbb', 12), ['aaaa aaaa', 'bbbb']);
+  assert.deepEqual(splitMessage('one two three four', 10), ['one two', 'three four']);
+});
+
+test('splitMessage hard-cuts text without boundaries', () => {
+  const parts = splitMessage('x'.repeat(25), 10);
+  assert.deepEqual(parts, ['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+});
+
+test('markdownToTelegramHtml converts the common subset', () => {
+  assert.equal(markdownToTelegramHtml('# Title'), '<b>Title</b>');
+  assert.equal(markdownToTelegramHtml('**bold** and __bold__'), '<b>bold</b> and <b>bold</b>');
+  assert.equal(markdownToTelegramHtml('*it* and _it_'), '<i>it</i> and <i>it</i>');
+  assert.equal(markdownToTelegramHtml('~~gone~~'), '<s>gone</s>');
+  assert.equal(markdownToTelegramHtml('[site](https://x.com/a?b="c")'), '<a href="https://x.com/a?b=&quot;c&quot;">site</a>');
+});
+
+test('markdownToTelegramHtml escapes HTML and leaves code alone', () => {
+  assert.equal(markdownToTelegramHtml('a < b & <script>'), 'a &lt; b &amp; &lt;script&gt;');
+  assert.equal(markdownToTelegramHtml('`**x** <y>`'), '<code>**x** &lt;y&gt;</code>');
+  assert.equal(markdownToTelegramHtml('```js\nif (a && b) {}\n```'), '<pre>if (a &amp;&amp; b) {}</pre>');
+  assert.equal(markdownToTelegramHtml('snake_case_name and 2*3*4'), 'snake_case_name and 2*3*4');
+  assert.equal(markdownToTelegramHtml('[x](javascript:alert(1))'), '[x](javascript:alert(1))');
+});
+
+const request = (headers, rawBody) => ({ rawBody, get: (name) => headers[name] });
+const hmac = (secret, body) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+test('verifyMessengerSignature checks X-Hub-Signature-256 against APP_SECRET', (t) => {
+  const previous = process.env.APP_SECRET;
+  t.after(() => {
+    if (previous === undefined) delete process.env.APP_SECRET;
+    else process.env.APP_SECRET = previous;
+  });
+  const body = Buffer.from('{"object":"page"}');
+  process.env.APP_SECRET = 'app-secret';
+  const signature = `sha256=${hmac('app-secret', body)}`;
+  assert.equal(verifyMessengerSignature(request({ 'X-Hub-Signature-256': signature }, body)), true);
+  assert.equal(verifyMessengerSignature(request({ 'X-Hub-Signature-256': `sha256=${hmac('other', body)}` }, body)), false);
+  assert.equal(verifyMessengerSignature(request({ 'X-Hub-Signature-256': signature }, Buffer.from('{}'))), false);
+  assert.equal(verifyMessengerSignature(request({ 'X-Hub-Signature-256': signature.slice(7) }, body)), false);
+  assert.equal(verifyMessengerSignature(request({}, body)), false);
+  assert.equal(verifyMessengerSignature(request({ 'X-Hub-Signature-256': signature }, undefined)), false);
+  delete process.env.APP_SECRET;
+  assert.equal(verifyMessengerSignature(request({ 'X-Hub-Signature-256': signature }, body)), false);
+});
+
+test('verifyViberSignature checks X-Viber-Content-Signature against the bot token', () => {
+  const body = Buffer.from('{"event":"message"}');
+  const signature = hmac('viber-token', body);
+  assert.equal(verifyViberSignature(request({ 'X-Viber-Content-Signature': signature }, body), 'viber-token'), true);
+  assert.equal(verifyViberSignature(request({ 'X-Viber-Content-Signature': signature }, body), 'other-token'), false);
+  assert.equal(verifyViberSignature(request({ 'X-Viber-Content-Signature': signature.slice(2) }, body), 'viber-token'), false);
+  assert.equal(verifyViberSignature(request({}, body), 'viber-token'), false);
+  assert.equal(verifyViberSignature(request({ 'X-Viber-Content-Signature': signature }, undefined), 'viber-token'), false);
+});
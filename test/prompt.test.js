@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate, promptVariables, buildMessages } = require('../prompt');
+
+const hits = [
+  { name: 'menu.pdf', chunkIndex: 0, score: 0.91234, text: 'Soup of the day: tomato.' },
+  { name: 'hours.txt', chunkIndex: 2, score: 0.5, text: 'Open 9 to 5.' },
+];
+const vars = promptVariables({ agent: { name: 'Chef' }, channel: 'web', userName: 'Sam', now: new Date(2024, 4, 31, 14, 5) });
+
+test('template variables are filled in and unknown names are left alone', () => {
+  assert.deepEqual(vars, { date: '2024-05-31', time: '14:05', user_name: 'Sam', channel: 'web', agent_name: 'Chef' });
+  assert.equal(renderTemplate('Hi {{ user_name }}, I am {{agent_name}} on {{channel}}.', vars), 'Hi Sam, I am Chef on web.');
+  assert.equal(renderTemplate('{{unknown}} and {{ date}} and {single}', vars), '{{unknown}} and 2024-05-31 and {single}');
+  assert.equal(renderTemplate(undefined, vars), '');
+  assert.equal(promptVariables().user_name, '');
+});
+
+test('sources go with the question by default', () => {
+  const messages = buildMessages({ instruction: 'You help {{user_name}}.' }, hits, 'Soup?', [], vars);
+  assert.equal(messages.length, 2);
+  assert.equal(messages[0].content, 'You help Sam.\n\nUse the numbered sources given with the question and cite them inline like [1].');
+  assert.equal(messages[1].content, 'Sources:\n[1] menu.pdf (chunk 1)\nSoup of the day: tomato.\n\n[2] hours.txt (chunk 3)\nOpen 9 to 5.\n\nQuestion: Soup?');
+});
+
+test('sources can go in the system message with custom templates', () => {
+  const agent = {
+    contextPlacement: 'system',
+    contextTemplate: 'Docs for {{agent_name}}:\n{{sources}}',
+    sourceLabel: '#{{n}} {{name}} ({{score}})',
+  };
+  const [system, user] = buildMessages(agent, hits.slice(0, 1), 'Soup?', [], vars);
+  assert.equal(system.content, 'You are a helpful assistant.\n\nUse the numbered sources below and cite them inline like [1].'
+    + '\n\nDocs for Chef:\n#1 menu.pdf (0.912)\nSoup of the day: tomato.');
+  assert.equal(user.content, 'Soup?');
+});
+
+test('an unknown placement falls back to the question', () => {
+  const messages = buildMessages({ contextPlacement: 'footer' }, hits.slice(0, 1), 'Soup?', [], vars);
+  assert.match(messages[1].content, /^Sources:\n\[1\] menu\.pdf/);
+});
+
+test('without sources the question is sent alone unless a fallback is set', () => {
+  const [system, user] = buildMessages({ instruction: 'Be brief.' }, [], 'Parking?', [], vars);
+  assert.equal(system.content, 'Be brief.');
+  assert.equal(user.content, 'Parking?');
+
+  const agent = { noContextTemplate: '  Nothing found for {{user_name}}; say you don\'t know.  ' };
+  assert.equal(buildMessages(agent, [], 'Parking?', [], vars)[1].content, 'Nothing found for Sam; say you don\'t know.\n\nQuestion: Parking?');
+  const [inSystem] = buildMessages({ ...agent, contextPlacement: 'system' }, [], 'Parking?', [], vars);
+  assert.equal(inSystem.content, 'You are a helpful assistant.\n\nNothing found for Sam; say you don\'t know.');
+});
+
+test('history comes between the system message and the question', () => {
+  const history = [{ role: 'user', text: 'Hi' }, { role: 'bot', text: 'Hello!' }];
+  const messages = buildMessages({}, [], 'Soup?', history, vars);
+  assert.deepEqual(messages.slice(1), [
+    { role: 'user', content: 'Hi' },
+    { role: 'assistant', content: 'Hello!' },
+    { role: 'user', content: 'Soup?' },
+  ]);
+});
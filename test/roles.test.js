@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { roleAtLeast, createAccessControl } = require('../roles');
+
+const agents = { menu: { id: 'menu' }, hours: { id: 'hours' } };
+const users = {
+  'admin@x.com': { isAdmin: true },
+  'chat@x.com': { agentRoles: { menu: 'chat' } },
+  'view@x.com': { agentRoles: { menu: 'viewer', hours: 'chat' } },
+  'edit@x.com': { agentRoles: { menu: 'editor' } },
+};
+const access = createAccessControl({ users, agents });
+const user = email => ({ email, isAdmin: Boolean(users[email]?.isAdmin) });
+
+// Runs the middleware; resolves to the status it answered with, or to 'next'
+// and the agent it loaded
+function check(role, email, agentId, method = 'POST') {
+  const req = { method, params: { id: agentId }, user: user(email) };
+  return new Promise((resolve) => {
+    const res = {
+      status(code) {
+        return { json: (body) => resolve({ status: code, error: body.error }), send: (error) => resolve({ status: code, error }) };
+      },
+    };
+    access.requireAgentRole(role)(req, res, () => resolve({ status: 'next', agent: req.agent }));
+  });
+}
+
+test('each role includes the ones before it', () => {
+  assert.equal(roleAtLeast('owner', 'chat'), true);
+  assert.equal(roleAtLeast('viewer', 'viewer'), true);
+  assert.equal(roleAtLeast('chat', 'viewer'), false);
+  assert.equal(roleAtLeast(null, 'chat'), false);
+});
+
+test('admins own every agent and others hold what they were granted', () => {
+  assert.equal(access.agentRole(user('admin@x.com'), 'hours'), 'owner');
+  assert.equal(access.agentRole(user('view@x.com'), 'hours'), 'chat');
+  assert.equal(access.agentRole(user('edit@x.com'), 'hours'), null);
+  assert.equal(access.agentRole(null, 'menu'), null);
+  assert.equal(access.hasRole(user('chat@x.com'), 'menu', 'viewer'), false);
+  assert.equal(access.hasRole(user('view@x.com'), 'menu', 'viewer'), true);
+  assert.deepEqual(access.accessibleAgents(user('view@x.com'), 'viewer').map(a => a.id), ['menu']);
+});
+
+test('role changes apply on the next check', () => {
+  users['chat@x.com'].agentRoles.hours = 'editor';
+  assert.equal(access.hasRole(user('chat@x.com'), 'hours', 'editor'), true);
+  delete users['chat@x.com'].agentRoles.hours;
+  assert.equal(access.hasRole(user('chat@x.com'), 'hours', 'chat'), false);
+});
+
+test('requireAgentRole lets enough roles through and hides agents without one', async () => {
+  assert.deepEqual(await check('editor', 'edit@x.com', 'menu'), { status: 'next', agent: agents.menu });
+  assert.deepEqual(await check('editor', 'view@x.com', 'menu'), { status: 403, error: 'Forbidden' });
+  assert.deepEqual(await check('chat', 'edit@x.com', 'hours'), { status: 404, error: 'Agent not found' });
+  assert.deepEqual(await check('chat', 'admin@x.com', 'gone', 'GET'), { status: 404, error: 'Agent not found' });
+});
+
+test('chat-only users read only their own dashboard conversations', () => {
+  const own = { agent_id: 'menu', channel: 'web', external_user_id: 'chat@x.com' };
+  assert.equal(access.canReadConversation(user('chat@x.com'), own), true);
+  assert.equal(access.canReadConversation(user('chat@x.com'), { ...own, external_user_id: 'view@x.com' }), false);
+  assert.equal(access.canReadConversation(user('chat@x.com'), { ...own, channel: 'telegram', external_user_id: '1234' }), false);
+  assert.equal(access.canReadConversation(user('view@x.com'), { ...own, channel: 'telegram', external_user_id: '1234' }), true);
+  assert.deepEqual(access.historyAccess(user('view@x.com')), { fullAgents: ['menu'], ownAgents: ['hours'], email: 'view@x.com' });
+  assert.equal(access.historyAccess(user('admin@x.com')), null);
+});
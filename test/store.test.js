@@ -0,0 +1,69 @@
+process.env.DB_FILE = ':memory:';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The backend is picked from CONFIG_STORE when store.js loads
+function loadStore(backend) {
+  if (backend) process.env.CONFIG_STORE = backend;
+  else delete process.env.CONFIG_STORE;
+  delete require.cache[require.resolve('../store')];
+  return require('../store');
+}
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mealme-store-'));
+process.chdir(dir);
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('the SQLite store saves and loads agents and users', () => {
+  const { CONFIG_STORE, configStore } = loadStore();
+  assert.equal(CONFIG_STORE, 'sqlite');
+  const agents = { a: { id: 'a', name: 'A', topK: 3 }, b: { id: 'b', name: 'B', tags: ['x'] } };
+  configStore.saveAgents(agents);
+  assert.deepEqual(configStore.loadAgents(), agents);
+
+  configStore.saveUsers({
+    'admin@x.com': { password: 'h1', isAdmin: true },
+    'ed@x.com': { password: 'h2', isAdmin: false, mustChangePassword: true, agentRoles: { a: 'editor' } },
+  });
+  assert.deepEqual(configStore.loadUsers(), {
+    'admin@x.com': { password: 'h1', isAdmin: true, agentRoles: {} },
+    'ed@x.com': { password: 'h2', isAdmin: false, mustChangePassword: true, agentRoles: { a: 'editor' } },
+  });
+});
+
+test('the SQLite store drops agents and users missing from a save', () => {
+  const { configStore } = loadStore();
+  configStore.saveAgents({ a: { id: 'a', name: 'A' }, b: { id: 'b', name: 'B' } });
+  configStore.saveAgents({ b: { id: 'b', name: 'Renamed' } });
+  assert.deepEqual(configStore.loadAgents(), { b: { id: 'b', name: 'Renamed' } });
+  configStore.saveUsers({ 'a@x.com': { password: 'h' }, 'b@x.com': { password: 'h' } });
+  configStore.saveUsers({ 'b@x.com': { password: 'h' } });
+  assert.deepEqual(Object.keys(configStore.loadUsers()), ['b@x.com']);
+});
+
+test('a failed SQLite save leaves the previous config', () => {
+  const { configStore } = loadStore();
+  configStore.saveAgents({ a: { id: 'a', name: 'A' } });
+  assert.throws(() => configStore.saveAgents({ b: { id: 'b', name: 'B' }, c: { id: 'c', name: null } }));
+  assert.deepEqual(configStore.loadAgents(), { a: { id: 'a', name: 'A' } });
+});
+
+test('the file store keeps agents.json and users.json', () => {
+  const { CONFIG_STORE, configStore } = loadStore('file');
+  assert.equal(CONFIG_STORE, 'file');
+  assert.deepEqual(configStore.loadAgents(), {});
+  configStore.saveAgents({ a: { id: 'a', name: 'A' } });
+  configStore.saveUsers({ 'admin@x.com': { password: 'h', isAdmin: true } });
+  assert.deepEqual(JSON.parse(fs.readFileSync('agents.json', 'utf8')), { a: { id: 'a', name: 'A' } });
+  assert.deepEqual(configStore.loadUsers(), { 'admin@x.com': { password: 'h', isAdmin: true } });
+  assert.deepEqual(fs.readdirSync('.').sort(), ['agents.json', 'users.json']);
+});
+
+test('the file store refuses to start from a broken file', () => {
+  const { configStore } = loadStore('file');
+  fs.writeFileSync('users.json', '{"admin@x.com":');
+  assert.throws(() => configStore.loadUsers(), /users\.json is not valid JSON/);
+});
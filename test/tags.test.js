@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MetadataError,
+  parseTags,
+  tagQuery,
+  formatTags,
+  parseValidity,
+  metadataChanges,
+  documentMetadata,
+  editedMetadata,
+  metadataPayload,
+  retrievalFilter,
+} = require('../tags');
+
+test('tags parse from key=value pairs, JSON and objects', () => {
+  assert.deepEqual(parseTags('lang=en, team = sales\nyear=2024'), { lang: 'en', team: 'sales', year: '2024' });
+  assert.deepEqual(parseTags('{"lang":"en","year":2024}'), { lang: 'en', year: '2024' });
+  assert.deepEqual(parseTags({ draft: true, note: 'x'.repeat(300) }), { draft: 'true', note: 'x'.repeat(200) });
+  assert.deepEqual(parseTags(''), {});
+  assert.deepEqual(parseTags(undefined), {});
+});
+
+test('bad tags are refused with a MetadataError', () => {
+  assert.throws(() => parseTags('lang'), new MetadataError('Expected key=value, got "lang"'));
+  assert.throws(() => parseTags('=en'), /Expected key=value/);
+  assert.throws(() => parseTags('bad key=en'), /Invalid tag name "bad key"/);
+  assert.throws(() => parseTags('lang= '), /Tag "lang" needs a value/);
+  assert.throws(() => parseTags('{"lang":'), /not valid JSON/);
+  assert.throws(() => parseTags(['lang=en']), /must be an object/);
+  assert.throws(() => parseTags({ lang: ['en', 'de'] }), /Tag "lang" needs a value/);
+});
+
+test('filters may list alternatives and clear a default with null', () => {
+  assert.deepEqual(parseTags('lang=en|de, team=sales', { multiple: true }), { lang: ['en', 'de'], team: 'sales' });
+  assert.deepEqual(parseTags({ lang: ['en', 'de'], team: null }, { multiple: true }), { lang: ['en', 'de'], team: null });
+  assert.deepEqual(parseTags({ lang: ['en', ''] }, { multiple: true }), { lang: 'en' });
+  assert.deepEqual(parseTags('lang=en|de'), { lang: 'en|de' });
+});
+
+test('tag queries and labels round-trip', () => {
+  assert.deepEqual(tagQuery({ tag: ['lang:en', 'url:https://x.com'] }), { lang: 'en', url: 'https://x.com' });
+  assert.deepEqual(tagQuery({ tag: 'lang:en' }), { lang: 'en' });
+  assert.deepEqual(tagQuery({}), {});
+  assert.equal(formatTags({ lang: ['en', 'de'], team: 'sales' }), 'lang=en|de, team=sales');
+  assert.equal(formatTags(undefined), '');
+});
+
+test('validity dates parse, with a bare end date lasting all day', () => {
+  assert.equal(parseValidity('2024-05-01', 'validFrom'), Date.parse('2024-05-01T00:00:00Z'));
+  assert.equal(parseValidity('2024-05-31', 'validTo'), Date.parse('2024-05-31T23:59:59.999Z'));
+  assert.equal(parseValidity('2024-05-31T12:00:00Z', 'validTo'), Date.parse('2024-05-31T12:00:00Z'));
+  assert.equal(parseValidity('', 'validTo'), null);
+  assert.throws(() => parseValidity('soon', 'validFrom'), /validFrom is not a valid date/);
+});
+
+test('document metadata checks the period and only stores what is set', () => {
+  const meta = documentMetadata({ tags: 'lang=en', validFrom: '2024-01-01', validTo: '2024-12-31' });
+  assert.deepEqual(meta, { tags: { lang: 'en' }, validFrom: Date.parse('2024-01-01'), validTo: Date.parse('2024-12-31T23:59:59.999Z') });
+  assert.throws(() => documentMetadata({ validFrom: '2024-02-01', validTo: '2024-01-01' }), /validFrom must be before validTo/);
+  assert.deepEqual(metadataPayload(documentMetadata()), {});
+  assert.deepEqual(metadataPayload({ tags: { lang: 'en' }, validFrom: null, validTo: 5 }), { tags: { lang: 'en' }, validTo: 5 });
+});
+
+test('an edit only changes the metadata fields it sends', () => {
+  assert.deepEqual(metadataChanges({ tags: '' }), { tags: {} });
+  assert.deepEqual(metadataChanges({ validTo: null }), { validTo: null });
+  assert.deepEqual(metadataChanges({ text: 'new' }), {});
+});
+
+test('an edit keeps the metadata it doesn\'t change', () => {
+  const current = { text: 'x', tags: { lang: 'en' }, validFrom: 100, validTo: 200 };
+  assert.deepEqual(editedMetadata(current, {}), { tags: { lang: 'en' }, validFrom: 100, validTo: 200 });
+  assert.deepEqual(editedMetadata(current, { tags: {}, validTo: null }), { tags: {}, validFrom: 100, validTo: null });
+  assert.deepEqual(editedMetadata({}, { validFrom: 5 }), { tags: {}, validFrom: 5, validTo: null });
+  assert.throws(() => editedMetadata(current, { validFrom: 300 }), new MetadataError('validFrom must be before validTo'));
+});
+
+test('the retrieval filter merges the default filter and skips expired chunks', () => {
+  const agent = { defaultFilter: { lang: 'en', team: 'sales' } };
+  assert.deepEqual(retrievalFilter(agent, { team: null, year: ['2023', '2024'] }, 1000), {
+    must: [
+      { key: 'tags.lang', match: { value: 'en' } },
+      { key: 'tags.year', match: { any: ['2023', '2024'] } },
+    ],
+    must_not: [
+      { key: 'validTo', range: { lt: 1000 } },
+      { key: 'validFrom', range: { gt: 1000 } },
+    ],
+  });
+  assert.deepEqual(retrievalFilter({}, undefined, 1000).must, []);
+});